@@ -1,6 +1,6 @@
 import React, { useCallback, useEffect, useState } from "react";
 import './App.css';
-import { create } from 'kubo-rpc-client'
+import { createIpfsClient, loadIpfsConfig } from 'dapp-tickets/utils/ipfsClient.js'
 import { ethers } from "ethers"
 import { Buffer } from "buffer"
 
@@ -17,6 +17,9 @@ const defaultProvider = new ethers.providers.Web3Provider(window.ethereum);
 
 const ipfsContract = new ethers.Contract(addresses.ipfs, abis.ipfs, defaultProvider);
 
+// nodo ipfs en local (URLs por defecto o ?ipfsApi= / ?ipfsGateway=)
+const ipfs = createIpfsClient(loadIpfsConfig());
+
 //contract = new ethers.Contract(address, abi, defaultProvider);
 
 async function readCurrentUserFile() {
@@ -68,12 +71,10 @@ function App() {
     e.preventDefault();
     try {
       console.log(file);
-      // conectar a la instancia en local de ipfs MODIFICADA
-      const client = await create('/ip4/127.0.0.1/tcp/5001')
-      // añadir le archivo a ipfs
-      const result = await client.add(file)
+      // añadir le archivo a ipfs (queda fijado en el nodo)
+      const result = await ipfs.add(file)
       // añadir al fs del nodo ipfs en local para poder visualizarlo en el dashboard
-      await client.files.cp(`/ipfs/${result.cid}`, `/${result.cid}`)
+      await ipfs.filesCp(result.cid, `/${result.cid}`)
       console.log(result.cid)
       // añadir el CID de ipfs a ethereum a traves del smart contract
       await setFileIPFS(result.cid.toString());
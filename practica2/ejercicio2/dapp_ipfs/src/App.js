@@ -1,7 +1,7 @@
 import React, { useEffect, useState } from "react";
 import "./App.css";
 import { ethers } from "ethers";
-import { create as createIpfsClient } from "kubo-rpc-client";
+import { createIpfsClient, loadIpfsConfig } from "dapp-tickets/utils/ipfsClient.js";
 
 // Dirección del contrato DonationPlatform desplegado (el donate.sol nuevo)
 const DONATE_CONTRACT_ADDRESS = "0xB6CA37e7c6114d4E661b425A5DCbcFd334dB7b97";
@@ -14,10 +14,8 @@ const DONATE_ABI = [
   "function recipient() view returns (address)",
 ];
 
-// Cliente de IPFS (daemon local de Kubo)
-const ipfs = createIpfsClient({
-  url: "http://127.0.0.1:5001/api/v0",
-});
+// Cliente de IPFS (daemon local de Kubo; URLs por defecto o ?ipfsApi= / ?ipfsGateway=)
+const ipfs = createIpfsClient(loadIpfsConfig());
 
 function App() {
   const [walletAddress, setWalletAddress] = useState("");
@@ -115,11 +113,14 @@ function App() {
       setIsUploading(true);
       setStatus("Subiendo imagen a IPFS...");
 
-      const added = await ipfs.add(file);
-      const cid = added.cid.toString();
-      const url = `http://127.0.0.1:8080/ipfs/${cid}`;
+      const added = await ipfs.add(file, {
+        onProgress: ({ loaded, total }) =>
+          setStatus(`Subiendo imagen a IPFS... ${Math.round((loaded * 100) / total)}%`),
+      });
+      const cid = added.cid;
+      const url = ipfs.gatewayUrl(cid);
       // Copiar al MFS para que aparezca en la pestaña "ARCHIVOS" del WebUI
-      await ipfs.files.cp(`/ipfs/${cid}`, `/${cid}`);
+      await ipfs.filesCp(cid, `/${cid}`);
 
       const newImage = {
         id: images.length + 1,
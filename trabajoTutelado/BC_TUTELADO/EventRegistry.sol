@@ -3,6 +3,13 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 
+/// @dev Lo que el registro consulta del TicketMarket (sin importarlo, que ya
+///      importa este contrato).
+interface ITicketMarketView {
+    function mintedTicketsPerEvent(uint256 eventId) external view returns (uint256);
+    function eventCancelled(uint256 eventId) external view returns (bool);
+}
+
 /// @title Registro de eventos para el sistema de tickets
 /// @notice Gestiona la configuración de eventos (precio base, límites de reventa,
 ///         metadatos en IPFS, organizador) y los validadores autorizados.
@@ -20,16 +27,66 @@ contract EventRegistry is Ownable {
         bool active;
         uint16 maxTicketsPerWallet; // 0 = sin limite por cartera (venta primaria)
         uint32 walletCooldown;      // segundos entre compras (0 = sin cooldown)
+        uint16 royaltyBps;          // regalía del organizador en reventa (500 => 5%)
+    }
+
+    /// @dev Zona / tipo de entrada de un evento (VIP, general, early bird...).
+    ///      Si un evento tiene zonas, la venta primaria es solo por zona.
+    struct Tier {
+        string name;
+        uint256 priceWei;
+        uint32 supply;       // nº de entradas de la zona
+        uint16 maxPerWallet; // 0 = sin limite por cartera en la zona
+        uint64 saleStart;    // 0 = a la venta desde ya
+        uint64 saleEnd;      // 0 = hasta la fecha del evento
+    }
+
+    /// @dev Calendario de la venta primaria. Con allowlistRoot != 0, entre
+    ///      saleStart y publicSaleStart solo compran las carteras de la lista.
+    struct SaleSchedule {
+        uint64 saleStart;       // 0 = a la venta desde la creación
+        uint64 publicSaleStart; // fin de la preventa (si hay lista)
+        bytes32 allowlistRoot;  // raíz Merkle de la preventa (0 = sin preventa)
+    }
+
+    /// @dev Límites de un validador. Sin grant (todo a 0) valida sin límite.
+    struct ValidatorGrant {
+        uint64 validFrom;    // 0 = desde el alta
+        uint64 validUntil;   // 0 = sin caducidad
+        uint32 maxCheckIns;  // 0 = sin tope de validaciones
     }
 
+    // Tope de la regalía de reventa (puntos básicos)
+    uint16 public constant MAX_ROYALTY_BPS = 2000; // 20%
+
     uint256 public nextEventId;
 
-    // eventId => datos del evento
-    mapping(uint256 => EventData) public events;
+    // TicketMarket, para saber cuántos tickets hay emitidos al editar un evento
+    address public market;
+
+    // eventId => datos del evento. Sin getter automático (con tantos campos
+    // no cabe en la pila): se lee con getEvent.
+    mapping(uint256 => EventData) internal events;
 
     // eventId => address => isValidator
     mapping(uint256 => mapping(address => bool)) private _validators;
 
+    // eventId => address => ventana y tope del validador
+    mapping(uint256 => mapping(address => ValidatorGrant)) public validatorGrants;
+
+    // eventId => address => nº de permiso: sube con cada alta, baja o grant.
+    // TicketMarket cuenta el tope de validaciones por permiso con él.
+    mapping(uint256 => mapping(address => uint64)) public validatorGrantNonce;
+
+    // eventId => zonas (tierId = índice + 1; el 0 es "sin zona")
+    mapping(uint256 => Tier[]) private _tiers;
+
+    // eventId => suma del aforo de sus zonas (no puede superar totalTickets)
+    mapping(uint256 => uint256) public tieredSupply;
+
+    // eventId => inicio de la venta y preventa
+    mapping(uint256 => SaleSchedule) public saleSchedules;
+
     event EventCreated(
         uint256 indexed eventId,
         address indexed organizer,
@@ -41,15 +98,65 @@ contract EventRegistry is Ownable {
         uint256 totalTickets,
         string metadataCid,
         uint16 maxTicketsPerWallet,
-        uint32 walletCooldown
+        uint32 walletCooldown,
+        uint16 royaltyBps
     );
 
     event EventStatusChanged(uint256 indexed eventId, bool active);
 
+    // previousCid permite a la DApp mostrar el historial de metadatos
+    event EventUpdated(
+        uint256 indexed eventId,
+        string name,
+        uint256 date,
+        string location,
+        uint256 totalTickets,
+        string metadataCid,
+        string previousCid
+    );
+
+    event TierAdded(
+        uint256 indexed eventId,
+        uint256 indexed tierId,
+        string name,
+        uint256 priceWei,
+        uint32 supply,
+        uint16 maxPerWallet,
+        uint64 saleStart,
+        uint64 saleEnd
+    );
+
+    // allowlistCid: JSON en IPFS con la prueba Merkle de cada cartera
+    event SaleScheduleSet(
+        uint256 indexed eventId,
+        uint64 saleStart,
+        uint64 publicSaleStart,
+        bytes32 allowlistRoot,
+        string allowlistCid
+    );
+
+    event MarketSet(address market);
+
     event ValidatorSet(uint256 indexed eventId, address indexed validator, bool active);
 
+    event ValidatorGrantSet(
+        uint256 indexed eventId,
+        address indexed validator,
+        uint64 validFrom,
+        uint64 validUntil,
+        uint32 maxCheckIns
+    );
+
     constructor(address initialOwner) Ownable(initialOwner) {}
 
+    /// @notice Asigna la dirección del contrato de Market (solo una vez)
+    function setMarket(address _market) external onlyOwner {
+        require(_market != address(0), "Market cero");
+        require(market == address(0), "Market ya asignado");
+        market = _market;
+        emit MarketSet(_market);
+    }
+
     /// @notice Crea un nuevo evento.
     /// @dev La fecha se pasa como timestamp en segundos. En la UI usaremos un
     ///      date/datetime picker y convertiremos allí.
@@ -62,12 +169,71 @@ contract EventRegistry is Ownable {
         uint256 totalTickets,
         string memory metadataCid,
         uint16 maxTicketsPerWallet,
-        uint32 walletCooldown
+        uint32 walletCooldown,
+        uint16 royaltyBps
+    ) external returns (uint256 eventId) {
+        eventId = _createEvent(
+            name,
+            date,
+            location,
+            basePriceWei,
+            maxResaleFactor,
+            totalTickets,
+            metadataCid,
+            maxTicketsPerWallet,
+            walletCooldown,
+            royaltyBps
+        );
+    }
+
+    /// @notice Crea un evento con sus zonas en la misma transacción.
+    /// @dev Así no hay ningún bloque en el que el evento exista sin zonas y
+    ///      buyPrimary venda al precio base.
+    function createEventWithTiers(
+        string memory name,
+        uint256 date,
+        string memory location,
+        uint256 basePriceWei,
+        uint8 maxResaleFactor,
+        uint256 totalTickets,
+        string memory metadataCid,
+        uint16 maxTicketsPerWallet,
+        uint32 walletCooldown,
+        uint16 royaltyBps,
+        Tier[] calldata tiers
     ) external returns (uint256 eventId) {
+        eventId = _createEvent(
+            name,
+            date,
+            location,
+            basePriceWei,
+            maxResaleFactor,
+            totalTickets,
+            metadataCid,
+            maxTicketsPerWallet,
+            walletCooldown,
+            royaltyBps
+        );
+        _addTiers(eventId, tiers);
+    }
+
+    function _createEvent(
+        string memory name,
+        uint256 date,
+        string memory location,
+        uint256 basePriceWei,
+        uint8 maxResaleFactor,
+        uint256 totalTickets,
+        string memory metadataCid,
+        uint16 maxTicketsPerWallet,
+        uint32 walletCooldown,
+        uint16 royaltyBps
+    ) internal returns (uint256 eventId) {
         require(bytes(name).length > 0, "Nombre obligatorio");
         require(basePriceWei > 0, "Precio base > 0");
         require(totalTickets > 0, "Total tickets > 0");
         require(maxResaleFactor >= 100, "Factor de reventa minimo 100%");
+        require(royaltyBps <= MAX_ROYALTY_BPS, "Regalia demasiado alta");
 
         // Opcional: si se pone limite por cartera, que no sea mayor que el total
         if (maxTicketsPerWallet > 0) {
@@ -91,7 +257,8 @@ contract EventRegistry is Ownable {
             organizer: msg.sender,
             active: true,
             maxTicketsPerWallet: maxTicketsPerWallet,
-            walletCooldown: walletCooldown
+            walletCooldown: walletCooldown,
+            royaltyBps: royaltyBps
         });
 
         emit EventCreated(
@@ -105,10 +272,145 @@ contract EventRegistry is Ownable {
             totalTickets,
             metadataCid,
             maxTicketsPerWallet,
-            walletCooldown
+            walletCooldown,
+            royaltyBps
         );
     }
 
+    /// @notice Corrige los datos editables de un evento (solo su organizador).
+    /// @dev Precio, reventa, regalía y límites anti-bots no se tocan: afectan a
+    ///      entradas ya vendidas. El aforo no puede bajar de lo ya emitido y no
+    ///      se edita un evento cancelado o ya pasado.
+    function updateEvent(
+        uint256 eventId,
+        string memory name,
+        uint256 date,
+        string memory location,
+        uint256 totalTickets,
+        string memory metadataCid
+    ) external {
+        EventData storage evt = events[eventId];
+        require(evt.organizer != address(0), "Evento inexistente");
+        require(msg.sender == evt.organizer, "Solo el organizador");
+        require(market != address(0), "Market no asignado");
+        require(!ITicketMarketView(market).eventCancelled(eventId), "Evento cancelado");
+        require(block.timestamp < evt.date, "Evento ya paso");
+
+        require(bytes(name).length > 0, "Nombre obligatorio");
+        require(date > block.timestamp, "Fecha en el pasado");
+        uint256 minted = ITicketMarketView(market).mintedTicketsPerEvent(eventId);
+        // Con entradas vendidas no se adelanta: TicketMarket libera los cobros
+        // en cuanto llega la fecha y a partir de ahí ya no se puede cancelar
+        // ni reembolsar a los compradores.
+        require(minted == 0 || date >= evt.date, "No se puede adelantar con ventas");
+        require(totalTickets >= minted, "Aforo menor que los emitidos");
+        require(totalTickets >= tieredSupply[eventId], "Aforo menor que las zonas");
+        if (evt.maxTicketsPerWallet > 0) {
+            require(
+                evt.maxTicketsPerWallet <= totalTickets,
+                "Limite por cartera > total"
+            );
+        }
+
+        string memory previousCid = evt.metadataCid;
+        evt.name = name;
+        evt.date = date;
+        evt.location = location;
+        evt.totalTickets = totalTickets;
+        evt.metadataCid = metadataCid;
+
+        emit EventUpdated(eventId, name, date, location, totalTickets, metadataCid, previousCid);
+    }
+
+    /// @notice Añade zonas a un evento (solo su organizador).
+    /// @dev Las zonas no se editan ni se borran: ya puede haber entradas
+    ///      vendidas de ellas. Su aforo sumado no puede pasar del total.
+    function addTiers(uint256 eventId, Tier[] calldata tiers) external {
+        EventData storage evt = events[eventId];
+        require(evt.organizer != address(0), "Evento inexistente");
+        require(msg.sender == evt.organizer, "Solo el organizador");
+        require(market != address(0), "Market no asignado");
+        require(!ITicketMarketView(market).eventCancelled(eventId), "Evento cancelado");
+        require(block.timestamp < evt.date, "Evento ya paso");
+        _addTiers(eventId, tiers);
+    }
+
+    function _addTiers(uint256 eventId, Tier[] calldata tiers) internal {
+        require(tiers.length > 0, "Sin zonas");
+
+        uint256 supply = tieredSupply[eventId];
+        for (uint256 i = 0; i < tiers.length; i++) {
+            Tier calldata t = tiers[i];
+            require(bytes(t.name).length > 0, "Nombre de zona obligatorio");
+            require(t.priceWei > 0, "Precio de zona > 0");
+            require(t.supply > 0, "Aforo de zona > 0");
+            require(t.saleEnd == 0 || t.saleEnd > t.saleStart, "Ventana de venta invalida");
+
+            supply += t.supply;
+            _tiers[eventId].push(t);
+            emit TierAdded(
+                eventId,
+                _tiers[eventId].length,
+                t.name,
+                t.priceWei,
+                t.supply,
+                t.maxPerWallet,
+                t.saleStart,
+                t.saleEnd
+            );
+        }
+        require(supply <= events[eventId].totalTickets, "Zonas superan el aforo");
+        tieredSupply[eventId] = supply;
+    }
+
+    /// @notice Fija el inicio de la venta y, opcionalmente, una preventa
+    ///         restringida a una lista de carteras (solo su organizador).
+    /// @dev El CID con las pruebas de la lista solo se emite en el evento: es
+    ///      para que la DApp lo encuentre, el contrato solo necesita la raíz.
+    function setSaleSchedule(
+        uint256 eventId,
+        uint64 saleStart,
+        uint64 publicSaleStart,
+        bytes32 allowlistRoot,
+        string calldata allowlistCid
+    ) external {
+        EventData storage evt = events[eventId];
+        require(evt.organizer != address(0), "Evento inexistente");
+        require(msg.sender == evt.organizer, "Solo el organizador");
+        require(market != address(0), "Market no asignado");
+        require(!ITicketMarketView(market).eventCancelled(eventId), "Evento cancelado");
+        require(block.timestamp < evt.date, "Evento ya paso");
+        require(saleStart < evt.date, "Venta despues del evento");
+        if (allowlistRoot != bytes32(0)) {
+            require(
+                publicSaleStart >= saleStart && publicSaleStart <= evt.date,
+                "Fase publica invalida"
+            );
+        }
+
+        saleSchedules[eventId] = SaleSchedule({
+            saleStart: saleStart,
+            publicSaleStart: publicSaleStart,
+            allowlistRoot: allowlistRoot
+        });
+        emit SaleScheduleSet(eventId, saleStart, publicSaleStart, allowlistRoot, allowlistCid);
+    }
+
+    /// @notice Nº de zonas de un evento (0 = venta única a precio base).
+    function tierCount(uint256 eventId) external view returns (uint256) {
+        return _tiers[eventId].length;
+    }
+
+    /// @notice Devuelve una zona de un evento (tierId empieza en 1).
+    function getTier(uint256 eventId, uint256 tierId)
+        external
+        view
+        returns (Tier memory)
+    {
+        require(tierId > 0 && tierId <= _tiers[eventId].length, "Zona inexistente");
+        return _tiers[eventId][tierId - 1];
+    }
+
     /// @notice Devuelve todos los datos de un evento.
     function getEvent(uint256 eventId)
         external
@@ -137,15 +439,64 @@ contract EventRegistry is Ownable {
         address validator,
         bool isActive
     ) external {
+        _requireOrganizerOrOwner(eventId);
+        _setValidator(eventId, validator, isActive);
+    }
+
+    /// @notice Marca o desmarca varias cuentas como validadores del evento
+    ///         en una sola transacción (alta masiva desde una lista).
+    function setValidators(
+        uint256 eventId,
+        address[] calldata validators,
+        bool isActive
+    ) external {
+        _requireOrganizerOrOwner(eventId);
+        require(validators.length > 0, "Lista de validadores vacia");
+        for (uint256 i = 0; i < validators.length; i++) {
+            _setValidator(eventId, validators[i], isActive);
+        }
+    }
+
+    /// @notice Da de alta validadores con permiso limitado: solo validan entre
+    ///         validFrom y validUntil y, si maxCheckIns > 0, hasta ese número de
+    ///         tickets (lo cuenta TicketMarket). Volver a llamarla cambia los límites
+    ///         y empieza un permiso nuevo: la cuenta de validaciones vuelve a 0.
+    function grantValidators(
+        uint256 eventId,
+        address[] calldata validators,
+        uint64 validFrom,
+        uint64 validUntil,
+        uint32 maxCheckIns
+    ) external {
+        _requireOrganizerOrOwner(eventId);
+        require(validators.length > 0, "Lista de validadores vacia");
+        require(validUntil == 0 || validUntil > validFrom, "Ventana de validacion no valida");
+        require(validUntil == 0 || validUntil > block.timestamp, "Permiso ya caducado");
+
+        for (uint256 i = 0; i < validators.length; i++) {
+            _setValidator(eventId, validators[i], true);
+            validatorGrants[eventId][validators[i]] = ValidatorGrant(validFrom, validUntil, maxCheckIns);
+            emit ValidatorGrantSet(eventId, validators[i], validFrom, validUntil, maxCheckIns);
+        }
+    }
+
+    function _requireOrganizerOrOwner(uint256 eventId) internal view {
         EventData storage evt = events[eventId];
         require(evt.organizer != address(0), "Evento inexistente");
         require(
             msg.sender == evt.organizer || msg.sender == owner(),
             "Solo organizer u owner"
         );
+    }
+
+    function _setValidator(uint256 eventId, address validator, bool isActive) internal {
         require(validator != address(0), "Validador no valido");
 
         _validators[eventId][validator] = isActive;
+        // Un alta o baja normal quita los límites anteriores y empieza un
+        // permiso nuevo (el contador de validaciones vuelve a 0)
+        delete validatorGrants[eventId][validator];
+        validatorGrantNonce[eventId][validator]++;
         emit ValidatorSet(eventId, validator, isActive);
     }
 
@@ -158,6 +509,19 @@ contract EventRegistry is Ownable {
         return _validators[eventId][account];
     }
 
+    /// @notice Validador activo y dentro de su ventana de validación (el tope
+    ///         de validaciones lo comprueba TicketMarket).
+    function isValidatorNow(uint256 eventId, address account)
+        public
+        view
+        returns (bool)
+    {
+        if (!_validators[eventId][account]) return false;
+        ValidatorGrant storage grant = validatorGrants[eventId][account];
+        if (block.timestamp < grant.validFrom) return false;
+        return grant.validUntil == 0 || block.timestamp < grant.validUntil;
+    }
+
     /// @notice Comprueba si una dirección es organizador o validador para un evento.
     function isOrganizerOrValidator(uint256 eventId, address account)
         external
@@ -167,6 +531,6 @@ contract EventRegistry is Ownable {
         EventData storage evt = events[eventId];
         if (evt.organizer == address(0)) return false;
         if (account == evt.organizer) return true;
-        return _validators[eventId][account];
+        return isValidatorNow(eventId, account);
     }
 }
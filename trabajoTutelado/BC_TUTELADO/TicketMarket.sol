@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 import "./EventRegistry.sol";
 import "./TicketNFT.sol";
@@ -34,6 +35,48 @@ contract TicketMarket is Ownable, ReentrancyGuard {
     // eventId => wallet => estado anti-bots
     mapping(uint256 => mapping(address => BuyerState)) public buyerState;
 
+    // Máximo de tickets por compra primaria (acota el gas del minteo en lote)
+    uint256 public constant MAX_TICKETS_PER_TX = 10;
+
+    // eventId => tierId => nº de tickets emitidos de la zona
+    mapping(uint256 => mapping(uint256 => uint256)) public mintedPerTier;
+
+    // eventId => tierId => wallet => tickets comprados en la zona
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256))) public tierBought;
+
+    // Comisión de la plataforma sobre cada venta, primaria o reventa (puntos básicos)
+    uint16 public constant MAX_PLATFORM_FEE_BPS = 1000; // 10%
+    uint16 public platformFeeBps;
+    address public feeRecipient;
+
+    // Pull payments: saldo que cada cuenta (organizador o plataforma) puede retirar
+    mapping(address => uint256) public pendingWithdrawals;
+
+    // eventId => cuenta => ingresos de ventas retenidos hasta que pase el evento
+    // (parte del organizador, regalías, comisión y cobros de reventa)
+    mapping(uint256 => mapping(address => uint256)) public escrowedProceeds;
+
+    // eventId => cuenta => total pagado en compras del evento (reembolsable si se cancela)
+    mapping(uint256 => mapping(address => uint256)) public paidForEvent;
+
+    // Cancelación de eventos: tickets de cada evento y cursor del proceso por lotes
+    mapping(uint256 => bool) public eventCancelled;
+    mapping(uint256 => uint256[]) private _eventTokens;
+    mapping(uint256 => uint256) public cancelCursor;
+
+    /// @dev Tickets validados con el permiso `grantNonce` del validador
+    struct CheckInCount {
+        uint64 grantNonce;
+        uint64 count;
+    }
+
+    // eventId => validador => validaciones con su permiso actual (para el tope).
+    // Al cambiar el permiso en EventRegistry el contador empieza de 0.
+    mapping(uint256 => mapping(address => CheckInCount)) private _checkIns;
+
+    // tokenId => listingId + 1 del anuncio activo (0 = no está en reventa)
+    mapping(uint256 => uint256) private _activeListing;
+
     event PrimaryTicketBought(
         uint256 indexed tokenId,
         uint256 indexed eventId,
@@ -55,12 +98,63 @@ contract TicketMarket is Ownable, ReentrancyGuard {
         uint256 priceWei
     );
 
+    event ListingCancelled(
+        uint256 indexed listingId,
+        uint256 indexed tokenId,
+        address indexed seller
+    );
+
+    event ListingPriceUpdated(
+        uint256 indexed listingId,
+        uint256 oldPriceWei,
+        uint256 newPriceWei
+    );
+
     event TicketUsed(
         uint256 indexed tokenId,
         uint256 indexed eventId,
         address indexed validator
     );
 
+    // Reparto de cada venta primaria entre organizador y plataforma
+    event PrimarySaleSplit(
+        uint256 indexed eventId,
+        uint256 indexed tokenId,
+        address indexed organizer,
+        uint256 organizerWei,
+        uint256 feeWei
+    );
+
+    // Reparto de cada reventa: vendedor, regalía del organizador y plataforma
+    event ResaleSaleSplit(
+        uint256 indexed listingId,
+        address indexed seller,
+        address indexed royaltyReceiver,
+        uint256 sellerWei,
+        uint256 royaltyWei,
+        uint256 feeWei
+    );
+
+    event Withdrawal(address indexed payee, uint256 amountWei);
+
+    event ProceedsReleased(uint256 indexed eventId, address indexed payee, uint256 amountWei);
+
+    event EventCancelled(uint256 indexed eventId, address indexed cancelledBy);
+
+    event CancellationProgress(uint256 indexed eventId, uint256 processed, uint256 total);
+
+    event RefundClaimed(uint256 indexed eventId, address indexed account, uint256 amountWei);
+
+    event PlatformFeeUpdated(uint16 feeBps, address indexed feeRecipient);
+
+    // reason: 1 = ticket no válido o evento cancelado, 2 = no autorizado, 3 = ha cambiado de dueño,
+    //         4 = permiso de validador fuera de plazo, 5 = tope de validaciones alcanzado
+    event CheckInSkipped(
+        uint256 indexed tokenId,
+        address indexed validator,
+        uint8 reason
+    );
+
     constructor(
         address _eventRegistry,
         address _ticketNFT,
@@ -70,23 +164,124 @@ contract TicketMarket is Ownable, ReentrancyGuard {
         require(_ticketNFT != address(0), "TicketNFT cero");
         eventRegistry = EventRegistry(_eventRegistry);
         ticketNFT = TicketNFT(_ticketNFT);
+        feeRecipient = initialOwner;
+    }
+
+    // ========= COMISION Y RETIRADAS =========
+
+    /// @notice Configura la comisión de la plataforma sobre primaria y reventa.
+    /// @dev Solo afecta a las ventas posteriores; lo ya acreditado no cambia.
+    function setPlatformFee(uint16 feeBps, address recipient) external onlyOwner {
+        require(feeBps <= MAX_PLATFORM_FEE_BPS, "Comision demasiado alta");
+        require(recipient != address(0), "Destinatario cero");
+        platformFeeBps = feeBps;
+        feeRecipient = recipient;
+        emit PlatformFeeUpdated(feeBps, recipient);
+    }
+
+    /// @notice Pasa al saldo retirable lo que la cuenta tiene retenido en un evento.
+    /// @dev Solo cuando el evento ya ha pasado sin cancelarse.
+    function releaseProceeds(uint256 eventId) external nonReentrant {
+        EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
+        require(evt.organizer != address(0), "Evento inexistente");
+        require(!eventCancelled[eventId], "Evento cancelado");
+        require(block.timestamp >= evt.date, "Evento aun no celebrado");
+
+        uint256 amount = escrowedProceeds[eventId][msg.sender];
+        require(amount > 0, "Nada que liberar");
+        escrowedProceeds[eventId][msg.sender] = 0;
+        pendingWithdrawals[msg.sender] += amount;
+
+        emit ProceedsReleased(eventId, msg.sender, amount);
+    }
+
+    /// @notice Retira todo el saldo acumulado por la cuenta que llama.
+    /// @dev Patrón pull payment: se pone el saldo a cero antes de enviar.
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nada que retirar");
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
+        require(ok, "Transferencia fallida");
+
+        emit Withdrawal(msg.sender, amount);
     }
 
     // ========= VENTA PRIMARIA =========
 
-    /// @notice Compra un ticket en venta primaria.
+    /// @notice Compra `quantity` tickets en venta primaria al precio base.
+    /// @dev Solo para eventos sin zonas; con zonas se usa buyPrimaryTier.
+    ///      `proof` solo hace falta en la preventa (vacía en la fase pública).
+    function buyPrimary(uint256 eventId, uint256 quantity, bytes32[] calldata proof)
+        external
+        payable
+        nonReentrant
+    {
+        require(eventRegistry.tierCount(eventId) == 0, "El evento vende por zonas");
+        _checkSalePhase(eventId, proof);
+        _buyPrimary(eventId, 0, quantity);
+    }
+
+    /// @notice Compra `quantity` tickets de una zona del evento.
+    /// @dev Además de los límites del evento, aplica el precio, aforo,
+    ///      limite por cartera y ventana de venta de la zona.
+    function buyPrimaryTier(
+        uint256 eventId,
+        uint256 tierId,
+        uint256 quantity,
+        bytes32[] calldata proof
+    ) external payable nonReentrant {
+        _checkSalePhase(eventId, proof);
+        EventRegistry.Tier memory tier = eventRegistry.getTier(eventId, tierId);
+        require(block.timestamp >= tier.saleStart, "Venta de la zona no iniciada");
+        require(tier.saleEnd == 0 || block.timestamp <= tier.saleEnd, "Venta de la zona cerrada");
+        require(msg.value == tier.priceWei * quantity, "Precio incorrecto");
+        require(mintedPerTier[eventId][tierId] + quantity <= tier.supply, "Zona agotada");
+
+        uint256 bought = tierBought[eventId][tierId][msg.sender] + quantity;
+        require(
+            tier.maxPerWallet == 0 || bought <= tier.maxPerWallet,
+            "Limite de la zona por cartera alcanzado"
+        );
+        tierBought[eventId][tierId][msg.sender] = bought;
+        mintedPerTier[eventId][tierId] += quantity;
+
+        _buyPrimary(eventId, tierId, quantity);
+    }
+
+    /// @dev Inicio de la venta y preventa: hasta publicSaleStart solo compran
+    ///      las carteras cuya hoja keccak256(keccak256(abi.encode(cartera)))
+    ///      está en el árbol de la lista (el formato de utils/merkle.js).
+    function _checkSalePhase(uint256 eventId, bytes32[] calldata proof) internal view {
+        (uint64 saleStart, uint64 publicSaleStart, bytes32 root) = eventRegistry.saleSchedules(eventId);
+        require(block.timestamp >= saleStart, "Venta no iniciada");
+        if (root != bytes32(0) && block.timestamp < publicSaleStart) {
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender))));
+            require(MerkleProof.verifyCalldata(proof, root, leaf), "Cartera fuera de la preventa");
+        }
+    }
+
     /// @dev Aplica límites de stock, estado del evento, fecha,
     ///      y también limite por cartera + cooldown configurados por el organizador.
-    function buyPrimary(uint256 eventId) external payable nonReentrant {
+    ///      Los límites se comprueban para el lote entero antes de mintear nada
+    ///      y el lote cuenta como una sola compra para el cooldown.
+    ///      El precio de una zona (tierId != 0) ya lo ha comprobado buyPrimaryTier.
+    function _buyPrimary(uint256 eventId, uint256 tierId, uint256 quantity) internal {
+        require(quantity > 0 && quantity <= MAX_TICKETS_PER_TX, "Cantidad no valida");
+
         EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
         require(evt.organizer != address(0), "Evento inexistente");
         require(evt.active, "Evento inactivo");
+        require(!eventCancelled[eventId], "Evento cancelado");
         require(block.timestamp < evt.date, "Evento ya paso");
-        require(msg.value == evt.basePriceWei, "Precio incorrecto");
+        if (tierId == 0) {
+            require(msg.value == evt.basePriceWei * quantity, "Precio incorrecto");
+        }
 
         // Limitar número máximo de tickets emitidos (aforo total)
         require(
-            mintedTicketsPerEvent[eventId] < evt.totalTickets,
+            mintedTicketsPerEvent[eventId] + quantity <= evt.totalTickets,
             "No quedan tickets disponibles"
         );
 
@@ -96,7 +291,7 @@ contract TicketMarket is Ownable, ReentrancyGuard {
         // 1) Limite de tickets por cartera (si > 0)
         if (evt.maxTicketsPerWallet > 0) {
             require(
-                st.bought + 1 <= evt.maxTicketsPerWallet,
+                st.bought + quantity <= evt.maxTicketsPerWallet,
                 "Limite de tickets por cartera alcanzado"
             );
         }
@@ -109,26 +304,36 @@ contract TicketMarket is Ownable, ReentrancyGuard {
             );
         }
 
-        // Si pasa los checks, emitimos el ticket
-        mintedTicketsPerEvent[eventId]++;
-
-        uint256 tokenId = ticketNFT.mintTicket(msg.sender, eventId);
-
-        // Actualizamos estado anti-bots
-        st.bought += 1;
+        // Si pasa los checks, actualizamos contadores y estado anti-bots
+        mintedTicketsPerEvent[eventId] += quantity;
+        st.bought += quantity;
         st.lastBuyTs = uint64(block.timestamp);
 
-        // En un sistema real se enviarían fondos al organizer, etc.
-        // payable(evt.organizer).transfer(msg.value);
-
-        emit PrimaryTicketBought(tokenId, eventId, msg.sender, msg.value);
+        // El pago queda retenido hasta el evento (releaseProceeds + withdraw)
+        // y es reembolsable si el evento se cancela
+        uint256 unitPriceWei = msg.value / quantity;
+        uint256 feeWei = (unitPriceWei * platformFeeBps) / 10000;
+        uint256 organizerWei = unitPriceWei - feeWei;
+        escrowedProceeds[eventId][evt.organizer] += organizerWei * quantity;
+        if (feeWei > 0) escrowedProceeds[eventId][feeRecipient] += feeWei * quantity;
+        paidForEvent[eventId][msg.sender] += msg.value;
+
+        // Un ticket (y sus eventos) por unidad, con el precio unitario
+        for (uint256 i = 0; i < quantity; i++) {
+            uint256 tokenId = ticketNFT.mintTicket(msg.sender, eventId, tierId);
+            _eventTokens[eventId].push(tokenId);
+
+            emit PrimaryTicketBought(tokenId, eventId, msg.sender, unitPriceWei);
+            emit PrimarySaleSplit(eventId, tokenId, evt.organizer, organizerWei, feeWei);
+        }
     }
     
     // ========= REVENTA =========
 
     /// @notice Pone un ticket en reventa.
     /// @dev Solo el dueño actual del NFT puede listar. El precio está limitado por
-    ///      basePriceWei * maxResaleFactor / 100 y el evento debe estar activo y no pasado.
+    ///      el precio nominal (zona o base) * maxResaleFactor / 100 y el evento
+    ///      debe estar activo y no pasado.
     function listForResale(uint256 tokenId, uint256 priceWei) external nonReentrant {
         require(ticketNFT.ownerOf(tokenId) == msg.sender, "No eres el dueno del ticket");
         require(
@@ -141,10 +346,11 @@ contract TicketMarket is Ownable, ReentrancyGuard {
         EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
         require(evt.organizer != address(0), "Evento inexistente");
         require(evt.active, "Evento inactivo");
+        require(!eventCancelled[eventId], "Evento cancelado");
         require(block.timestamp < evt.date, "Evento ya paso");
 
-        // Max price = basePrice * maxResaleFactor / 100
-        uint256 maxPrice = (evt.basePriceWei * evt.maxResaleFactor) / 100;
+        // Max price = precio nominal * maxResaleFactor / 100
+        uint256 maxPrice = (ticketNFT.faceValueWei(tokenId) * evt.maxResaleFactor) / 100;
         require(priceWei <= maxPrice, "Sobrepasa el maximo de reventa");
 
         // Transferimos el ticket al Market (escrow)
@@ -157,12 +363,15 @@ contract TicketMarket is Ownable, ReentrancyGuard {
             priceWei: priceWei,
             active: true
         });
+        _activeListing[tokenId] = listingId + 1;
 
         emit TicketListed(listingId, tokenId, msg.sender, priceWei);
     }
 
     /// @notice Compra un ticket de reventa.
     /// @dev Valida que la listing exista, esté activa y que el evento siga activo y no pasado.
+    ///      El precio se reparte entre vendedor, regalía EIP-2981 del organizador
+    ///      y comisión de la plataforma, retenido hasta el evento como en primaria.
     function buyFromResale(uint256 listingId) external payable nonReentrant {
         Listing storage lst = listings[listingId];
         require(lst.active, "Listing inactiva");
@@ -173,17 +382,142 @@ contract TicketMarket is Ownable, ReentrancyGuard {
         EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
         require(evt.organizer != address(0), "Evento inexistente");
         require(evt.active, "Evento inactivo");
+        require(!eventCancelled[eventId], "Evento cancelado");
         require(block.timestamp < evt.date, "Evento ya paso");
 
         lst.active = false;
+        _activeListing[lst.tokenId] = 0;
+
+        (address royaltyReceiver, uint256 royaltyWei) = ticketNFT.royaltyInfo(
+            lst.tokenId,
+            msg.value
+        );
+        uint256 feeWei = (msg.value * platformFeeBps) / 10000;
+        uint256 sellerWei = msg.value - royaltyWei - feeWei;
 
-        // Pagamos al vendedor
-        payable(lst.seller).transfer(msg.value);
+        escrowedProceeds[eventId][lst.seller] += sellerWei;
+        if (royaltyWei > 0) escrowedProceeds[eventId][royaltyReceiver] += royaltyWei;
+        if (feeWei > 0) escrowedProceeds[eventId][feeRecipient] += feeWei;
+        paidForEvent[eventId][msg.sender] += msg.value;
 
         // Transferimos el ticket al comprador
         ticketNFT.transferFrom(address(this), msg.sender, lst.tokenId);
 
         emit ResaleTicketBought(listingId, lst.tokenId, msg.sender, msg.value);
+        emit ResaleSaleSplit(listingId, lst.seller, royaltyReceiver, sellerWei, royaltyWei, feeWei);
+    }
+
+    /// @notice Retira un anuncio de reventa y devuelve el ticket al vendedor.
+    /// @dev Se permite aunque el evento esté inactivo o ya haya pasado, para no
+    ///      dejar el NFT bloqueado en el Market.
+    function cancelListing(uint256 listingId) external nonReentrant {
+        Listing storage lst = listings[listingId];
+        require(lst.seller != address(0), "Listing inexistente");
+        require(lst.active, "Listing inactiva");
+        require(lst.seller == msg.sender, "No eres el vendedor");
+
+        lst.active = false;
+        _activeListing[lst.tokenId] = 0;
+
+        // Devolvemos el ticket desde el escrow
+        ticketNFT.transferFrom(address(this), msg.sender, lst.tokenId);
+
+        emit ListingCancelled(listingId, lst.tokenId, msg.sender);
+    }
+
+    /// @notice Cambia el precio de un anuncio de reventa activo.
+    /// @dev Mismo tope que al listar: precio nominal * maxResaleFactor / 100.
+    function updateListingPrice(uint256 listingId, uint256 newPriceWei) external nonReentrant {
+        Listing storage lst = listings[listingId];
+        require(lst.seller != address(0), "Listing inexistente");
+        require(lst.active, "Listing inactiva");
+        require(lst.seller == msg.sender, "No eres el vendedor");
+        require(newPriceWei > 0, "Precio debe ser > 0");
+
+        uint256 eventId = ticketNFT.ticketEvent(lst.tokenId);
+        EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
+        require(evt.active, "Evento inactivo");
+        require(!eventCancelled[eventId], "Evento cancelado");
+        require(block.timestamp < evt.date, "Evento ya paso");
+
+        uint256 maxPrice = (ticketNFT.faceValueWei(lst.tokenId) * evt.maxResaleFactor) / 100;
+        require(newPriceWei <= maxPrice, "Sobrepasa el maximo de reventa");
+
+        uint256 oldPriceWei = lst.priceWei;
+        lst.priceWei = newPriceWei;
+
+        emit ListingPriceUpdated(listingId, oldPriceWei, newPriceWei);
+    }
+
+    // ========= CANCELACION Y REEMBOLSOS =========
+
+    /// @notice Cancela un evento: se dejan de vender y validar sus tickets y
+    ///         cada comprador puede reclamar lo que pagó.
+    /// @dev Los tickets se marcan como cancelados por lotes con processCancellation.
+    function cancelEvent(uint256 eventId) external {
+        EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
+        require(evt.organizer != address(0), "Evento inexistente");
+        require(
+            msg.sender == evt.organizer || msg.sender == owner(),
+            "Solo organizer u owner"
+        );
+        require(!eventCancelled[eventId], "Evento cancelado");
+        // Después de la fecha ya se han podido liberar los fondos retenidos
+        require(block.timestamp < evt.date, "Evento ya paso");
+
+        eventCancelled[eventId] = true;
+        emit EventCancelled(eventId, msg.sender);
+    }
+
+    /// @notice Marca como cancelados hasta `maxTickets` tickets más del evento y
+    ///         cierra sus anuncios de reventa (el NFT vuelve al vendedor).
+    /// @dev Cualquiera puede avanzar el cursor; devuelve cuántos quedan.
+    function processCancellation(uint256 eventId, uint256 maxTickets)
+        external
+        nonReentrant
+        returns (uint256 remaining)
+    {
+        require(eventCancelled[eventId], "Evento no cancelado");
+
+        uint256[] storage tokens = _eventTokens[eventId];
+        uint256 i = cancelCursor[eventId];
+        uint256 end = i + maxTickets > tokens.length ? tokens.length : i + maxTickets;
+
+        for (; i < end; i++) {
+            uint256 tokenId = tokens[i];
+
+            uint256 listed = _activeListing[tokenId];
+            if (listed != 0) {
+                Listing storage lst = listings[listed - 1];
+                lst.active = false;
+                _activeListing[tokenId] = 0;
+                ticketNFT.transferFrom(address(this), lst.seller, tokenId);
+                emit ListingCancelled(listed - 1, tokenId, lst.seller);
+            }
+
+            if (ticketNFT.ticketState(tokenId) == TicketNFT.TicketState.Valid) {
+                ticketNFT.cancelTicket(tokenId);
+            }
+        }
+
+        cancelCursor[eventId] = end;
+        emit CancellationProgress(eventId, end, tokens.length);
+        return tokens.length - end;
+    }
+
+    /// @notice Devuelve a la cuenta todo lo que pagó en compras del evento cancelado.
+    /// @dev Quien revendió recupera lo que pagó y el comprador de la reventa lo
+    ///      suyo: los fondos retenidos del evento cubren exactamente ambas cosas.
+    function claimRefund(uint256 eventId) external nonReentrant {
+        require(eventCancelled[eventId], "Evento no cancelado");
+        uint256 amount = paidForEvent[eventId][msg.sender];
+        require(amount > 0, "Nada que reembolsar");
+        paidForEvent[eventId][msg.sender] = 0;
+
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
+        require(ok, "Transferencia fallida");
+
+        emit RefundClaimed(eventId, msg.sender, amount);
     }
 
     // ========= VALIDACION EN ACCESO =========
@@ -194,18 +528,95 @@ contract TicketMarket is Ownable, ReentrancyGuard {
         uint256 eventId = ticketNFT.ticketEvent(tokenId);
         EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
         require(evt.organizer != address(0), "Evento inexistente");
+        // Entre cancelEvent y processCancellation los tickets siguen Valid:
+        // no pueden entrar (sus compradores ya tienen derecho a reembolso)
+        require(!eventCancelled[eventId], "Evento cancelado");
 
-        // Permitimos validar a:
-        //  - organizador del evento
-        //  - cualquier validador autorizado en EventRegistry
-        //  - owner global del contrato (fallback de emergencia)
-        bool autorizado = (msg.sender == evt.organizer) ||
-            eventRegistry.isValidator(eventId, msg.sender) ||
-            (msg.sender == owner());
-
-        require(autorizado, "No autorizado para validar");
+        uint8 permiso = _checkInPermission(eventId, evt.organizer);
+        require(permiso != 2, "No autorizado para validar");
+        require(permiso != 4, "Permiso de validador fuera de plazo");
+        require(permiso != 5, "Tope de validaciones alcanzado");
 
         ticketNFT.markUsed(tokenId);
+        _countCheckIn(eventId);
         emit TicketUsed(tokenId, eventId, msg.sender);
     }
+
+    /// @notice Tickets validados por `validator` con su permiso actual.
+    function checkInsBy(uint256 eventId, address validator) public view returns (uint256) {
+        CheckInCount storage c = _checkIns[eventId][validator];
+        return c.grantNonce == eventRegistry.validatorGrantNonce(eventId, validator) ? c.count : 0;
+    }
+
+    function _countCheckIn(uint256 eventId) internal {
+        uint64 nonce = eventRegistry.validatorGrantNonce(eventId, msg.sender);
+        CheckInCount storage c = _checkIns[eventId][msg.sender];
+        if (c.grantNonce != nonce) {
+            c.grantNonce = nonce;
+            c.count = 0;
+        }
+        c.count++;
+    }
+
+    /// @dev Permitimos validar a:
+    ///  - organizador del evento
+    ///  - validadores de EventRegistry, dentro de su ventana y su tope
+    ///  - owner global del contrato (fallback de emergencia)
+    ///  Devuelve 0 si puede validar o el motivo de CheckInSkipped si no.
+    function _checkInPermission(uint256 eventId, address organizer) internal view returns (uint8) {
+        if (msg.sender == organizer || msg.sender == owner()) return 0;
+        if (!eventRegistry.isValidator(eventId, msg.sender)) return 2;
+        if (!eventRegistry.isValidatorNow(eventId, msg.sender)) return 4;
+
+        (, , uint32 maxCheckIns) = eventRegistry.validatorGrants(eventId, msg.sender);
+        if (maxCheckIns != 0 && checkInsBy(eventId, msg.sender) >= maxCheckIns) return 5;
+        return 0;
+    }
+
+    /// @notice Marca varios tickets como usados (cola de validaciones offline).
+    /// @dev No revierte por un ticket problemático: lo salta y emite CheckInSkipped
+    ///      con el motivo (1 = no válido o evento cancelado, 2 = no autorizado,
+    ///      3 = ha cambiado de dueño).
+    ///      expectedOwners[i] es el dueño que presentó el pase en la puerta; si el
+    ///      ticket se revendió después, no se quema la entrada del nuevo dueño.
+    function markTicketsUsed(uint256[] calldata tokenIds, address[] calldata expectedOwners)
+        external
+        nonReentrant
+        returns (bool[] memory used)
+    {
+        require(tokenIds.length == expectedOwners.length, "Longitudes distintas");
+        used = new bool[](tokenIds.length);
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+
+            if (ticketNFT.ticketState(tokenId) != TicketNFT.TicketState.Valid) {
+                emit CheckInSkipped(tokenId, msg.sender, 1);
+                continue;
+            }
+
+            uint256 eventId = ticketNFT.ticketEvent(tokenId);
+            if (eventCancelled[eventId]) {
+                emit CheckInSkipped(tokenId, msg.sender, 1);
+                continue;
+            }
+
+            EventRegistry.EventData memory evt = eventRegistry.getEvent(eventId);
+            uint8 permiso = _checkInPermission(eventId, evt.organizer);
+            if (permiso != 0) {
+                emit CheckInSkipped(tokenId, msg.sender, permiso);
+                continue;
+            }
+
+            if (ticketNFT.ownerOf(tokenId) != expectedOwners[i]) {
+                emit CheckInSkipped(tokenId, msg.sender, 3);
+                continue;
+            }
+
+            ticketNFT.markUsed(tokenId);
+            _countCheckIn(eventId);
+            used[i] = true;
+            emit TicketUsed(tokenId, eventId, msg.sender);
+        }
+    }
 }
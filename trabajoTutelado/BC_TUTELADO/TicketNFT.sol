@@ -3,11 +3,20 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+import "./EventRegistry.sol";
 
 /// @title NFT de tickets
 /// @dev Solo el contrato TicketMarket puede mintear / marcar usados.
 ///      Las transferencias también están limitadas al Market.
-contract TicketNFT is ERC721, Ownable {
+///      Expone la regalía de reventa de cada evento vía EIP-2981 y genera
+///      on-chain la metadata ERC-721 de cada ticket (tokenURI).
+contract TicketNFT is ERC721, Ownable, IERC2981 {
+    using Strings for uint256;
+
     enum TicketState {
         None,
         Valid,
@@ -23,10 +32,18 @@ contract TicketNFT is ERC721, Ownable {
     // tokenId => eventId
     mapping(uint256 => uint256) public ticketEvent;
 
+    // tokenId => zona del evento (0 = sin zona, precio base)
+    mapping(uint256 => uint256) public ticketTier;
+
     address public eventRegistry;
     address public market; // se configura una vez vía setMarket
 
-    event TicketMinted(uint256 indexed tokenId, uint256 indexed eventId, address indexed to);
+    event TicketMinted(
+        uint256 indexed tokenId,
+        uint256 indexed eventId,
+        address indexed to,
+        uint256 tierId
+    );
     event TicketStateChanged(uint256 indexed tokenId, TicketState newState);
     event MarketSet(address market);
 
@@ -51,8 +68,8 @@ contract TicketNFT is ERC721, Ownable {
         emit MarketSet(_market);
     }
 
-    /// @notice Mintea un ticket para un evento (solo Market)
-    function mintTicket(address to, uint256 eventId)
+    /// @notice Mintea un ticket para un evento y zona (solo Market)
+    function mintTicket(address to, uint256 eventId, uint256 tierId)
         external
         onlyMarket
         returns (uint256 tokenId)
@@ -60,9 +77,10 @@ contract TicketNFT is ERC721, Ownable {
         tokenId = ++_nextTokenId;
         _safeMint(to, tokenId);
         ticketEvent[tokenId] = eventId;
+        ticketTier[tokenId] = tierId;
         ticketState[tokenId] = TicketState.Valid;
 
-        emit TicketMinted(tokenId, eventId, to);
+        emit TicketMinted(tokenId, eventId, to, tierId);
         emit TicketStateChanged(tokenId, TicketState.Valid);
     }
 
@@ -78,6 +96,189 @@ contract TicketNFT is ERC721, Ownable {
         emit TicketStateChanged(tokenId, TicketState.Used);
     }
 
+    /// @notice Marca un ticket como cancelado (solo Market, al cancelar el evento)
+    function cancelTicket(uint256 tokenId) external onlyMarket {
+        require(_ownerOf(tokenId) != address(0), "Token no existe");
+        require(ticketState[tokenId] == TicketState.Valid, "Ticket no valido");
+
+        ticketState[tokenId] = TicketState.Cancelled;
+        emit TicketStateChanged(tokenId, TicketState.Cancelled);
+    }
+
+    /// @notice Precio nominal del ticket: el de su zona o el precio base del
+    ///         evento. Es la referencia del tope de reventa.
+    function faceValueWei(uint256 tokenId) external view returns (uint256) {
+        uint256 eventId = ticketEvent[tokenId];
+        uint256 tierId = ticketTier[tokenId];
+        if (tierId != 0) {
+            return EventRegistry(eventRegistry).getTier(eventId, tierId).priceWei;
+        }
+        return EventRegistry(eventRegistry).getEvent(eventId).basePriceWei;
+    }
+
+    /// @notice Regalía EIP-2981: el organizador del evento del ticket cobra
+    ///         royaltyBps del precio de cada reventa.
+    function royaltyInfo(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        override
+        returns (address receiver, uint256 royaltyAmount)
+    {
+        EventRegistry.EventData memory evt = EventRegistry(eventRegistry).getEvent(
+            ticketEvent[tokenId]
+        );
+        if (_ownerOf(tokenId) == address(0) || evt.organizer == address(0)) {
+            return (address(0), 0);
+        }
+        return (evt.organizer, (salePrice * evt.royaltyBps) / 10000);
+    }
+
+    /// @notice Metadata ERC-721 del ticket como data URI (JSON en Base64): evento,
+    ///         fecha, lugar, zona y estado actual, con una imagen SVG generada
+    ///         on-chain cuyo color sale del metadataCid del evento. El JSON
+    ///         completo del evento queda enlazado en event_metadata (ipfs://).
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+
+        EventRegistry.EventData memory evt = EventRegistry(eventRegistry).getEvent(
+            ticketEvent[tokenId]
+        );
+        uint256 tierId = ticketTier[tokenId];
+        string memory tierName = tierId == 0
+            ? "General"
+            : EventRegistry(eventRegistry).getTier(evt.id, tierId).name;
+        string memory state = _stateLabel(ticketState[tokenId]);
+
+        bytes memory json = abi.encodePacked(
+            _ticketHeader(tokenId, evt),
+            '","image":"data:image/svg+xml;base64,', Base64.encode(_ticketSvg(tokenId, evt, tierName, state)),
+            bytes(evt.metadataCid).length > 0
+                ? string.concat('","event_metadata":"ipfs://', Strings.escapeJSON(evt.metadataCid))
+                : "",
+            '","attributes":', _ticketAttributes(evt, tierName, state), "}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(json));
+    }
+
+    // Los abi.encodePacked van repartidos en funciones pequeñas: con todos los
+    // trozos en una sola llamada el compilador se queda sin pila ("Stack too
+    // deep") con el optimizador y sin viaIR.
+
+    function _stateLabel(TicketState state) internal pure returns (string memory) {
+        if (state == TicketState.Valid) return "Valida";
+        if (state == TicketState.Used) return "Usada";
+        if (state == TicketState.Cancelled) return "Cancelada";
+        return "Desconocido";
+    }
+
+    /// @dev Inicio del JSON, sin cerrar la comilla de description
+    function _ticketHeader(uint256 tokenId, EventRegistry.EventData memory evt)
+        internal
+        pure
+        returns (bytes memory)
+    {
+        string memory name = Strings.escapeJSON(evt.name);
+        string memory id = tokenId.toString();
+        return abi.encodePacked(
+            '{"name":"', name, " #", id,
+            '","description":"Entrada #', id, " para ", name,
+            " en ", Strings.escapeJSON(evt.location)
+        );
+    }
+
+    function _ticketAttributes(
+        EventRegistry.EventData memory evt,
+        string memory tierName,
+        string memory state
+    ) internal pure returns (bytes memory) {
+        bytes memory eventAttrs = abi.encodePacked(
+            '[{"trait_type":"Evento","value":"', Strings.escapeJSON(evt.name),
+            '"},{"trait_type":"ID del evento","value":', evt.id.toString(),
+            '},{"display_type":"date","trait_type":"Fecha","value":', evt.date.toString()
+        );
+        return abi.encodePacked(
+            eventAttrs,
+            '},{"trait_type":"Lugar","value":"', Strings.escapeJSON(evt.location),
+            '"},{"trait_type":"Zona","value":"', Strings.escapeJSON(tierName),
+            '"},{"trait_type":"Estado","value":"', state, '"}]'
+        );
+    }
+
+    /// @dev Tarjeta SVG del ticket. El tono del fondo depende del metadataCid,
+    ///      así los tickets de un mismo evento comparten color.
+    function _ticketSvg(
+        uint256 tokenId,
+        EventRegistry.EventData memory evt,
+        string memory tierName,
+        string memory state
+    ) internal pure returns (bytes memory) {
+        return abi.encodePacked(
+            _svgHeader(uint256(keccak256(bytes(evt.metadataCid))) % 360),
+            _svgEventText(evt, tierName),
+            '<text x="24" y="430" font-size="32">#', tokenId.toString(), "</text>",
+            '<text x="24" y="466" font-size="16">', state, "</text></g></svg>"
+        );
+    }
+
+    function _svgHeader(uint256 hue) internal pure returns (bytes memory) {
+        return abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 500">',
+            '<rect width="350" height="500" rx="24" fill="hsl(', hue.toString(), ',55%,30%)"/>',
+            '<g font-family="sans-serif" fill="#fff">'
+        );
+    }
+
+    function _svgEventText(EventRegistry.EventData memory evt, string memory tierName)
+        internal
+        pure
+        returns (bytes memory)
+    {
+        return abi.encodePacked(
+            '<text x="24" y="64" font-size="22">', _escapeXml(evt.name), "</text>",
+            '<text x="24" y="100" font-size="14">', _escapeXml(evt.location), "</text>",
+            '<text x="24" y="130" font-size="14">Zona: ', _escapeXml(tierName), "</text>"
+        );
+    }
+
+    /// @dev Escapa &, <, > y " para meter texto del organizador en el SVG
+    function _escapeXml(string memory input) internal pure returns (string memory) {
+        bytes memory src = bytes(input);
+        uint256 extra;
+        for (uint256 i = 0; i < src.length; i++) {
+            bytes1 c = src[i];
+            if (c == "&") extra += 4;
+            else if (c == "<" || c == ">") extra += 3;
+            else if (c == '"') extra += 5;
+        }
+        if (extra == 0) return input;
+
+        bytes memory out = new bytes(src.length + extra);
+        uint256 j;
+        for (uint256 i = 0; i < src.length; i++) {
+            bytes1 c = src[i];
+            bytes memory rep = c == "&" ? bytes("&amp;")
+                : c == "<" ? bytes("&lt;")
+                : c == ">" ? bytes("&gt;")
+                : c == '"' ? bytes("&quot;")
+                : bytes("");
+            if (rep.length == 0) {
+                out[j++] = c;
+            } else {
+                for (uint256 k = 0; k < rep.length; k++) out[j++] = rep[k];
+            }
+        }
+        return string(out);
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721, IERC165)
+        returns (bool)
+    {
+        return interfaceId == type(IERC2981).interfaceId || super.supportsInterface(interfaceId);
+    }
+
     /// @dev Hook nuevo en OZ v5 para autorizar transferencias.
     ///      Solo el Market puede mover los tokens.
     function _isAuthorized(
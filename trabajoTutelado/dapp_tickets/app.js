@@ -1,15 +1,63 @@
 // app.js
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
-import { abis, addresses } from "./utils/index.js";
+import QRCode from "https://cdn.jsdelivr.net/npm/qrcode@1.5.4/+esm";
+import {
+  abis,
+  ABI_VERSION,
+  getDeployment,
+  listDeployments,
+} from "./utils/index.js";
+import { createTicketIndexer } from "./utils/indexer.js";
+import { snapshotKey, loadSnapshot, saveSnapshot } from "./utils/cache.js";
+import { createWalletSession } from "./utils/wallet.js";
+import { decodeError } from "./utils/errors.js";
+import { preflight, describePreflight } from "./utils/preflight.js";
+import { createTxManager, CONFIRMATIONS_TARGET } from "./utils/txManager.js";
+import { organizerStats } from "./utils/analytics.js";
+import { stepChart, barChart } from "./utils/charts.js";
+import { createTicketPass, encodePass } from "./utils/ticketPass.js";
+import { queryListings } from "./utils/marketplace.js";
+import { parseAddressList, buildAllowlist, proofFor } from "./utils/merkle.js";
+import {
+  ipfsUri,
+  parseLineup,
+  lineupToText,
+  checkImageFile,
+  validateEventDetails,
+  validateEventMetadata,
+  buildEventMetadata,
+  createMetadataLoader,
+  CID_RE,
+} from "./utils/eventMetadata.js";
+import { decodeTokenUri, validateErc721Metadata, formatAttributes } from "./utils/tokenMetadata.js";
+import {
+  createIpfsClient,
+  loadIpfsConfig,
+  saveIpfsConfig,
+  DEFAULT_IPFS_CONFIG,
+} from "./utils/ipfsClient.js";
 
 let provider;
 let signer;
 let currentAccount;
 
+// Entrada del registro de despliegues para la red conectada
+let deployment;
+
 let eventRegistry;
 let ticketNFT;
 let ticketMarket;
 
+// Estado derivado de los logs (eventos, tickets, listings, validadores)
+let indexer;
+let indexerCacheKey;
+
+// Transacciones enviadas por la cuenta actual (pendientes + historial)
+let txManager;
+
+// Comisión actual de la plataforma en puntos básicos (TicketMarket.platformFeeBps)
+let platformFeeBps = 0;
+
 // DOM
 const logEl = document.getElementById("log");
 const accountEl = document.getElementById("account");
@@ -18,10 +66,45 @@ const statusBarEl = document.getElementById("status-bar");
 const statusLabelEl = document.getElementById("status-label");
 const statusTextEl = document.getElementById("status-text");
 const roleInfoEl = document.getElementById("role-info");
+const dashboardEl = document.getElementById("organizer-dashboard");
+const payoutsEl = document.getElementById("organizer-payouts");
+const marketListEl = document.getElementById("market-list");
+const marketEventEl = document.getElementById("market-event");
+const marketPageInfoEl = document.getElementById("market-page-info");
+const marketPrevEl = document.getElementById("market-prev");
+const marketNextEl = document.getElementById("market-next");
+const tierRowsEl = document.getElementById("tier-rows");
+const buyTierEl = document.getElementById("buy-tier");
+const saleInfoEl = document.getElementById("buy-sale-info");
+const buyQuantityEl = document.getElementById("buy-quantity");
+const buyAllowanceEl = document.getElementById("buy-allowance");
+const allowlistSummaryEl = document.getElementById("allowlist-summary");
+const validatorRosterEl = document.getElementById("validator-roster");
+const networkSwitcherEl = document.getElementById("network-switcher");
+const confirmDialogEl = document.getElementById("confirm-dialog");
+const confirmTitleEl = document.getElementById("confirm-title");
+const confirmDetailsEl = document.getElementById("confirm-details");
+const txPendingCountEl = document.getElementById("tx-pending-count");
+const txDrawerBodyEl = document.getElementById("tx-drawer-body");
+const txListEl = document.getElementById("tx-list");
+const passDialogEl = document.getElementById("pass-dialog");
+const passTitleEl = document.getElementById("pass-title");
+const passQrEl = document.getElementById("pass-qr");
+const passExpiryEl = document.getElementById("pass-expiry");
+
+// IPFS: nodo Kubo (docker) con las URLs de "Nodo IPFS" o las de por defecto
+function initialIpfsConfig() {
+  try {
+    return loadIpfsConfig();
+  } catch (err) {
+    console.warn("Configuración de IPFS no válida, se usan las URLs por defecto:", err);
+    return DEFAULT_IPFS_CONFIG;
+  }
+}
+const ipfs = createIpfsClient(initialIpfsConfig());
 
-// IPFS (docker)
-const IPFS_API_URL = "http://127.0.0.1:5001/api/v0";
-const IPFS_GATEWAY_URL = "http://127.0.0.1:8080/ipfs";
+// Metadata de los eventos (ficha con portada y descripción) leída del gateway
+const eventMetadata = createMetadataLoader(ipfs.config.gatewayUrl);
 
 // ----------------- helpers UI -----------------
 
@@ -61,58 +144,116 @@ function clearFieldErrors(prefixes) {
   prefixes.forEach((id) => setFieldError(id, ""));
 }
 
+// Interfaces de los tres contratos para decodificar sus custom errors
+const contractInterfaces = [
+  new ethers.utils.Interface(abis.eventRegistry.abi),
+  new ethers.utils.Interface(abis.ticketNFT.abi),
+  new ethers.utils.Interface(abis.ticketMarket.abi),
+];
+
+// Muestra un error de contrato/wallet ya traducido. `fields` traduce el campo
+// lógico del error (event, token, price...) al id del formulario del handler.
+function reportError(action, err, fields = {}) {
+  console.error(err);
+  const decoded = decodeError(err, contractInterfaces);
+  const fieldId = decoded.field ? fields[decoded.field] : null;
+  if (fieldId) setFieldError(fieldId, decoded.message);
+
+  const icon = decoded.icon ? `${decoded.icon} ` : "";
+  const raw = decoded.reason ? ` [${decoded.reason}]` : "";
+  log(`${icon}${action}: ${decoded.message}${raw}`);
+  setStatus("error", `${action}: ${decoded.message}`);
+  return decoded;
+}
+
+// Diálogo propio de confirmación: resuelve true solo si el usuario acepta
+function askConfirmation(title, lines) {
+  confirmTitleEl.textContent = title;
+  confirmDetailsEl.innerHTML = "";
+  lines.forEach(([label, value]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    confirmDetailsEl.append(dt, dd);
+  });
+
+  return new Promise((resolve) => {
+    confirmDialogEl.addEventListener(
+      "close",
+      () => resolve(confirmDialogEl.returnValue === "confirm"),
+      { once: true }
+    );
+    confirmDialogEl.returnValue = "";
+    confirmDialogEl.showModal();
+  });
+}
+
 // ----------------- helpers contratos/IPFS -----------------
 
+// Sube el JSON, comprueba que queda fijado (pin) y lo copia al MFS
 async function uploadJsonToIpfs(obj, mfsPath = null) {
-  const data = JSON.stringify(obj);
-  const form = new FormData();
-  form.append("file", new Blob([data], { type: "application/json" }));
+  const { cid } = await ipfs.addJson(obj, { mfsPath });
+  return cid;
+}
 
-  let res;
-  try {
-    res = await fetch(`${IPFS_API_URL}/add?pin=true`, {
-      method: "POST",
-      body: form,
-    });
-  } catch (err) {
-    console.error("Error de red llamando a IPFS /add:", err);
-    throw new Error(
-      err && err.message && err.message.includes("ERR_BLOCKED_BY_CLIENT")
-        ? "El navegador está bloqueando la conexión a IPFS. Desactiva el bloqueador en localhost:3000."
-        : `Error de red al llamar a IPFS: ${err.message ?? err}`
-    );
-  }
+// Imágenes de la ficha del evento (portada, plano), con el progreso de subida
+async function uploadFileToIpfs(file, mfsPath = null) {
+  const { cid } = await ipfs.add(file, {
+    mfsPath,
+    onProgress: ({ loaded, total }) =>
+      setStatus("pending", `Subiendo ${file.name} a IPFS... ${Math.round((loaded * 100) / total)}%`),
+  });
+  return cid;
+}
 
-  if (!res.ok) {
-    const body = await res.text().catch(() => "");
-    console.error("Respuesta no OK de IPFS /add:", res.status, body);
-    throw new Error(
-      `IPFS /add devolvió ${res.status} ${res.statusText}: ${body.slice(0, 200)}`
-    );
-  }
+// ----------------- nodo IPFS -----------------
 
-  const text = await res.text();
-  const cidMatch = text.match(/"Hash":"([^"]+)"/);
-  if (!cidMatch) {
-    console.error("Respuesta inesperada de IPFS /add:", text);
-    throw new Error("No se pudo extraer el CID de la respuesta IPFS");
-  }
-  const cid = cidMatch[1];
+function renderIpfsSettings() {
+  document.getElementById("ipfs-api-url").value = ipfs.config.apiUrl;
+  document.getElementById("ipfs-gateway-url").value = ipfs.config.gatewayUrl;
+}
 
-  if (mfsPath) {
-    await fetch(
-      `${IPFS_API_URL}/files/cp?arg=/ipfs/${cid}&arg=${encodeURIComponent(
-        mfsPath
-      )}&parents=true`,
-      { method: "POST" }
-    );
+function readIpfsSettings() {
+  return {
+    apiUrl: document.getElementById("ipfs-api-url").value,
+    gatewayUrl: document.getElementById("ipfs-gateway-url").value,
+  };
+}
+
+// Pregunta la versión al nodo con las URLs del formulario (sin guardarlas)
+async function handleIpfsCheck() {
+  const infoEl = document.getElementById("ipfs-node-info");
+  try {
+    const client = createIpfsClient({ ...readIpfsSettings(), retries: 0, timeoutMs: 5000 });
+    infoEl.textContent = "Conectando con el nodo...";
+    const { version } = await client.version();
+    infoEl.textContent = `🟢 Kubo ${version} en ${client.config.apiUrl}`;
+  } catch (err) {
+    infoEl.textContent = `🔴 ${err.message ?? err}`;
   }
+}
 
-  return cid;
+// Las URLs se leen al cargar la página: guardar y recargar
+function handleIpfsSave() {
+  try {
+    saveIpfsConfig(readIpfsSettings());
+    location.reload();
+  } catch (err) {
+    document.getElementById("ipfs-node-info").textContent = `🔴 ${err.message ?? err}`;
+  }
 }
 
 function ensureContracts() {
-  if (!provider || !signer || !eventRegistry || !ticketNFT || !ticketMarket) {
+  if (
+    !provider ||
+    !signer ||
+    !eventRegistry ||
+    !ticketNFT ||
+    !ticketMarket ||
+    !indexer ||
+    !txManager
+  ) {
     log("Primero conecta la wallet antes de usar la DApp.");
     setStatus("error", "Conecta la wallet para operar con la DApp.");
     return false;
@@ -120,8 +261,35 @@ function ensureContracts() {
   return true;
 }
 
+// Simula la llamada y pide confirmación en nuestro diálogo. Si la simulación
+// revierte, lanza el error (lo decodifica el catch del handler). Devuelve los
+// overrides con gasLimit para enviar la tx, o null si el usuario cancela.
+// `extraLines` se muestran antes de los datos de gas (p.ej. reparto del precio)
+async function simulateAndConfirm(contract, method, args, overrides, title, extraLines = []) {
+  setStatus("pending", "Simulando la transacción...");
+  const sim = await preflight(contract, method, args, overrides);
+  log(
+    `Simulación de ${method} OK: gas ${sim.gasEstimate.toString()}, comisión estimada ${ethers.utils.formatEther(
+      sim.feeWei
+    )} ETH.`
+  );
+
+  const confirmed = await askConfirmation(title, [
+    ...extraLines,
+    ...describePreflight(sim),
+  ]);
+  if (!confirmed) {
+    log(`Operación ${method} cancelada antes de firmar.`);
+    setStatus("idle", "Operación cancelada.");
+    return null;
+  }
+  return sim.overrides;
+}
+
 // ----------------- wallet -----------------
 
+const walletSession = createWalletSession({ onChange: handleSessionChange });
+
 async function connectWallet() {
   try {
     if (!window.ethereum) {
@@ -130,16 +298,105 @@ async function connectWallet() {
     }
 
     setStatus("pending", "Solicitando conexión a la wallet...");
-    provider = new ethers.providers.Web3Provider(window.ethereum);
-    await provider.send("eth_requestAccounts", []);
-    signer = provider.getSigner();
-    currentAccount = await signer.getAddress();
+    walletSession.start();
+    await walletSession.connect();
+  } catch (err) {
+    reportError("Error al conectar la wallet", err);
+  }
+}
+
+// Vacía los paneles que dependen de la cuenta conectada
+function clearAccountPanels(message) {
+  roleInfoEl.textContent = message;
+  document.getElementById("my-tickets-list").innerHTML = "";
+  dashboardEl.textContent = "";
+  payoutsEl.textContent = "";
+  document.getElementById("my-refunds").textContent = "";
+  marketListEl.textContent = "Conecta la wallet para ver los tickets en reventa.";
+  marketPageInfoEl.textContent = "";
+  marketPrevEl.disabled = marketNextEl.disabled = true;
+}
+
+function resetSession() {
+  indexer?.stop();
+  unsubscribeLiveUpdates();
+  if (txManager) txManager.stop();
+  txManager = undefined;
+  renderTxDrawer([]);
+  provider = signer = currentAccount = undefined;
+  eventRegistry = ticketNFT = ticketMarket = indexer = undefined;
+  deployment = undefined;
+}
+
+// Cada llamada a handleSessionChange toma un número; si mientras espera llega
+// otro cambio de cuenta o de red, la llamada vieja se corta en el siguiente
+// await y no pinta datos de la cuenta anterior sobre la nueva.
+let sessionGeneration = 0;
 
-    const network = await provider.getNetwork();
+// Se llama al conectar, al restaurar la sesión y cada vez que la wallet
+// cambia de cuenta o de red: reconstruye contratos, índice y paneles.
+async function handleSessionChange(session, reason) {
+  const generation = ++sessionGeneration;
+  const stale = () => generation !== sessionGeneration;
+  try {
+    if (!session) {
+      resetSession();
+      accountEl.textContent = "no conectada";
+      networkEl.textContent = "";
+      clearAccountPanels(
+        "Conecta la wallet para ver en qué eventos eres organizador o validador."
+      );
+      log(`Wallet desconectada (${reason}).`);
+      setStatus("idle", "Wallet desconectada. Vuelve a conectar para operar.");
+      return;
+    }
+
+    const previousDeployment = deployment;
+    // El índice anterior deja de sincronizar; si la red no cambia, el nuevo
+    // parte de una copia de su estado
+    const previousIndexer = indexer;
+    previousIndexer?.stop();
+    unsubscribeLiveUpdates();
+    if (txManager) txManager.stop();
+    txManager = undefined;
+    renderTxDrawer([]);
+
+    provider = session.provider;
+    signer = session.signer;
+    currentAccount = session.account;
+
+    const network = session.network;
     accountEl.textContent = currentAccount;
     networkEl.textContent = network.name || `chainId: ${network.chainId}`;
+    clearAccountPanels("Cargando rol de la cuenta...");
+
+    // Elegimos direcciones según la red; si no la conocemos, no operamos
+    deployment = getDeployment(network.chainId);
+    if (!deployment) {
+      eventRegistry = ticketNFT = ticketMarket = indexer = undefined;
+      renderNetworkSwitcher();
+      const supported = listDeployments()
+        .map((d) => `${d.name} (${d.chainId})`)
+        .join(", ");
+      log(`Red no soportada: chainId ${network.chainId}. Redes disponibles: ${supported}.`);
+      setStatus(
+        "error",
+        `La red conectada (chainId ${network.chainId}) no tiene los contratos desplegados. Cambia a: ${supported}.`
+      );
+      return;
+    }
+    networkEl.textContent = deployment.name;
+    renderNetworkSwitcher();
+
+    if (deployment.abiVersion !== ABI_VERSION) {
+      log(
+        `AVISO: el despliegue de ${deployment.name} usa ABI v${deployment.abiVersion} y la DApp v${ABI_VERSION}. Algunas llamadas pueden fallar.`
+      );
+    }
 
-    // Instancia de contratos
+    const addresses = deployment.addresses;
+
+    // Instancia de contratos (siempre con el signer de la cuenta actual)
     eventRegistry = new ethers.Contract(
       addresses.eventRegistry,
       abis.eventRegistry.abi,
@@ -156,19 +413,136 @@ async function connectWallet() {
       signer
     );
 
-    log(`Wallet conectada: ${currentAccount}`);
+    indexer = createTicketIndexer({
+      provider,
+      contracts: { eventRegistry, ticketNFT, ticketMarket },
+      fromBlock: deployment.deploymentBlock,
+      onReorg: (fromBlock) =>
+        log(`Reorg detectada: se deshace el índice desde el bloque ${fromBlock} y se resincroniza.`),
+    });
+
+    // Retoma las transacciones que quedaron pendientes (p.ej. tras recargar)
+    txManager = createTxManager({
+      provider,
+      account: currentAccount,
+      chainId: deployment.chainId,
+      interfaces: contractInterfaces,
+      onUpdate: renderTxDrawer,
+    });
+    txManager.start().catch((e) =>
+      console.warn("No se pudieron retomar las transacciones pendientes:", e)
+    );
+
+    // Para mostrar el reparto de cada reventa en el mercado
+    const feeBps = await ticketMarket.platformFeeBps().catch(() => 0);
+    if (stale()) return;
+    platformFeeBps = feeBps;
+
+    if (reason === "accountsChanged") {
+      log(`Cuenta cambiada en la wallet: ${currentAccount}`);
+    } else if (reason === "chainChanged") {
+      log(`Red cambiada en la wallet: ${deployment.name}`);
+    } else if (reason === "restore") {
+      log(`Sesión restaurada: ${currentAccount}`);
+    } else {
+      log(`Wallet conectada: ${currentAccount}`);
+    }
     setStatus("success", "Wallet conectada. Lista para operar.");
 
+    // Mostramos al instante lo que ya tengamos (índice en memoria si la red
+    // no ha cambiado, o la caché de IndexedDB) y después nos ponemos al día
+    indexerCacheKey = snapshotKey(deployment.chainId, addresses);
+    const sameDeployment =
+      previousIndexer &&
+      previousDeployment &&
+      previousDeployment.chainId === deployment.chainId;
+    const cached = sameDeployment
+      ? previousIndexer.snapshot()
+      : await loadSnapshot(indexerCacheKey).catch((e) => {
+          console.warn("No se pudo leer la caché del indexador:", e);
+          return null;
+        });
+    if (stale()) return;
+    if (indexer.restore(cached)) {
+      if (!sameDeployment) {
+        log(`Caché local cargada (hasta el bloque ${indexer.lastBlock}). Sincronizando bloques nuevos...`);
+      }
+      renderEventsList();
+      renderRolesAndMyTickets();
+    }
+
     // Refrescamos panel de eventos, rol y tickets
     await refreshEventsList().catch(() => {});
+    if (stale()) return;
     await refreshRolesAndMyTickets().catch(() => {});
+    if (stale()) return;
+
+    // A partir de aquí los paneles se actualizan solos con los logs nuevos
+    subscribeLiveUpdates();
+  } catch (err) {
+    if (stale()) return;
+    console.error(err);
+    log(`Error al preparar la sesión de la wallet: ${err.message ?? err}`);
+    setStatus("error", `Error al preparar la sesión: ${err.message ?? err}`);
+  }
+}
+
+// ----------------- red -----------------
+
+// Pide a la wallet cambiar de red; si no la conoce (4902), la añade primero
+async function switchToNetwork(chainId) {
+  const dep = getDeployment(chainId);
+  if (!dep) return;
+
+  const chainIdHex = ethers.utils.hexValue(dep.chainId);
+  try {
+    setStatus("pending", `Cambiando a ${dep.name}...`);
+    try {
+      await window.ethereum.request({
+        method: "wallet_switchEthereumChain",
+        params: [{ chainId: chainIdHex }],
+      });
+    } catch (err) {
+      if (err.code !== 4902) throw err;
+      await window.ethereum.request({
+        method: "wallet_addEthereumChain",
+        params: [
+          {
+            chainId: chainIdHex,
+            chainName: dep.name,
+            rpcUrls: dep.rpcUrls,
+            nativeCurrency: dep.nativeCurrency,
+            blockExplorerUrls: dep.blockExplorerUrls.length
+              ? dep.blockExplorerUrls
+              : undefined,
+          },
+        ],
+      });
+    }
+
+    // Si ya había sesión, el evento chainChanged de la wallet la reconstruye
+    log(`Red cambiada a ${dep.name}.`);
+    if (!walletSession.current) await connectWallet();
   } catch (err) {
     console.error(err);
-    log(`Error al conectar la wallet: ${err.message ?? err}`);
-    setStatus("error", `Error al conectar la wallet: ${err.message ?? err}`);
+    log(`Error al cambiar de red: ${err.message ?? err}`);
+    setStatus("error", `No se pudo cambiar a ${dep.name}: ${err.message ?? err}`);
   }
 }
 
+// Botones con las redes configuradas (la actual aparece deshabilitada)
+function renderNetworkSwitcher() {
+  networkSwitcherEl.innerHTML = "";
+  listDeployments().forEach((dep) => {
+    const btn = document.createElement("button");
+    btn.className = "secondary";
+    btn.textContent = dep.name;
+    btn.disabled = !!deployment && deployment.chainId === dep.chainId;
+    btn.addEventListener("click", () => switchToNetwork(dep.chainId));
+    networkSwitcherEl.appendChild(btn);
+  });
+}
+
 // ----------------- crear evento -----------------
 
 async function handleCreateEvent() {
@@ -184,6 +558,8 @@ async function handleCreateEvent() {
       "event-total",
       "event-perwallet",
       "event-cooldown",
+      "event-royalty",
+      "event-tiers",
     ]);
 
     const name = document.getElementById("event-name").value.trim();
@@ -194,6 +570,7 @@ async function handleCreateEvent() {
     const totalStr = document.getElementById("event-total").value.trim();
     const perWalletStr = document.getElementById("event-perwallet").value.trim();
     const cooldownStr = document.getElementById("event-cooldown").value.trim();
+    const royaltyStr = document.getElementById("event-royalty").value.trim();
     const manualCid = document.getElementById("event-cid").value.trim();
 
     let hasError = false;
@@ -259,6 +636,27 @@ async function handleCreateEvent() {
       }
     }
 
+    // Regalía en % con hasta dos decimales => puntos básicos
+    let royaltyBps = 0;
+    if (royaltyStr) {
+      const pct = Number(royaltyStr);
+      if (!Number.isFinite(pct) || pct < 0 || pct > 20) {
+        setFieldError(
+          "event-royalty",
+          "La regalía debe estar entre 0 y 20 (%)."
+        );
+        hasError = true;
+      } else {
+        royaltyBps = Math.round(pct * 100);
+      }
+    }
+
+    const tiers = readTierRows(Number(totalStr));
+    if (!tiers) hasError = true;
+
+    const details = manualCid ? {} : readEventDetails("event-");
+    if (!details) hasError = true;
+
     if (hasError) {
       setStatus("error", "Revisa los campos marcados en el formulario.");
       return;
@@ -279,8 +677,8 @@ async function handleCreateEvent() {
     const perWalletLimitBn = ethers.BigNumber.from(perWalletLimit);
     const cooldownSecondsBn = ethers.BigNumber.from(cooldownSeconds);
 
-    // Metadata a IPFS (incluimos también los campos anti-bots)
-    const metadata = {
+    // Metadata a IPFS (incluimos también los campos anti-bots y la ficha)
+    const metadataFields = {
       name,
       date: dateTimestamp,
       location,
@@ -289,6 +687,15 @@ async function handleCreateEvent() {
       totalTickets: Number(totalStr),
       maxPerWallet: perWalletLimit,
       cooldownSeconds,
+      royaltyBps,
+      tiers: tiers.map((t) => ({
+        name: t.name,
+        priceEth: ethers.utils.formatEther(t.priceWei),
+        supply: t.supply,
+        maxPerWallet: t.maxPerWallet,
+        saleStart: t.saleStart,
+        saleEnd: t.saleEnd,
+      })),
       createdAt: Date.now(),
     };
 
@@ -298,6 +705,8 @@ async function handleCreateEvent() {
       cid = manualCid;
       log(`Usando CID manual para metadata: ${cid}`);
     } else {
+      const images = await uploadEventImages("event-", `/eventos/img-${Date.now()}`);
+      const metadata = buildEventMetadata(metadataFields, { ...details, ...images });
       const mfsPath = `/eventos/event-${Date.now()}.json`;
       log(
         `Subiendo metadata del evento a IPFS y guardando en MFS en ${mfsPath}...`
@@ -305,37 +714,54 @@ async function handleCreateEvent() {
       cid = await uploadJsonToIpfs(metadata, mfsPath);
     }
 
-    const nextIdBefore = await eventRegistry.nextEventId();
-
     log(
       `Creando evento on-chain (límite por cartera = ${
         perWalletLimit || "sin límite"
       }, cooldown = ${cooldownSeconds || "sin cooldown"} s)...`
     );
-    setStatus("pending", "Creando evento en la blockchain...");
-
     // Soportamos ABI antiguo (7 parámetros) y nuevo (9 parámetros)
     const fn = eventRegistry.interface.getFunction("createEvent");
     const argCount = fn.inputs.length;
 
-    let tx;
-    if (argCount === 7) {
+    let method = "createEvent";
+    let args;
+    if (tiers.length) {
+      // Evento y zonas en la misma tx: no hay ningún bloque en el que el
+      // evento exista sin zonas y se venda al precio base
+      if (!eventRegistry.createEventWithTiers) {
+        throw new Error("El contrato desplegado no admite zonas: crea el evento sin zonas.");
+      }
+      method = "createEventWithTiers";
+      args = [
+        name,
+        ethers.BigNumber.from(dateTimestamp),
+        location,
+        basePriceWei,
+        maxFactor,
+        totalTickets,
+        cid,
+        perWalletLimitBn,
+        cooldownSecondsBn,
+        royaltyBps,
+        tiers,
+      ];
+    } else if (argCount === 7) {
       // Contrato viejo: no expone límite/cooldown en createEvent
-      tx = await eventRegistry.createEvent(
+      args = [
         name,
         ethers.BigNumber.from(dateTimestamp),
         location,
         basePriceWei,
         maxFactor,
         totalTickets,
-        cid
-      );
+        cid,
+      ];
       log(
         "AVISO: createEvent() solo acepta 7 parámetros; límite por cartera y cooldown solo quedan en la metadata (no on-chain)."
       );
     } else if (argCount === 9) {
-  // Contrato nuevo: metadataCid va ANTES de los límites anti-bot
-      tx = await eventRegistry.createEvent(
+      // Contrato nuevo: metadataCid va ANTES de los límites anti-bot
+      args = [
         name,
         ethers.BigNumber.from(dateTimestamp),
         location,
@@ -344,196 +770,981 @@ async function handleCreateEvent() {
         totalTickets,
         cid,                // string metadataCid (Qm...)
         perWalletLimitBn,   // uint16 maxTicketsPerWallet
-        cooldownSecondsBn   // uint32 walletCooldown
-      );
+        cooldownSecondsBn,  // uint32 walletCooldown
+      ];
+      if (royaltyBps > 0) {
+        log(
+          "AVISO: createEvent() no acepta regalía; la regalía solo queda en la metadata (no on-chain)."
+        );
+      }
+    } else if (argCount === 10) {
+      // Contrato con regalías de reventa (EIP-2981) al final
+      args = [
+        name,
+        ethers.BigNumber.from(dateTimestamp),
+        location,
+        basePriceWei,
+        maxFactor,
+        totalTickets,
+        cid,
+        perWalletLimitBn,
+        cooldownSecondsBn,
+        royaltyBps,         // uint16 royaltyBps
+      ];
     } else {
       throw new Error(
         `createEvent() tiene ${argCount} parámetros en el ABI; revisa app.js para adaptar la llamada.`
       );
     }
 
-    await tx.wait();
+    const overrides = await simulateAndConfirm(
+      eventRegistry,
+      method,
+      args,
+      {},
+      tiers.length ? `Crear el evento "${name}" con ${tiers.length} zonas` : `Crear el evento "${name}"`,
+      tiers.map((t) => [
+        t.name,
+        `${ethers.utils.formatEther(t.priceWei)} ETH · ${t.supply} entradas`,
+      ])
+    );
+    if (!overrides) return;
+
+    setStatus("pending", "Creando evento en la blockchain...");
+    const tx = await eventRegistry[method](...args, overrides);
+
+    const receipt = await txManager.track(tx, `Crear evento "${name}"`);
 
-    const eventId = nextIdBefore.toString();
+    // El ID sale del receipt: nextEventId() leído antes de enviar puede
+    // quedarse viejo si otro evento se crea en el mismo bloque
+    const created = receipt.events?.find((e) => e.event === "EventCreated");
+    if (!created) throw new Error("La transacción no ha emitido EventCreated.");
+    const eventId = created.args.eventId.toString();
     log(`Evento creado con ID ${eventId}, metadata CID: ${cid}`);
-    log(`Metadata IPFS: ${IPFS_GATEWAY_URL}/${cid}`);
+    log(`Metadata IPFS: ${ipfs.gatewayUrl(cid)}`);
+    if (tiers.length) {
+      log(`Zonas del evento ${eventId}: ${tiers.map((t) => t.name).join(", ")}.`);
+    }
     setStatus("success", `Evento ${eventId} creado correctamente.`);
 
     await refreshEventsList().catch(() => {});
     await refreshRolesAndMyTickets().catch(() => {});
   } catch (err) {
-    console.error(err);
-    log(`Error al crear evento: ${err.message ?? err}`);
-    setStatus("error", `Error al crear evento: ${err.message ?? err}`);
+    reportError("Error al crear evento", err, {
+      name: "event-name",
+      image: "event-cover",
+      basePrice: "event-baseprice",
+      totalTickets: "event-total",
+      maxFactor: "event-maxfactor",
+      perWallet: "event-perwallet",
+      royalty: "event-royalty",
+      tiers: "event-tiers",
+    });
   }
 }
 
-// ----------------- comprar venta primaria -----------------
+// ----------------- ficha del evento (metadata) -----------------
+
+// Campo de la ficha => sufijo del id en el formulario (event- o edit-event-)
+const DETAIL_INPUTS = {
+  description: "description",
+  image: "cover",
+  venueMap: "venue-map",
+  lineup: "lineup",
+  ageRestriction: "age",
+  terms: "terms",
+};
+
+// Imágenes ya subidas del evento que se está editando (se conservan si no
+// se elige otra)
+let editKeptImages = {};
+let editDetailsEventId = null;
+
+// Lee y comprueba los campos de texto de la ficha. Devuelve null si alguno
+// no es válido (con su error en el formulario).
+function readEventDetails(prefix) {
+  const value = (key) => document.getElementById(`${prefix}${DETAIL_INPUTS[key]}`).value.trim();
+  clearFieldErrors(Object.values(DETAIL_INPUTS).map((id) => `${prefix}${id}`));
+
+  const age = value("ageRestriction");
+  const details = {
+    description: value("description") || null,
+    lineup: parseLineup(value("lineup")),
+    ageRestriction: age === "" ? null : Number(age),
+    terms: value("terms") || null,
+  };
+
+  const errors = validateEventDetails(details);
+  for (const key of ["image", "venueMap"]) {
+    const file = document.getElementById(`${prefix}${DETAIL_INPUTS[key]}`).files[0];
+    const problem = file ? checkImageFile(file) : null;
+    if (problem) errors.push({ field: key, message: problem });
+  }
+  errors.forEach((e) => setFieldError(`${prefix}${DETAIL_INPUTS[e.field]}`, e.message));
+  return errors.length ? null : details;
+}
 
-async function handleBuyPrimary() {
-  try {
-    if (!ensureContracts()) return;
+// Sube a Kubo la portada y el plano elegidos y devuelve sus URIs ipfs://.
+// `kept` son las imágenes actuales (al editar) para las que no haya fichero.
+async function uploadEventImages(prefix, mfsBase, kept = {}) {
+  const images = { image: kept.image ?? null, venueMap: kept.venueMap ?? null };
+  for (const key of ["image", "venueMap"]) {
+    const file = document.getElementById(`${prefix}${DETAIL_INPUTS[key]}`).files[0];
+    if (!file) continue;
+    setStatus("pending", `Subiendo ${file.name} a IPFS...`);
+    const ext = file.name.includes(".") ? file.name.split(".").pop() : "img";
+    const cid = await uploadFileToIpfs(file, `${mfsBase}-${DETAIL_INPUTS[key]}.${ext}`);
+    log(`Imagen ${file.name} subida a IPFS: ${cid}`);
+    images[key] = ipfsUri(cid);
+  }
+  return images;
+}
 
-    clearFieldErrors(["buy-event-id"]);
+// Rellena la ficha del formulario de edición con la metadata actual
+function fillEventDetails(prefix, meta) {
+  const set = (key, v) => {
+    document.getElementById(`${prefix}${DETAIL_INPUTS[key]}`).value = v ?? "";
+  };
+  set("description", meta?.description);
+  set("lineup", lineupToText(meta?.lineup));
+  set("ageRestriction", meta?.ageRestriction);
+  set("terms", meta?.terms);
+  for (const key of ["image", "venueMap"]) {
+    document.getElementById(`${prefix}${DETAIL_INPUTS[key]}`).value = "";
+    showImagePreview(prefix, key, eventMetadata.imageUrl(meta?.[key]));
+  }
+}
 
-    const eventIdStr = document.getElementById("buy-event-id").value.trim();
-    if (!eventIdStr) {
-      setFieldError("buy-event-id", "Introduce un ID de evento.");
-      setStatus("error", "Debes indicar el ID del evento.");
-      return;
-    }
+function showImagePreview(prefix, key, url) {
+  const img = document.getElementById(`${prefix}${DETAIL_INPUTS[key]}-preview`);
+  if (img.src.startsWith("blob:")) URL.revokeObjectURL(img.src);
+  img.hidden = !url;
+  img.src = url || "";
+}
 
-    const eventId = ethers.BigNumber.from(eventIdStr);
-    const evt = await eventRegistry.getEvent(eventId);
+function handleImagePicked(prefix, key) {
+  const id = `${prefix}${DETAIL_INPUTS[key]}`;
+  const file = document.getElementById(id).files[0];
+  const problem = file ? checkImageFile(file) : null;
+  setFieldError(id, problem);
+  showImagePreview(
+    prefix,
+    key,
+    file && !problem
+      ? URL.createObjectURL(file)
+      : prefix === "edit-event-"
+      ? eventMetadata.imageUrl(editKeptImages[key])
+      : null
+  );
+}
 
-    // 🚩 Comprobamos existencia por organizer, no por id == 0
-    const organizer = evt.organizer ?? evt[8];
-    if (!organizer || organizer === ethers.constants.AddressZero) {
-      setFieldError(
-        "buy-event-id",
-        "El evento no existe o está inactivo."
-      );
-      setStatus(
-        "error",
-        "El ID de evento no es válido o el evento está inactivo."
-      );
-      return;
-    }
+// Completa la tarjeta con la portada, la descripción, la edad mínima y el
+// cartel de la metadata (se pinta cuando llega del gateway)
+async function hydrateEventCard(card, evt) {
+  const meta = await eventMetadata.load(evt.metadataCid);
+  const box = card.querySelector(".event-rich");
+  if (!meta || !box || validateEventMetadata(meta).length) return;
+
+  box.innerHTML = "";
+  if (meta.image) {
+    const img = document.createElement("img");
+    img.className = "event-cover";
+    img.alt = `Portada de ${evt.name}`;
+    img.loading = "lazy";
+    img.src = eventMetadata.imageUrl(meta.image);
+    box.appendChild(img);
+  }
+  if (meta.description) {
+    const p = document.createElement("p");
+    p.className = "event-description";
+    p.textContent = meta.description;
+    box.appendChild(p);
+  }
 
-    let basePriceWei = evt.basePriceWei ?? evt.basePrice ?? evt[4];
-    if (!basePriceWei || basePriceWei.isZero()) {
-      log("No se pudo leer el precio base del evento.");
-      setStatus(
-        "error",
-        "No se pudo leer el precio base del evento (revisa la ABI/contrato)."
-      );
-      return;
+  const extras = [];
+  if (meta.ageRestriction) extras.push(`🔞 +${meta.ageRestriction}`);
+  if (meta.lineup?.length) {
+    extras.push(
+      `🎤 ${meta.lineup.map((a) => (a.time ? `${a.time} ${a.artist}` : a.artist)).join(" · ")}`
+    );
+  }
+  if (extras.length) {
+    const row = document.createElement("div");
+    row.className = "event-meta";
+    extras.forEach((text) => {
+      const span = document.createElement("span");
+      span.textContent = text;
+      row.appendChild(span);
+    });
+    box.appendChild(row);
+  }
+
+  const links = [
+    ["venueMap", "🗺️ Plano del recinto"],
+    ["terms", "📄 Condiciones de acceso"],
+  ].filter(([key]) => meta[key]);
+  links.forEach(([key, label]) => {
+    const details = document.createElement("details");
+    details.className = "event-link";
+    const summary = document.createElement("summary");
+    summary.textContent = label;
+    details.appendChild(summary);
+    if (key === "venueMap") {
+      const img = document.createElement("img");
+      img.className = "meta-preview";
+      img.alt = label;
+      img.loading = "lazy";
+      img.src = eventMetadata.imageUrl(meta.venueMap);
+      details.appendChild(img);
+    } else {
+      const p = document.createElement("p");
+      p.className = "event-description";
+      p.textContent = meta.terms;
+      details.appendChild(p);
     }
+    box.appendChild(details);
+  });
+}
 
-    const priceEth = ethers.utils.formatEther(basePriceWei);
-    log(
-      `Comprando entrada para evento ${eventId.toString()} por ${priceEth} ETH...`
-    );
-    setStatus(
-      "pending",
-      `Enviando transacción de compra (${priceEth} ETH)...`
-    );
+// ----------------- zonas (tipos de entrada) -----------------
+
+// Añade una fila vacía al editor de zonas del formulario de creación
+function addTierRow() {
+  const row = document.createElement("div");
+  row.className = "tier-row";
+  row.innerHTML = `
+    <input class="tier-name" placeholder="Nombre (VIP, pista...)" />
+    <input class="tier-price" placeholder="Precio ETH" inputmode="decimal" />
+    <input class="tier-supply" placeholder="Entradas" inputmode="numeric" />
+    <input class="tier-perwallet" placeholder="Máx. por cartera (0 = sin límite)" inputmode="numeric" />
+    <label>Venta desde <input class="tier-start" type="datetime-local" /></label>
+    <label>hasta <input class="tier-end" type="datetime-local" /></label>
+    <button type="button" class="secondary tier-remove" title="Quitar zona">✕</button>
+  `;
+  row.querySelector(".tier-remove").addEventListener("click", () => row.remove());
+  tierRowsEl.appendChild(row);
+}
 
-    const tx = await ticketMarket.buyPrimary(eventId, {
-      value: basePriceWei,
+// Valida las filas del editor y las convierte al struct Tier del contrato.
+// Devuelve [] si no hay zonas y null si alguna fila es incorrecta.
+function readTierRows(totalTickets) {
+  const tiers = [];
+  const rows = [...tierRowsEl.querySelectorAll(".tier-row")];
+
+  for (const [i, row] of rows.entries()) {
+    const value = (cls) => row.querySelector(cls).value.trim();
+    const name = value(".tier-name");
+    const priceEth = value(".tier-price");
+    const supply = Number(value(".tier-supply"));
+    const perWallet = Number(value(".tier-perwallet") || "0");
+    const start = value(".tier-start") ? Date.parse(value(".tier-start")) / 1000 : 0;
+    const end = value(".tier-end") ? Date.parse(value(".tier-end")) / 1000 : 0;
+
+    let error = null;
+    if (!name) error = "falta el nombre";
+    else if (!(Number(priceEth) > 0)) error = "el precio debe ser > 0";
+    else if (!Number.isInteger(supply) || supply <= 0) error = "el nº de entradas debe ser un entero > 0";
+    else if (!Number.isInteger(perWallet) || perWallet < 0 || perWallet > 65535)
+      error = "el máximo por cartera debe ser un entero entre 0 y 65535";
+    else if (end && end <= start) error = "el fin de venta debe ser posterior al inicio";
+
+    if (error) {
+      setFieldError("event-tiers", `Zona ${i + 1}: ${error}.`);
+      return null;
+    }
+
+    tiers.push({
+      name,
+      priceWei: ethers.utils.parseEther(priceEth),
+      supply,
+      maxPerWallet: perWallet,
+      saleStart: Math.floor(start),
+      saleEnd: Math.floor(end),
     });
-    const receipt = await tx.wait();
+  }
 
-    let tokenId = "desconocido";
-    const boughtEvt = receipt.events?.find(
-      (e) => e.event === "PrimaryTicketBought"
+  const tiered = tiers.reduce((sum, t) => sum + t.supply, 0);
+  if (tiered > totalTickets) {
+    setFieldError(
+      "event-tiers",
+      `Las zonas suman ${tiered} entradas y el aforo total es ${totalTickets}.`
     );
-    if (boughtEvt && boughtEvt.args && boughtEvt.args.tokenId) {
-      tokenId = boughtEvt.args.tokenId.toString();
-    }
-
-    log(`Entrada comprada. TokenID: ${tokenId}`);
-    setStatus("success", `Entrada comprada correctamente (tokenId ${tokenId}).`);
+    return null;
+  }
+  return tiers;
+}
 
-    await refreshEventsList().catch(() => {});
-    await refreshRolesAndMyTickets().catch(() => {});
-    } catch (err) {
-    console.error(err);
+// Texto de la ventana de venta de una zona, o null si está a la venta ahora
+function tierWindowLabel(tier, now = Math.floor(Date.now() / 1000)) {
+  if (tier.saleStart && now < tier.saleStart) {
+    return `a la venta el ${new Date(tier.saleStart * 1000).toLocaleString()}`;
+  }
+  if (tier.saleEnd && now > tier.saleEnd) return "venta cerrada";
+  return null;
+}
 
-    // Intentamos extraer el motivo real del revert
-    const rawMsg =
-      (err && err.error && err.error.message) ||
-      err?.reason ||
-      err?.message ||
-      String(err || "");
-
-    // 1) Cooldown: compra demasiado rápida
-    if (rawMsg.includes("Debes esperar antes de volver a comprar")) {
-      const nice =
-        "Has intentado comprar demasiado rápido. " +
-        "Debes esperar el tiempo mínimo entre compras que ha fijado el organizador para este evento.";
-      log(`⏱️ ${nice}`);
-      setStatus("error", nice);
-      return;
-    }
+// Selector de zona del panel de compra para el evento indicado en buy-event-id
+function renderBuyTiers() {
+  const eventIdStr = document.getElementById("buy-event-id").value.trim();
+  const evt = indexer && eventIdStr ? indexer.getEvent(eventIdStr) : null;
+  const tiers = evt ? evt.tiers : [];
+  const selected = buyTierEl.value;
+
+  buyTierEl.closest(".buy-tier-box").hidden = !tiers.length;
+  // El nombre de la zona es texto del organizador: Option lo pone como texto
+  buyTierEl.replaceChildren(
+    ...tiers.map((t) => {
+      const left = Math.max(t.supply - t.minted, 0);
+      const closed = tierWindowLabel(t);
+      const status = closed ?? (left ? `quedan ${left}/${t.supply}` : "agotada");
+      const option = new Option(
+        `${t.name} · ${ethers.utils.formatEther(t.priceWei)} ETH · ${status}`,
+        String(t.tierId)
+      );
+      option.disabled = !!closed || !left;
+      return option;
+    })
+  );
+
+  // Conservamos la zona elegida si sigue disponible; si no, la primera que lo esté
+  const enabled = [...buyTierEl.options].filter((o) => !o.disabled);
+  if (enabled.some((o) => o.value === selected)) buyTierEl.value = selected;
+  else if (enabled.length) buyTierEl.value = enabled[0].value;
+}
 
-    // 2) Límite de tickets por cartera
-    if (rawMsg.includes("Limite de tickets por cartera alcanzado")) {
-      const nice =
-        "Has alcanzado el número máximo de entradas permitidas para este evento con esta cartera.";
-      log(`🎟️ ${nice}`);
-      setStatus("error", nice);
-      return;
-    }
+// ----------------- venta programada y preventa -----------------
+
+// Última lista construida en el formulario del organizador (y su descarga)
+let builtAllowlist = null;
+let allowlistDownloadUrl = null;
+
+// Listas de preventa descargadas de IPFS (cid => lista, o null si falló)
+const allowlists = new Map();
+const allowlistRequests = new Map();
+
+async function loadAllowlist(cid) {
+  if (allowlists.has(cid)) return allowlists.get(cid);
+  if (!allowlistRequests.has(cid)) {
+    const request = fetch(ipfs.gatewayUrl(cid))
+      .then((res) => {
+        if (!res.ok) throw new Error(`IPFS devolvió ${res.status}`);
+        return res.json();
+      })
+      .catch((err) => {
+        log(`No se pudo descargar la lista de preventa ${cid}: ${err.message ?? err}`);
+        return null;
+      })
+      .then((list) => {
+        allowlists.set(cid, list);
+        allowlistRequests.delete(cid);
+        return list;
+      });
+    allowlistRequests.set(cid, request);
+  }
+  return allowlistRequests.get(cid);
+}
 
-    // 3) Otros errores conocidos (opcional, pero útil)
-    if (rawMsg.includes("No quedan tickets disponibles")) {
-      const nice =
-        "El aforo del evento ya está completo: no quedan tickets disponibles en venta primaria.";
-      log(`🚫 ${nice}`);
-      setStatus("error", nice);
-      return;
-    }
+// Fase de la venta primaria: "soon" (aún no), "presale" o "public"
+function salePhase(evt, now = Math.floor(Date.now() / 1000)) {
+  if (now < evt.saleStart) return "soon";
+  if (evt.allowlistRoot && now < evt.publicSaleStart) return "presale";
+  return "public";
+}
 
-    if (rawMsg.includes("Evento ya paso")) {
-      const nice =
-        "El evento ya ha tenido lugar, no es posible comprar más entradas.";
-      log(`📅 ${nice}`);
-      setStatus("error", nice);
-      return;
-    }
+function formatCountdown(seconds) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const days = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return `${days ? `${days}d ` : ""}${pad(h)}:${pad(m)}:${pad(seconds % 60)}`;
+}
 
-    // Fallback genérico si no reconocemos el error
-    const msg = err?.message || rawMsg || "Error desconocido al comprar entrada.";
-    log(`Error al comprar entrada: ${msg}`);
-    setStatus("error", `Error al comprar entrada: ${msg}`);
+// ¿Está la cuenta conectada en la lista de preventa del evento?
+function presaleEligibility(evt) {
+  if (!currentAccount) return "conecta la wallet para comprobar la lista";
+  if (!evt.allowlistCid) return "la lista de preventa no está publicada";
+  if (!allowlists.has(evt.allowlistCid)) {
+    loadAllowlist(evt.allowlistCid).then(renderSaleInfo);
+    return "comprobando la lista...";
   }
+  const list = allowlists.get(evt.allowlistCid);
+  if (!list) return "no se pudo leer la lista de preventa";
+  return proofFor(list, currentAccount)
+    ? "✅ tu cartera está en la lista"
+    : "❌ tu cartera no está en la lista";
 }
 
+// Cuenta atrás y fase de venta del evento del panel de compra (cada segundo)
+function renderSaleInfo() {
+  const eventIdStr = document.getElementById("buy-event-id").value.trim();
+  const evt = indexer && eventIdStr ? indexer.getEvent(eventIdStr) : null;
+  if (!evt || (!evt.saleStart && !evt.allowlistRoot)) {
+    saleInfoEl.textContent = "";
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const phase = salePhase(evt, now);
+  let text;
+  if (phase === "soon") {
+    text = `⏳ La ${evt.allowlistRoot ? "preventa" : "venta"} empieza en ${formatCountdown(evt.saleStart - now)}`;
+  } else if (phase === "presale") {
+    text = `🔒 Preventa abierta · venta pública en ${formatCountdown(evt.publicSaleStart - now)}`;
+  } else {
+    text = "🟢 Venta pública abierta";
+  }
+  if (phase !== "public" && evt.allowlistRoot) text += ` · ${presaleEligibility(evt)}`;
+  saleInfoEl.textContent = text;
+}
 
+// Lee el CSV pegado y construye el árbol; muestra raíz y descarga de pruebas
+function handleBuildAllowlist() {
+  clearFieldErrors(["sched-allowlist"]);
+  builtAllowlist = null;
+  allowlistSummaryEl.textContent = "";
+
+  const { addresses, invalid } = parseAddressList(
+    document.getElementById("sched-allowlist").value
+  );
+  if (invalid.length) {
+    const where = invalid
+      .slice(0, 3)
+      .map((x) => `línea ${x.line} (${x.value.slice(0, 12)}…)`)
+      .join(", ");
+    setFieldError("sched-allowlist", `Direcciones no válidas: ${where}.`);
+    return null;
+  }
+  if (!addresses.length) {
+    setFieldError("sched-allowlist", "Pega al menos una dirección 0x...");
+    return null;
+  }
 
-// ----------------- listar ticket para reventa -----------------
+  builtAllowlist = buildAllowlist(addresses);
+  if (allowlistDownloadUrl) URL.revokeObjectURL(allowlistDownloadUrl);
+  allowlistDownloadUrl = URL.createObjectURL(
+    new Blob([JSON.stringify(builtAllowlist, null, 2)], { type: "application/json" })
+  );
+  allowlistSummaryEl.innerHTML = `
+    ${builtAllowlist.count} carteras · raíz ${builtAllowlist.root.slice(0, 10)}…
+    · <a href="${allowlistDownloadUrl}" download="preventa.json">Descargar pruebas (JSON)</a>`;
+  return builtAllowlist;
+}
 
-async function handleListResale() {
+async function handleSaveSchedule() {
   try {
     if (!ensureContracts()) return;
 
-    clearFieldErrors(["resale-token-id", "resale-price"]);
-
-    const tokenIdStr = document.getElementById("resale-token-id").value.trim();
-    const priceEthStr = document.getElementById("resale-price").value.trim();
+    clearFieldErrors(["sched-event-id", "sched-sale-start", "sched-public-start"]);
+    const eventIdStr = document.getElementById("sched-event-id").value.trim();
+    const saleStartStr = document.getElementById("sched-sale-start").value;
+    const publicStartStr = document.getElementById("sched-public-start").value;
+    const csv = document.getElementById("sched-allowlist").value.trim();
 
-    let hasError = false;
-    if (!tokenIdStr) {
-      setFieldError("resale-token-id", "Introduce el tokenId del ticket.");
-      hasError = true;
-    }
-    if (!priceEthStr || Number(priceEthStr) <= 0) {
-      setFieldError("resale-price", "El precio de reventa debe ser > 0.");
-      hasError = true;
-    }
-    if (hasError) {
-      setStatus("error", "Revisa los campos del listado de reventa.");
+    if (!eventIdStr) {
+      setFieldError("sched-event-id", "Introduce un ID de evento.");
       return;
     }
-
-    const tokenId = ethers.BigNumber.from(tokenIdStr);
-    const priceWei = ethers.utils.parseEther(priceEthStr);
-
-    const owner = await ticketNFT.ownerOf(tokenId);
-    if (owner.toLowerCase() !== currentAccount.toLowerCase()) {
-      setFieldError(
-        "resale-token-id",
-        `El dueño on-chain del ticket es ${owner}, no la cuenta actual.`
-      );
-      setStatus(
-        "error",
-        "No puedes listar tickets que no te pertenecen en esta cuenta."
+    const saleStart = saleStartStr ? Math.floor(Date.parse(saleStartStr) / 1000) : 0;
+
+    let publicSaleStart = 0;
+    let root = ethers.constants.HashZero;
+    let cid = "";
+    let list = null;
+    if (csv) {
+      if (!publicStartStr) {
+        setFieldError("sched-public-start", "Indica cuándo empieza la venta pública.");
+        return;
+      }
+      publicSaleStart = Math.floor(Date.parse(publicStartStr) / 1000);
+      list = handleBuildAllowlist();
+      if (!list) return;
+      root = list.root;
+
+      setStatus("pending", "Subiendo la lista de preventa a IPFS...");
+      cid = await uploadJsonToIpfs(
+        { eventId: eventIdStr, ...list },
+        `/eventos/preventa-${eventIdStr}-${Date.now()}.json`
       );
-      return;
+      log(`Lista de preventa (${list.count} carteras): ${ipfs.gatewayUrl(cid)}`);
     }
 
-    const nextListingIdBefore = await ticketMarket.nextListingId();
+    const overrides = await simulateAndConfirm(
+      eventRegistry,
+      "setSaleSchedule",
+      [eventIdStr, saleStart, publicSaleStart, root, cid],
+      {},
+      `Programar la venta del evento ${eventIdStr}`,
+      [
+        ["Inicio de la venta", saleStart ? new Date(saleStart * 1000).toLocaleString() : "Ya"],
+        [
+          "Preventa",
+          list
+            ? `${list.count} carteras hasta el ${new Date(publicSaleStart * 1000).toLocaleString()}`
+            : "Sin preventa",
+        ],
+      ]
+    );
+    if (!overrides) return;
+
+    setStatus("pending", `Guardando el calendario de venta del evento ${eventIdStr}...`);
+    const tx = await eventRegistry.setSaleSchedule(
+      eventIdStr,
+      saleStart,
+      publicSaleStart,
+      root,
+      cid,
+      overrides
+    );
+    await txManager.track(tx, `Calendario de venta evento ${eventIdStr}`);
+
+    log(`Calendario de venta del evento ${eventIdStr} guardado.`);
+    setStatus("success", "Calendario de venta guardado.");
+    await refreshEventsList().catch(() => {});
+  } catch (err) {
+    reportError("Error al programar la venta", err, {
+      event: "sched-event-id",
+      saleStart: "sched-sale-start",
+      publicSaleStart: "sched-public-start",
+    });
+  }
+}
+
+// ----------------- cantidad en la compra primaria -----------------
+
+// Cuántas entradas puede comprar ahora la cuenta en el evento (y zona) del
+// panel: límite por compra, stock y límites por cartera (buyerState y
+// tierBought). Muestra además el precio total de la cantidad elegida.
+async function renderBuyAllowance() {
+  const eventIdStr = document.getElementById("buy-event-id").value.trim();
+  const evt = indexer && eventIdStr ? indexer.getEvent(eventIdStr) : null;
+  const tier = evt?.tiers.length
+    ? evt.tiers.find((t) => t.tierId === buyTierEl.value)
+    : null;
+  if (!evt || !currentAccount || (evt.tiers.length && !tier)) {
+    buyAllowanceEl.textContent = "";
+    return;
+  }
+
+  const account = currentAccount;
+  const [buyer, tierBought, maxPerTx] = await Promise.all([
+    ticketMarket.buyerState(evt.id, account),
+    tier ? ticketMarket.tierBought(evt.id, tier.tierId, account) : ethers.constants.Zero,
+    ticketMarket.MAX_TICKETS_PER_TX(),
+  ]);
+  if (account !== currentAccount) return;
+
+  const bought = buyer.bought.toNumber();
+  const limits = [maxPerTx.toNumber(), evt.totalTickets - evt.minted];
+  if (evt.maxTicketsPerWallet) limits.push(evt.maxTicketsPerWallet - bought);
+  if (tier) {
+    limits.push(tier.supply - tier.minted);
+    if (tier.maxPerWallet) limits.push(tier.maxPerWallet - tierBought.toNumber());
+  }
+  const allowance = Math.max(0, Math.min(...limits));
+  buyQuantityEl.max = Math.max(allowance, 1);
+
+  const quantity = Math.max(1, Math.floor(Number(buyQuantityEl.value) || 1));
+  const totalWei = ethers.BigNumber.from(tier ? tier.priceWei : evt.basePriceWei).mul(quantity);
+
+  const parts = [
+    `Puedes comprar hasta ${allowance} ahora` +
+      (evt.maxTicketsPerWallet ? ` (llevas ${bought} de ${evt.maxTicketsPerWallet} por cartera)` : ""),
+    `Total: ${ethers.utils.formatEther(totalWei)} ETH`,
+  ];
+  const lastBuyTs = buyer.lastBuyTs.toNumber();
+  const wait = lastBuyTs ? lastBuyTs + evt.walletCooldown - Math.floor(Date.now() / 1000) : 0;
+  if (evt.walletCooldown && wait > 0) parts.push(`⏱️ podrás volver a comprar en ${wait} s`);
+  buyAllowanceEl.textContent = parts.join(" · ");
+}
+
+function refreshBuyAllowance() {
+  renderBuyAllowance().catch((err) => {
+    console.error(err);
+    buyAllowanceEl.textContent = "";
+  });
+}
+
+// ----------------- editar evento -----------------
+
+// Timestamp (s) => valor de <input type="datetime-local"> en hora local
+function toDatetimeLocal(ts) {
+  const d = new Date(ts * 1000);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
+// Rellena el formulario de edición con los datos indexados del evento
+async function handleLoadEventForEdit() {
+  try {
+    if (!ensureContracts()) return;
+
+    clearFieldErrors(["edit-event-id"]);
+    const eventIdStr = document.getElementById("edit-event-id").value.trim();
+
+    await syncIndexer();
+    const evt = indexer.getEvent(eventIdStr);
+    if (!evt) {
+      setFieldError("edit-event-id", "El evento no existe.");
+      return;
+    }
+    if (evt.organizer !== currentAccount.toLowerCase()) {
+      setFieldError("edit-event-id", "Solo su organizador puede editar este evento.");
+    }
+
+    document.getElementById("edit-event-name").value = evt.name;
+    document.getElementById("edit-event-date").value = toDatetimeLocal(evt.date);
+    document.getElementById("edit-event-location").value = evt.location;
+    document.getElementById("edit-event-total").value = evt.totalTickets;
+    document.getElementById("edit-event-cid").value = "";
+
+    const meta = await eventMetadata.load(evt.metadataCid);
+    editKeptImages = { image: meta?.image ?? null, venueMap: meta?.venueMap ?? null };
+    editDetailsEventId = evt.id;
+    fillEventDetails("edit-event-", meta);
+    if (evt.metadataCid && !meta) {
+      log(`No se pudo leer la metadata actual (${evt.metadataCid}): la ficha queda vacía.`);
+    }
+    log(`Datos del evento ${eventIdStr} cargados para editar (${evt.minted} entradas ya vendidas).`);
+  } catch (err) {
+    console.error(err);
+    log(`Error al cargar el evento: ${err.message ?? err}`);
+  }
+}
+
+async function handleUpdateEvent() {
+  try {
+    if (!ensureContracts()) return;
+
+    const fieldIds = [
+      "edit-event-id",
+      "edit-event-name",
+      "edit-event-date",
+      "edit-event-location",
+      "edit-event-total",
+    ];
+    clearFieldErrors(fieldIds);
+    const [eventIdStr, name, dateStr, location, totalStr] = fieldIds.map((id) =>
+      document.getElementById(id).value.trim()
+    );
+    const manualCid = document.getElementById("edit-event-cid").value.trim();
+
+    await syncIndexer();
+    const evt = indexer.getEvent(eventIdStr);
+
+    let hasError = false;
+    if (!evt) {
+      setFieldError("edit-event-id", "El evento no existe.");
+      hasError = true;
+    }
+    if (!name) {
+      setFieldError("edit-event-name", "Introduce un nombre para el evento.");
+      hasError = true;
+    }
+    const ms = Date.parse(dateStr);
+    if (Number.isNaN(ms) || ms <= Date.now()) {
+      setFieldError("edit-event-date", "Selecciona una fecha futura.");
+      hasError = true;
+    } else if (evt && evt.minted > 0 && Math.floor(ms / 1000) < evt.date) {
+      setFieldError(
+        "edit-event-date",
+        "Ya hay entradas vendidas: la fecha solo se puede retrasar, no adelantar."
+      );
+      hasError = true;
+    }
+    if (!location) {
+      setFieldError("edit-event-location", "Introduce un lugar.");
+      hasError = true;
+    }
+    const total = Number(totalStr);
+    if (!Number.isInteger(total) || total <= 0) {
+      setFieldError("edit-event-total", "El número total de entradas debe ser mayor que 0.");
+      hasError = true;
+    } else if (evt && total < evt.minted) {
+      setFieldError(
+        "edit-event-total",
+        `Ya hay ${evt.minted} entradas vendidas: el aforo no puede ser menor.`
+      );
+      hasError = true;
+    }
+    // Sin "Cargar datos actuales" la ficha del formulario está vacía: se
+    // mantiene la de la versión anterior
+    const loaded = evt && editDetailsEventId === evt.id;
+    const details = manualCid || !loaded ? {} : readEventDetails("edit-event-");
+    if (!details) hasError = true;
+
+    if (hasError) {
+      setStatus("error", "Revisa los campos marcados en el formulario.");
+      return;
+    }
+
+    const dateTimestamp = Math.floor(ms / 1000);
+
+    // Nueva versión de la metadata con el enlace a la anterior
+    let cid = manualCid;
+    if (cid) {
+      log(`Usando CID manual para metadata: ${cid}`);
+    } else {
+      const previous = (await eventMetadata.load(evt.metadataCid)) || {};
+      const version = evt.cidHistory.length + 2;
+      const rich = loaded
+        ? {
+            ...details,
+            ...(await uploadEventImages(
+              "edit-event-",
+              `/eventos/img-${eventIdStr}-v${version}`,
+              editKeptImages
+            )),
+          }
+        : Object.fromEntries(Object.keys(DETAIL_INPUTS).map((key) => [key, previous[key]]));
+      const metadata = buildEventMetadata(
+        {
+          name,
+          date: dateTimestamp,
+          location,
+          basePriceEth: ethers.utils.formatEther(evt.basePriceWei),
+          maxResaleFactor: evt.maxResaleFactor,
+          totalTickets: total,
+          maxPerWallet: evt.maxTicketsPerWallet,
+          cooldownSeconds: evt.walletCooldown,
+          royaltyBps: evt.royaltyBps,
+          version,
+          previousCid: evt.metadataCid || null,
+          updatedAt: Date.now(),
+        },
+        rich
+      );
+      const mfsPath = `/eventos/event-${eventIdStr}-v${metadata.version}.json`;
+      setStatus("pending", "Subiendo la nueva metadata del evento a IPFS...");
+      log(`Subiendo metadata v${metadata.version} del evento a IPFS (${mfsPath})...`);
+      cid = await uploadJsonToIpfs(metadata, mfsPath);
+    }
+
+    const args = [eventIdStr, name, dateTimestamp, location, total, cid];
+    const overrides = await simulateAndConfirm(
+      eventRegistry,
+      "updateEvent",
+      args,
+      {},
+      `Editar el evento ${eventIdStr}`,
+      [
+        ["Nombre", name],
+        ["Fecha", new Date(ms).toLocaleString()],
+        ["Lugar", location],
+        ["Aforo", `${total} (vendidas ${evt.minted})`],
+        ["Metadata", cid],
+      ]
+    );
+    if (!overrides) return;
+
+    setStatus("pending", "Guardando los cambios del evento...");
+    const tx = await eventRegistry.updateEvent(...args, overrides);
+    await txManager.track(tx, `Editar evento ${eventIdStr}`);
+
+    log(`Evento ${eventIdStr} actualizado. Metadata: ${ipfs.gatewayUrl(cid)}`);
+    setStatus("success", `Evento ${eventIdStr} actualizado.`);
+
+    await refreshEventsList().catch(() => {});
+  } catch (err) {
+    reportError("Error al editar el evento", err, {
+      event: "edit-event-id",
+      name: "edit-event-name",
+      date: "edit-event-date",
+      totalTickets: "edit-event-total",
+      perWallet: "edit-event-total",
+    });
+  }
+}
+
+// ----------------- comprar venta primaria -----------------
+
+async function handleBuyPrimary() {
+  try {
+    if (!ensureContracts()) return;
+
+    clearFieldErrors(["buy-event-id", "buy-tier", "buy-quantity"]);
+
+    const eventIdStr = document.getElementById("buy-event-id").value.trim();
+    if (!eventIdStr) {
+      setFieldError("buy-event-id", "Introduce un ID de evento.");
+      setStatus("error", "Debes indicar el ID del evento.");
+      return;
+    }
+    const quantity = Number(buyQuantityEl.value || "1");
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      setFieldError("buy-quantity", "La cantidad debe ser un entero mayor que 0.");
+      setStatus("error", "Revisa la cantidad de entradas.");
+      return;
+    }
+
+    const eventId = ethers.BigNumber.from(eventIdStr);
+    const evt = await eventRegistry.getEvent(eventId);
+
+    // 🚩 Comprobamos existencia por organizer, no por id == 0
+    const organizer = evt.organizer ?? evt[8];
+    if (!organizer || organizer === ethers.constants.AddressZero) {
+      setFieldError(
+        "buy-event-id",
+        "El evento no existe o está inactivo."
+      );
+      setStatus(
+        "error",
+        "El ID de evento no es válido o el evento está inactivo."
+      );
+      return;
+    }
+
+    let basePriceWei = evt.basePriceWei ?? evt.basePrice ?? evt[4];
+    if (!basePriceWei || basePriceWei.isZero()) {
+      log("No se pudo leer el precio base del evento.");
+      setStatus(
+        "error",
+        "No se pudo leer el precio base del evento (revisa la ABI/contrato)."
+      );
+      return;
+    }
+
+    // En la preventa hace falta la prueba Merkle de la cartera
+    let proof = [];
+    const schedule = await eventRegistry.saleSchedules(eventId);
+    const now = Math.floor(Date.now() / 1000);
+    if (
+      schedule.allowlistRoot !== ethers.constants.HashZero &&
+      now >= schedule.saleStart.toNumber() &&
+      now < schedule.publicSaleStart.toNumber()
+    ) {
+      const cid = indexer.getEvent(eventIdStr)?.allowlistCid;
+      proof = proofFor(cid ? await loadAllowlist(cid) : null, currentAccount);
+      if (!proof) {
+        setFieldError("buy-event-id", "Tu cartera no está en la lista de preventa.");
+        setStatus("error", "Preventa: solo pueden comprar las carteras de la lista.");
+        return;
+      }
+    }
+
+    // Con zonas se compra una entrada de la zona elegida a su precio
+    const tierCount = eventRegistry.tierCount
+      ? (await eventRegistry.tierCount(eventId)).toNumber()
+      : 0;
+    let method = "buyPrimary";
+    let args = [eventId, quantity, proof];
+    let unitPriceWei = basePriceWei;
+    let what = "entrada";
+
+    if (tierCount > 0) {
+      renderBuyTiers();
+      const tierIdStr = buyTierEl.value;
+      if (!tierIdStr) {
+        setFieldError("buy-tier", "No hay ninguna zona a la venta ahora mismo.");
+        setStatus("error", "Este evento vende por zonas: elige una zona disponible.");
+        return;
+      }
+      const tier = await eventRegistry.getTier(eventId, tierIdStr);
+      method = "buyPrimaryTier";
+      args = [eventId, tierIdStr, quantity, proof];
+      unitPriceWei = tier.priceWei;
+      what = `entrada "${tier.name}"`;
+    }
+    const priceWei = unitPriceWei.mul(quantity);
+    const label = quantity > 1 ? `${quantity} × ${what}` : what;
+
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      method,
+      args,
+      { value: priceWei },
+      `Comprar ${label} del evento ${eventId.toString()}`,
+      quantity > 1
+        ? [["Precio por entrada", `${ethers.utils.formatEther(unitPriceWei)} ETH`]]
+        : []
+    );
+    if (!overrides) return;
+
+    const priceEth = ethers.utils.formatEther(priceWei);
+    log(
+      `Comprando ${label} para evento ${eventId.toString()} por ${priceEth} ETH...`
+    );
+    setStatus(
+      "pending",
+      `Enviando transacción de compra (${priceEth} ETH)...`
+    );
+
+    const tx = await ticketMarket[method](...args, overrides);
+    const receipt = await txManager.track(
+      tx,
+      `Comprar ${label} del evento ${eventId.toString()}`
+    );
+
+    const tokenIds = (receipt.events || [])
+      .filter((e) => e.event === "PrimaryTicketBought" && e.args?.tokenId)
+      .map((e) => e.args.tokenId.toString());
+    const tokenList = tokenIds.length ? tokenIds.join(", ") : "desconocido";
+
+    log(`${quantity > 1 ? "Entradas compradas" : "Entrada comprada"}. TokenID: ${tokenList}`);
+    setStatus("success", `Compra correcta (tokenId ${tokenList}).`);
+
+    await refreshEventsList().catch(() => {});
+    await refreshRolesAndMyTickets().catch(() => {});
+  } catch (err) {
+    reportError("Error al comprar entrada", err, {
+      event: "buy-event-id",
+      price: "buy-event-id",
+      tier: "buy-tier",
+      quantity: "buy-quantity",
+    });
+  }
+}
+
+// ----------------- listar ticket para reventa -----------------
+
+async function handleListResale() {
+  try {
+    if (!ensureContracts()) return;
+
+    clearFieldErrors(["resale-token-id", "resale-price"]);
+
+    const tokenIdStr = document.getElementById("resale-token-id").value.trim();
+    const priceEthStr = document.getElementById("resale-price").value.trim();
+
+    let hasError = false;
+    if (!tokenIdStr) {
+      setFieldError("resale-token-id", "Introduce el tokenId del ticket.");
+      hasError = true;
+    }
+    if (!priceEthStr || Number(priceEthStr) <= 0) {
+      setFieldError("resale-price", "El precio de reventa debe ser > 0.");
+      hasError = true;
+    }
+    if (hasError) {
+      setStatus("error", "Revisa los campos del listado de reventa.");
+      return;
+    }
+
+    const tokenId = ethers.BigNumber.from(tokenIdStr);
+    const priceWei = ethers.utils.parseEther(priceEthStr);
+
+    const owner = await ticketNFT.ownerOf(tokenId);
+    if (owner.toLowerCase() !== currentAccount.toLowerCase()) {
+      setFieldError(
+        "resale-token-id",
+        `El dueño on-chain del ticket es ${owner}, no la cuenta actual.`
+      );
+      setStatus(
+        "error",
+        "No puedes listar tickets que no te pertenecen en esta cuenta."
+      );
+      return;
+    }
+
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "listForResale",
+      [tokenId, priceWei],
+      {},
+      `Listar ticket ${tokenId.toString()} por ${priceEthStr} ETH`
+    );
+    if (!overrides) return;
+
+    const nextListingIdBefore = await ticketMarket.nextListingId();
 
     log(
       `Listando ticket ${tokenId.toString()} para reventa por ${priceEthStr} ETH...`
@@ -543,8 +1754,8 @@ async function handleListResale() {
       `Creando anuncio de reventa por ${priceEthStr} ETH...`
     );
 
-    const tx = await ticketMarket.listForResale(tokenId, priceWei);
-    await tx.wait();
+    const tx = await ticketMarket.listForResale(tokenId, priceWei, overrides);
+    await txManager.track(tx, `Listar ticket ${tokenId.toString()}`);
 
     const listingId = nextListingIdBefore;
     const lst = await ticketMarket.listings(listingId);
@@ -565,24 +1776,28 @@ async function handleListResale() {
     await refreshEventsList().catch(() => {});
     await refreshRolesAndMyTickets().catch(() => {});
   } catch (err) {
-    console.error(err);
-    log(`Error al listar ticket: ${err.message ?? err}`);
-    setStatus("error", `Error al listar ticket: ${err.message ?? err}`);
+    reportError("Error al listar ticket", err, {
+      event: "resale-token-id",
+      token: "resale-token-id",
+      price: "resale-price",
+    });
   }
 }
 
 
 // ----------------- comprar de reventa -----------------
 
-async function handleBuyResale() {
+// Desde el formulario (listingId del input) o desde el mercado, que pasa el
+// listingId y el precio que vio el usuario para no pagar uno distinto
+async function handleBuyResale({ listingIdStr = null, expectedPriceWei = null } = {}) {
   try {
     if (!ensureContracts()) return;
 
     clearFieldErrors(["resale-listing-id"]);
 
-    const listingIdStr = document
-      .getElementById("resale-listing-id")
-      .value.trim();
+    listingIdStr =
+      listingIdStr ??
+      document.getElementById("resale-listing-id").value.trim();
     if (!listingIdStr) {
       setFieldError("resale-listing-id", "Introduce un listingId.");
       setStatus("error", "Debes indicar el ID del anuncio de reventa.");
@@ -607,6 +1822,40 @@ async function handleBuyResale() {
       setStatus("error", "Listing inactivo.");
       return;
     }
+    if (expectedPriceWei !== null && !priceWei.eq(expectedPriceWei)) {
+      setStatus(
+        "error",
+        `El vendedor ha cambiado el precio a ${ethers.utils.formatEther(
+          priceWei
+        )} ETH. Revisa el anuncio antes de comprar.`
+      );
+      await syncIndexer().catch(() => {});
+      renderMarketplace();
+      return;
+    }
+
+    // Reparto del precio tal y como lo hará el contrato
+    const [royalty, feeBps] = await Promise.all([
+      ticketNFT.royaltyInfo(tokenId, priceWei),
+      ticketMarket.platformFeeBps(),
+    ]);
+    const feeWei = priceWei.mul(feeBps).div(10000);
+    const sellerWei = priceWei.sub(royalty.royaltyAmount).sub(feeWei);
+    const fmt = (wei) => `${ethers.utils.formatEther(wei)} ETH`;
+
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "buyFromResale",
+      [listingId],
+      { value: priceWei },
+      `Comprar reventa ${listingId.toString()} (ticket ${tokenId.toString()})`,
+      [
+        ["Para el vendedor", fmt(sellerWei)],
+        ["Regalía del organizador", fmt(royalty.royaltyAmount)],
+        [`Comisión plataforma (${(feeBps / 100).toFixed(2)}%)`, fmt(feeWei)],
+      ]
+    );
+    if (!overrides) return;
 
     const priceEth = ethers.utils.formatEther(priceWei);
     log(
@@ -617,10 +1866,11 @@ async function handleBuyResale() {
       `Enviando compra de reventa (${priceEth} ETH)...`
     );
 
-    const tx = await ticketMarket.buyFromResale(listingId, {
-      value: priceWei,
-    });
-    const receipt = await tx.wait();
+    const tx = await ticketMarket.buyFromResale(listingId, overrides);
+    const receipt = await txManager.track(
+      tx,
+      `Comprar reventa ${listingId.toString()}`
+    );
 
     let boughtTokenId = tokenId.toString();
     const evt = receipt.events?.find(
@@ -639,9 +1889,11 @@ async function handleBuyResale() {
     await refreshEventsList().catch(() => {});
     await refreshRolesAndMyTickets().catch(() => {});
   } catch (err) {
-    console.error(err);
-    log(`Error al comprar en reventa: ${err.message ?? err}`);
-    setStatus("error", `Error al comprar en reventa: ${err.message ?? err}`);
+    reportError("Error al comprar en reventa", err, {
+      listing: "resale-listing-id",
+      event: "resale-listing-id",
+      price: "resale-listing-id",
+    });
   }
 }
 
@@ -702,13 +1954,33 @@ async function handleAddValidator() {
       return;
     }
 
+    const grant = readValidatorGrant();
+    if (grant === false) return;
+
     log(
-      `Añadiendo ${addr} como validador del evento ${eventId.toString()}...`
+      `Añadiendo ${addr} como validador del evento ${eventId.toString()}${
+        grant ? ` (${grantLabel(grant)})` : ""
+      }...`
     );
-    setStatus("pending", "Registrando validador en la blockchain...");
+    const [method, args] = grant
+      ? ["grantValidators", [eventId, [addr], grant.validFrom, grant.validUntil, grant.maxCheckIns]]
+      : ["setValidator", [eventId, addr, true]];
+    const overrides = await simulateAndConfirm(
+      eventRegistry,
+      method,
+      args,
+      {},
+      `Añadir validador al evento ${eventId.toString()}`,
+      [["Validador", addr], ...(grant ? [["Permiso", grantLabel(grant)]] : [])]
+    );
+    if (!overrides) return;
 
-    const tx = await eventRegistry.setValidator(eventId, addr, true);
-    await tx.wait();
+    setStatus("pending", "Registrando validador en la blockchain...");
+    const tx = await eventRegistry[method](...args, overrides);
+    await txManager.track(
+      tx,
+      `Añadir validador al evento ${eventId.toString()}`
+    );
 
     let isVal = false;
     if (typeof eventRegistry.isValidator === "function") {
@@ -724,9 +1996,11 @@ async function handleAddValidator() {
 
     await refreshRolesAndMyTickets().catch(() => {});
   } catch (err) {
-    console.error(err);
-    log(`Error al añadir validador: ${err.message ?? err}`);
-    setStatus("error", `Error al añadir validador: ${err.message ?? err}`);
+    reportError("Error al añadir validador", err, {
+      event: "validator-event-id",
+      validator: "validator-address",
+      grant: "grant-until",
+    });
   }
 }
 
@@ -776,14 +2050,21 @@ async function handleAddSelfAsValidator() {
     log(
       `Añadiendo la cuenta ${currentAccount} como validadora del evento ${eventId.toString()}...`
     );
-    setStatus("pending", "Registrando validador en la blockchain...");
+    const overrides = await simulateAndConfirm(
+      eventRegistry,
+      "setValidator",
+      [eventId, currentAccount, true],
+      {},
+      `Añadirte como validador del evento ${eventId.toString()}`
+    );
+    if (!overrides) return;
 
-    const tx = await eventRegistry.setValidator(
-      eventId,
-      currentAccount,
-      true
+    setStatus("pending", "Registrando validador en la blockchain...");
+    const tx = await eventRegistry.setValidator(eventId, currentAccount, true, overrides);
+    await txManager.track(
+      tx,
+      `Añadirte como validador del evento ${eventId.toString()}`
     );
-    await tx.wait();
 
     let isVal = false;
     if (typeof eventRegistry.isValidator === "function") {
@@ -799,44 +2080,245 @@ async function handleAddSelfAsValidator() {
 
     await refreshRolesAndMyTickets().catch(() => {});
   } catch (err) {
-    console.error(err);
-    log(`Error al añadirte como validador: ${err.message ?? err}`);
-    setStatus(
-      "error",
-      `Error al añadirse como validador: ${err.message ?? err}`
-    );
+    reportError("Error al añadirte como validador", err, {
+      event: "validator-event-id",
+    });
   }
 }
 
-// ----------------- validar ticket -----------------
+// ----------------- validadores del evento -----------------
 
-async function handleValidate() {
-  try {
-    if (!ensureContracts()) return;
+// Límites del formulario de validadores: null si no hay ninguno (permiso sin
+// caducidad) o false si algún campo no es válido.
+function readValidatorGrant() {
+  clearFieldErrors(["grant-until", "grant-max-checkins"]);
+  const fromStr = document.getElementById("grant-from").value;
+  const untilStr = document.getElementById("grant-until").value;
+  const maxStr = document.getElementById("grant-max-checkins").value.trim();
+  if (!fromStr && !untilStr && !maxStr) return null;
 
-    clearFieldErrors(["validate-token-id"]);
+  const validFrom = fromStr ? Math.floor(Date.parse(fromStr) / 1000) : 0;
+  const validUntil = untilStr ? Math.floor(Date.parse(untilStr) / 1000) : 0;
+  const maxCheckIns = maxStr ? Number(maxStr) : 0;
 
-    const tokenIdStr = document
-      .getElementById("validate-token-id")
-      .value.trim();
-    if (!tokenIdStr) {
-      setFieldError(
-        "validate-token-id",
-        "Introduce el tokenId del ticket a validar."
-      );
-      setStatus("error", "Debes indicar el tokenId del ticket.");
-      return;
-    }
+  if (validUntil && validUntil <= Math.max(validFrom, Math.floor(Date.now() / 1000))) {
+    setFieldError("grant-until", "El fin del permiso debe ser posterior a su inicio y a ahora.");
+    return false;
+  }
+  if (!Number.isInteger(maxCheckIns) || maxCheckIns < 0 || maxCheckIns > 4294967295) {
+    setFieldError("grant-max-checkins", "Indica un número entero de validaciones.");
+    return false;
+  }
+  return { validFrom, validUntil, maxCheckIns };
+}
 
-    const tokenId = ethers.BigNumber.from(tokenIdStr);
-    const eventId = await ticketNFT.ticketEvent(tokenId);
+function grantLabel(grant) {
+  const when = (ts) => new Date(ts * 1000).toLocaleString();
+  const parts = [];
+  if (grant.validFrom) parts.push(`desde ${when(grant.validFrom)}`);
+  if (grant.validUntil) parts.push(`hasta ${when(grant.validUntil)}`);
+  if (grant.maxCheckIns) parts.push(`máx. ${grant.maxCheckIns} validaciones`);
+  return parts.join(", ") || "sin límites";
+}
 
-    let organizer = null;
-    let isVal = false;
+// Rellena la ventana con el día natural (hora local) del evento indicado
+function handleGrantEventDay() {
+  const eventIdStr = document.getElementById("validator-event-id").value.trim();
+  const evt = indexer && eventIdStr ? indexer.getEvent(eventIdStr) : null;
+  if (!evt) {
+    setFieldError("validator-event-id", "Indica un evento del índice.");
+    return;
+  }
+  const start = new Date(evt.date * 1000);
+  start.setHours(0, 0, 0, 0);
+  const from = Math.floor(start.getTime() / 1000);
+  document.getElementById("grant-from").value = toDatetimeLocal(from);
+  document.getElementById("grant-until").value = toDatetimeLocal(from + 24 * 3600);
+}
 
-    try {
-      const evt = await eventRegistry.getEvent(eventId);
-      organizer = evt.organizer ?? evt[8];
+const GRANT_STATUS = {
+  active: ["🟢", "activo"],
+  pending: ["🕓", "aún no vigente"],
+  expired: ["⌛", "permiso caducado"],
+  exhausted: ["🔚", "tope de validaciones alcanzado"],
+  revoked: ["⚪", "revocado"],
+};
+
+// Validadores (activos y revocados) del evento de la tarjeta de gestión, con
+// la fecha de alta, sus límites, sus validaciones y si el permiso sigue
+// vigente. Solo el organizador ve "Revocar".
+function renderValidatorRoster() {
+  const eventIdStr = document.getElementById("validator-event-id").value.trim();
+  const evt = indexer && eventIdStr ? indexer.getEvent(eventIdStr) : null;
+  if (!evt) {
+    validatorRosterEl.textContent = eventIdStr
+      ? "El evento no aparece en el índice."
+      : "Indica un evento para ver sus validadores.";
+    return;
+  }
+
+  const roster = indexer.getValidatorRoster(evt.id);
+  if (!roster.length) {
+    validatorRosterEl.textContent = "Este evento todavía no tiene validadores.";
+    return;
+  }
+
+  const canRevoke = isCurrentAccount(evt.organizer);
+  const when = (ts) => (ts ? new Date(ts * 1000).toLocaleString() : "—");
+  validatorRosterEl.innerHTML = roster
+    .map((v) => {
+      const [icon, label] = GRANT_STATUS[v.status];
+      // El tope cuenta solo las validaciones del permiso actual
+      const limit =
+        v.active && v.grant?.maxCheckIns
+          ? ` (${v.grantCheckIns}/${v.grant.maxCheckIns} con este permiso)`
+          : "";
+      return `
+      <div class="refund-item">
+        <span>
+          ${icon} ${v.address.slice(0, 6)}…${v.address.slice(-4)}
+          · ${v.active ? `alta ${when(v.addedAt)}` : `revocado el ${when(v.revokedAt)}`}
+          · ${v.checkIns} validaciones${limit}
+          ${v.active && v.grant ? `<br /><small>${grantLabel(v.grant)}</small>` : ""}
+          ${v.active && v.status !== "active" ? `<br /><small>${label}</small>` : ""}
+        </span>
+        ${
+          v.active && canRevoke
+            ? `<button class="secondary btn-revoke-validator" data-address="${v.address}">Revocar</button>`
+            : ""
+        }
+      </div>`;
+    })
+    .join("");
+  validatorRosterEl.querySelectorAll(".btn-revoke-validator").forEach((btn) =>
+    btn.addEventListener("click", () => handleRevokeValidator(evt.id, btn.dataset.address))
+  );
+}
+
+async function handleRevokeValidator(eventIdStr, address) {
+  try {
+    if (!ensureContracts()) return;
+
+    const overrides = await simulateAndConfirm(
+      eventRegistry,
+      "setValidator",
+      [eventIdStr, address, false],
+      {},
+      `Revocar al validador ${address} del evento ${eventIdStr}`
+    );
+    if (!overrides) return;
+
+    setStatus("pending", "Revocando validador...");
+    const tx = await eventRegistry.setValidator(eventIdStr, address, false, overrides);
+    await txManager.track(tx, `Revocar validador evento ${eventIdStr}`);
+
+    log(`Validador ${address} revocado en el evento ${eventIdStr}.`);
+    setStatus("success", "Validador revocado.");
+    await refreshRolesAndMyTickets().catch(() => {});
+  } catch (err) {
+    reportError("Error al revocar el validador", err);
+  }
+}
+
+// Alta masiva desde una lista pegada (mismo formato que la preventa)
+async function handleBulkValidators() {
+  try {
+    if (!ensureContracts()) return;
+
+    clearFieldErrors(["validator-event-id", "validator-bulk"]);
+    const eventIdStr = document.getElementById("validator-event-id").value.trim();
+    if (!eventIdStr) {
+      setFieldError("validator-event-id", "Introduce el ID del evento.");
+      return;
+    }
+
+    const { addresses, invalid } = parseAddressList(
+      document.getElementById("validator-bulk").value
+    );
+    if (invalid.length) {
+      setFieldError(
+        "validator-bulk",
+        `Direcciones no válidas: ${invalid.slice(0, 3).map((x) => `línea ${x.line}`).join(", ")}.`
+      );
+      return;
+    }
+    const grant = readValidatorGrant();
+    if (grant === false) return;
+
+    // Con límites se aplican también a las que ya validan (cambian sus límites)
+    const pending = grant
+      ? addresses
+      : addresses.filter((a) => !indexer.isValidator(eventIdStr, a));
+    if (!pending.length) {
+      setFieldError(
+        "validator-bulk",
+        addresses.length ? "Todas ya son validadoras del evento." : "Pega al menos una dirección 0x..."
+      );
+      return;
+    }
+
+    const [method, args] = grant
+      ? ["grantValidators", [eventIdStr, pending, grant.validFrom, grant.validUntil, grant.maxCheckIns]]
+      : ["setValidators", [eventIdStr, pending, true]];
+    const overrides = await simulateAndConfirm(
+      eventRegistry,
+      method,
+      args,
+      {},
+      `Añadir ${pending.length} validadores al evento ${eventIdStr}`,
+      grant
+        ? [["Permiso", grantLabel(grant)]]
+        : [["Ya eran validadoras (se omiten)", String(addresses.length - pending.length)]]
+    );
+    if (!overrides) return;
+
+    setStatus("pending", `Registrando ${pending.length} validadores...`);
+    const tx = await eventRegistry[method](...args, overrides);
+    await txManager.track(tx, `Añadir validadores evento ${eventIdStr}`);
+
+    log(`${pending.length} validadores añadidos al evento ${eventIdStr}.`);
+    setStatus("success", "Validadores añadidos.");
+    document.getElementById("validator-bulk").value = "";
+    await refreshRolesAndMyTickets().catch(() => {});
+  } catch (err) {
+    reportError("Error al añadir los validadores", err, {
+      event: "validator-event-id",
+      validator: "validator-bulk",
+      validators: "validator-bulk",
+      grant: "grant-until",
+    });
+  }
+}
+
+// ----------------- validar ticket -----------------
+
+async function handleValidate() {
+  try {
+    if (!ensureContracts()) return;
+
+    clearFieldErrors(["validate-token-id"]);
+
+    const tokenIdStr = document
+      .getElementById("validate-token-id")
+      .value.trim();
+    if (!tokenIdStr) {
+      setFieldError(
+        "validate-token-id",
+        "Introduce el tokenId del ticket a validar."
+      );
+      setStatus("error", "Debes indicar el tokenId del ticket.");
+      return;
+    }
+
+    const tokenId = ethers.BigNumber.from(tokenIdStr);
+    const eventId = await ticketNFT.ticketEvent(tokenId);
+
+    let organizer = null;
+    let isVal = false;
+
+    try {
+      const evt = await eventRegistry.getEvent(eventId);
+      organizer = evt.organizer ?? evt[8];
     } catch (e) {
       console.warn("No se pudo leer getEvent en handleValidate:", e);
     }
@@ -866,267 +2348,265 @@ async function handleValidate() {
       return;
     }
 
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "markTicketUsed",
+      [tokenId],
+      {},
+      `Validar ticket ${tokenId.toString()} (evento ${eventId.toString()})`
+    );
+    if (!overrides) return;
+
     log(
       `Marcando token ${tokenId.toString()} como usado para el evento ${eventId.toString()}...`
     );
     setStatus("pending", "Enviando validación de ticket...");
 
-    const tx = await ticketMarket.markTicketUsed(tokenId);
-    await tx.wait();
+    const tx = await ticketMarket.markTicketUsed(tokenId, overrides);
+    await txManager.track(tx, `Validar ticket ${tokenId.toString()}`);
 
     log(`Ticket ${tokenId.toString()} marcado como usado correctamente.`);
     setStatus("success", "Ticket validado correctamente.");
 
     await refreshRolesAndMyTickets().catch(() => {});
   } catch (err) {
-    console.error(err);
-    log(`Error al validar ticket: ${err.message ?? err}`);
-    setStatus("error", `Error al validar ticket: ${err.message ?? err}`);
+    reportError("Error al validar ticket", err, {
+      event: "validate-token-id",
+      token: "validate-token-id",
+    });
   }
 }
 
 // ----------------- listado de eventos (columna derecha) -----------------
 
-// ----------------- listado de eventos (columna derecha) -----------------
+// Sincroniza el indexador con los bloques nuevos (solo procesa lo pendiente)
+// y guarda el resultado en IndexedDB para el próximo arranque
+async function syncIndexer() {
+  const current = indexer;
+  const applied = await current.sync();
+  // Si la sesión cambió mientras tanto, este índice ya no es el de la DApp
+  if (current !== indexer) return;
+  if (applied > 0) {
+    log(`Indexador: ${applied} logs nuevos procesados (hasta el bloque ${indexer.lastBlock}).`);
+  }
+  saveSnapshot(indexerCacheKey, indexer.snapshot()).catch((e) =>
+    console.warn("No se pudo guardar la caché del indexador:", e)
+  );
+}
 
 async function refreshEventsList() {
   try {
     if (!ensureContracts()) return;
 
     const listEl = document.getElementById("events-list");
-    listEl.innerHTML = "<p>Cargando eventos...</p>";
-
-    const nextId = await eventRegistry.nextEventId();
-    const totalEvents = nextId.toNumber();
-
-    if (totalEvents === 0) {
-      listEl.innerHTML = "<p>No hay eventos creados todavía.</p>";
-      return;
-    }
-
-    const frag = document.createDocumentFragment();
-
-    for (let i = 0; i < totalEvents; i++) {
-      let evt;
-      try {
-        evt = await eventRegistry.getEvent(i);
-      } catch (e) {
-        console.warn("No se pudo leer getEvent para id", i, e);
-        continue;
-      }
-
-      const organizer = evt.organizer ?? evt[8];
-      if (!organizer || organizer === ethers.constants.AddressZero) {
-        continue;
-      }
-
-      const id = evt.id ?? evt[0];
-      const name = evt.name ?? evt[1];
-      const dateTs = (evt.date ?? evt[2]).toNumber();
-      const location = evt.location ?? evt[3];
-      const basePriceWei = evt.basePriceWei ?? evt.basePrice ?? evt[4];
-      const maxFactor = (evt.maxResaleFactor ?? evt[5]).toString();
-      const totalTickets = (evt.totalTickets ?? evt[6]).toNumber();
-      const metadataCid = evt.metadataCid ?? evt[7];
-      const active = evt.active ?? evt[9];
-
-      // Campos anti-bots (opcionales)
-      const perWalletRaw =
-        evt.maxPerWallet ??
-        evt.maxTicketsPerWallet ??
-        evt.ticketsPerWallet ??
-        evt[10];
-      const cooldownRaw =
-        evt.cooldownSeconds ??
-        evt.cooldown ??
-        evt.purchaseCooldownSeconds ??
-        evt[11];
-
-      let perWalletLabel = "Sin límite";
-      if (perWalletRaw && perWalletRaw.toString) {
-        const n = perWalletRaw.toNumber
-          ? perWalletRaw.toNumber()
-          : Number(perWalletRaw);
-        if (n > 0) perWalletLabel = `${n} por cartera`;
-      }
-
-      let cooldownLabel = "Sin cooldown";
-      if (cooldownRaw && cooldownRaw.toString) {
-        const n = cooldownRaw.toNumber
-          ? cooldownRaw.toNumber()
-          : Number(cooldownRaw);
-        if (n > 0) cooldownLabel = `${n} s entre compras`;
-      }
-
-      const minted = await ticketMarket.mintedTicketsPerEvent(id);
-      const mintedNum = minted.toNumber();
-      const remaining = Math.max(totalTickets - mintedNum, 0);
-
-      const basePriceEth = ethers.utils.formatEther(basePriceWei);
-      const dateStr =
-        dateTs > 0
-          ? new Date(dateTs * 1000).toLocaleString()
-          : "sin fecha";
-
-      const div = document.createElement("div");
-      div.className = "event-item";
-      div.dataset.eventId = id.toString();
-
-      div.innerHTML = `
-        <div class="event-title">[ID ${id}] ${name}</div>
-        <div class="event-meta">
-          <span>📍 ${location}</span>
-          <span>📅 ${dateStr}</span>
-        </div>
-        <div class="event-meta">
-          <span>💰 Base: ${basePriceEth} ETH</span>
-          <span>🔁 Máx. reventa: ${maxFactor}%</span>
-        </div>
-        <div class="event-meta">
-          <span>👛 Límite por cartera: ${perWalletLabel}</span>
-          <span>⏱️ Cooldown: ${cooldownLabel}</span>
-        </div>
-        <div class="event-meta">
-          <span>🎟️ Emitidos: ${mintedNum}/${totalTickets}</span>
-          <span>✅ Restantes: ${remaining}</span>
-          <span>${active ? "🟢 Activo" : "🔴 Inactivo"}</span>
-        </div>
-        ${
-          metadataCid && metadataCid !== ""
-            ? `<div class="event-link">
-                 Metadatos IPFS:
-                 <a href="${IPFS_GATEWAY_URL}/${metadataCid}" target="_blank" rel="noopener noreferrer">
-                   ${metadataCid.slice(0, 10)}...
-                 </a>
-               </div>`
-            : ""
-        }
-        <div class="event-actions">
-          <button class="secondary btn-use-event">
-            Usar este evento
-          </button>
-          <button class="btn-show-resales">
-            Ver tickets de reventa
-          </button>
-          <div class="event-extra" id="event-extra-${id}"></div>
-        </div>
-      `;
-
-      frag.appendChild(div);
+    if (!listEl.querySelector(".event-item")) {
+      listEl.innerHTML = "<p>Cargando eventos...</p>";
     }
 
-    listEl.innerHTML = "";
-    listEl.appendChild(frag);
-
-    // Botón "Usar este evento"
-    listEl.querySelectorAll(".btn-use-event").forEach((btn) => {
-      const parent = btn.closest(".event-item");
-      const eventId = parent?.dataset.eventId;
-      if (!eventId) return;
-      btn.addEventListener("click", () => handleUseEvent(eventId));
-    });
-
-    // Nuevo botón "Ver tickets de reventa"
-    listEl.querySelectorAll(".btn-show-resales").forEach((btn) => {
-      const parent = btn.closest(".event-item");
-      const eventId = parent?.dataset.eventId;
-      if (!eventId) return;
-      btn.addEventListener("click", () => handleShowResalesForEvent(eventId));
-    });
+    await syncIndexer();
+    renderEventsList();
   } catch (err) {
     console.error(err);
     log(`Error al actualizar listado de eventos: ${err.message ?? err}`);
   }
 }
 
-// Mostrar lista de tickets de reventa para un evento, ordenados por precio
-async function handleShowResalesForEvent(eventIdStr) {
-  try {
-    if (!ensureContracts()) return;
-
-    const eventId = ethers.BigNumber.from(eventIdStr);
-    const extraEl = document.getElementById(`event-extra-${eventId.toString()}`);
-
-    if (extraEl) {
-      extraEl.textContent = "Cargando tickets de reventa...";
-    }
+// Pinta las tarjetas de eventos a partir del índice (sin llamadas RPC)
+function renderEventsList() {
+  const listEl = document.getElementById("events-list");
+  const events = indexer.getEvents();
 
-    const nextListingId = await ticketMarket.nextListingId();
-    const totalListings = nextListingId.toNumber();
-
-    const resales = [];
+  if (events.length === 0) {
+    listEl.innerHTML = "<p>No hay eventos creados todavía.</p>";
+    return;
+  }
 
-    for (let i = 0; i < totalListings; i++) {
-      const lst = await ticketMarket.listings(i);
+  const frag = document.createDocumentFragment();
+  events.forEach((evt) => frag.appendChild(buildEventCard(evt)));
 
-      const seller = lst.seller ?? lst[1];
-      const active = typeof lst.active !== "undefined" ? lst.active : lst[3];
-      const tokenId = lst.tokenId ?? lst[0];
-      const priceWei = lst.priceWei ?? lst.price ?? lst[2];
+  listEl.innerHTML = "";
+  listEl.appendChild(frag);
+  renderMarketplace();
+  renderBuyTiers();
+  renderSaleInfo();
+  refreshBuyAllowance();
+}
 
-      // Si no hay seller o está inactivo, lo saltamos
-      if (!seller || seller === ethers.constants.AddressZero || !active) {
-        continue;
-      }
+// Versiones anteriores de los metadatos (el evento se ha editado). Los CID
+// los escribe el organizador on-chain: solo se enlazan si son un CID y se
+// pintan con textContent.
+function fillCidHistory(box, evt) {
+  const history = evt.cidHistory.filter((h) => h.cid);
+  if (!history.length) {
+    box.remove();
+    return;
+  }
 
-      // Miramos a qué evento pertenece este token
-      let evId;
-      try {
-        evId = await ticketNFT.ticketEvent(tokenId);
-      } catch {
-        continue;
-      }
+  const summary = document.createElement("summary");
+  summary.textContent = `Editado ${history.length} ${
+    history.length === 1 ? "vez" : "veces"
+  }: versiones anteriores`;
+  const list = document.createElement("ul");
+  history.forEach((h, i) => {
+    const li = document.createElement("li");
+    li.append(`v${i + 1}: `);
+    if (CID_RE.test(h.cid)) {
+      const link = document.createElement("a");
+      link.href = ipfs.gatewayUrl(h.cid);
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = `${h.cid.slice(0, 10)}...`;
+      li.append(link);
+    } else {
+      li.append(`${h.cid.slice(0, 10)}... (no es un CID válido)`);
+    }
+    if (h.replacedAt) {
+      li.append(` (sustituida el ${new Date(h.replacedAt * 1000).toLocaleString()})`);
+    }
+    list.appendChild(li);
+  });
+  box.append(summary, list);
+}
 
-      if (!evId.eq(eventId)) continue;
+// Zonas del evento con su precio, entradas restantes y ventana de venta
+// Lista de zonas de la tarjeta del evento. Los nombres de las zonas los
+// escribe el organizador on-chain: van como textContent, nunca por innerHTML.
+function fillTierList(box, evt) {
+  if (!evt.tiers?.length) {
+    box.remove();
+    return;
+  }
 
-      resales.push({
-        listingId: i,
-        tokenId: tokenId.toString(),
-        priceWei,
-      });
-    }
+  const list = document.createElement("ul");
+  list.className = "tier-list";
+  for (const t of evt.tiers) {
+    const left = Math.max(t.supply - t.minted, 0);
+    const limit = t.maxPerWallet ? ` · máx. ${t.maxPerWallet} por cartera` : "";
+    const until = t.saleEnd ? ` · hasta el ${new Date(t.saleEnd * 1000).toLocaleString()}` : "";
+    const li = document.createElement("li");
+    li.textContent = `${t.name}: ${ethers.utils.formatEther(t.priceWei)} ETH · ${left}/${
+      t.supply
+    } restantes${limit}${tierWindowLabel(t) ? ` · ${tierWindowLabel(t)}` : until}`;
+    list.appendChild(li);
+  }
+  box.append("🎫 Zonas:", list);
+}
 
-    if (!extraEl) {
-      if (!resales.length) {
-        log(
-          `No hay tickets en reventa para el evento ${eventId.toString()}.`
-        );
-      } else {
-        log(
-          `Encontradas ${resales.length} reventas para el evento ${eventId.toString()}.`
-        );
-      }
-      return;
-    }
+// Inicio de la venta y preventa con lista, si el organizador las ha fijado
+function saleScheduleHtml(evt) {
+  const parts = [];
+  if (evt.saleStart) {
+    parts.push(`⏳ Venta desde ${new Date(evt.saleStart * 1000).toLocaleString()}`);
+  }
+  if (evt.allowlistRoot) {
+    parts.push(`🔒 Preventa con lista hasta ${new Date(evt.publicSaleStart * 1000).toLocaleString()}`);
+  }
+  if (!parts.length) return "";
+  return `<div class="event-meta">${parts.map((p) => `<span>${p}</span>`).join("")}</div>`;
+}
 
-    if (!resales.length) {
-      extraEl.textContent =
-        "No hay tickets en reventa ahora mismo para este evento.";
-      log(
-        `No hay listings de reventa activos para el evento ${eventId.toString()}.`
-      );
-      return;
+// Tarjeta de un evento con sus botones ya enlazados
+function buildEventCard(evt) {
+  const id = evt.id;
+  const totalTickets = evt.totalTickets;
+  const mintedNum = evt.minted;
+  const remaining = Math.max(totalTickets - mintedNum, 0);
+
+  const perWalletLabel =
+    evt.maxTicketsPerWallet > 0
+      ? `${evt.maxTicketsPerWallet} por cartera`
+      : "Sin límite";
+  const cooldownLabel =
+    evt.walletCooldown > 0
+      ? `${evt.walletCooldown} s entre compras`
+      : "Sin cooldown";
+
+  const basePriceEth = ethers.utils.formatEther(evt.basePriceWei);
+  const dateStr =
+    evt.date > 0
+      ? new Date(evt.date * 1000).toLocaleString()
+      : "sin fecha";
+
+  const div = document.createElement("div");
+  div.className = "event-item";
+  div.dataset.eventId = id;
+
+  div.innerHTML = `
+    <div class="event-title">[ID ${id}] ${evt.name}</div>
+    <div class="event-rich"></div>
+    <div class="event-meta">
+      <span>📍 ${evt.location}</span>
+      <span>📅 ${dateStr}</span>
+    </div>
+    <div class="event-meta">
+      <span>💰 ${evt.tiers?.length ? "Referencia" : "Base"}: ${basePriceEth} ETH</span>
+      <span>🔁 Máx. reventa: ${evt.maxResaleFactor}%</span>
+      <span>💸 Regalía reventa: ${(evt.royaltyBps ?? 0) / 100}%</span>
+    </div>
+    <div class="event-meta">
+      <span>👛 Límite por cartera: ${perWalletLabel}</span>
+      <span>⏱️ Cooldown: ${cooldownLabel}</span>
+    </div>
+    <div class="event-meta">
+      <span>🎟️ Emitidos: ${mintedNum}/${totalTickets}</span>
+      <span>✅ Restantes: ${remaining}</span>
+      <span>${
+        evt.cancelled ? "⛔ Cancelado" : evt.active ? "🟢 Activo" : "🔴 Inactivo"
+      }</span>
+    </div>
+    ${
+      evt.metadataCid && evt.metadataCid !== ""
+        ? `<div class="event-link">
+             Metadatos IPFS:
+             <a href="${ipfs.gatewayUrl(evt.metadataCid)}" target="_blank" rel="noopener noreferrer">
+               ${evt.metadataCid.slice(0, 10)}...
+             </a>
+           </div>`
+        : ""
     }
+    ${saleScheduleHtml(evt)}
+    <div class="event-link event-tiers"></div>
+    <details class="event-link event-cid-history"></details>
+    <div class="event-actions">
+      <button class="secondary btn-use-event">
+        Usar este evento
+      </button>
+      <button class="btn-show-resales">
+        Ver tickets de reventa
+      </button>
+      <div class="event-extra" id="event-extra-${id}"></div>
+    </div>
+  `;
+
+  fillTierList(div.querySelector(".event-tiers"), evt);
+  fillCidHistory(div.querySelector(".event-cid-history"), evt);
+
+  // Botón "Usar este evento"
+  div
+    .querySelector(".btn-use-event")
+    .addEventListener("click", () => handleUseEvent(id));
+
+  // Botón "Ver tickets de reventa"
+  div
+    .querySelector(".btn-show-resales")
+    .addEventListener("click", () => handleShowResalesForEvent(id));
+
+  hydrateEventCard(div, evt).catch((err) => console.warn(err));
+  return div;
+}
 
-    // Ordenar por precio (de menor a mayor)
-    resales.sort((a, b) => {
-      if (a.priceWei.lt(b.priceWei)) return -1;
-      if (a.priceWei.gt(b.priceWei)) return 1;
-      return 0;
-    });
-
-    const lines = resales.map((r) => {
-      const priceEth = ethers.utils.formatEther(r.priceWei);
-      return `· Listing #${r.listingId} – Ticket #${r.tokenId} – ${priceEth} ETH`;
-    });
+// "Ver tickets de reventa": abre el mercado filtrado por ese evento
+async function handleShowResalesForEvent(eventIdStr) {
+  try {
+    if (!ensureContracts()) return;
 
-    extraEl.innerHTML =
-      "<strong>Tickets en reventa (ordenados por precio):</strong><br/>" +
-      lines.join("<br/>");
+    await syncIndexer();
+    marketEventEl.value = String(eventIdStr);
+    marketPage = 1;
+    const { total } = renderMarketplace();
+    marketListEl.scrollIntoView({ behavior: "smooth", block: "center" });
 
-    log(
-      `Mostrando ${resales.length} tickets en reventa para evento ${eventId.toString()} (ordenados por precio).`
-    );
+    log(`Mostrando ${total} tickets en reventa para el evento ${eventIdStr}.`);
   } catch (err) {
     console.error(err);
     log(`Error al obtener reventas del evento: ${err.message ?? err}`);
@@ -1144,35 +2624,27 @@ async function handleUseEvent(eventIdStr) {
     document.getElementById("buy-event-id").value = eventId.toString();
     document.getElementById("validator-event-id").value =
       eventId.toString();
+    document.getElementById("edit-event-id").value = eventId.toString();
+    document.getElementById("sched-event-id").value = eventId.toString();
 
     log(`Evento ${eventId.toString()} seleccionado para las operaciones.`);
 
-    const evt = await eventRegistry.getEvent(eventId);
-    const totalTickets = (evt.totalTickets ?? evt[6]).toNumber();
-
-    const minted = await ticketMarket.mintedTicketsPerEvent(eventId);
-    const mintedNum = minted.toNumber();
-    const remaining = Math.max(totalTickets - mintedNum, 0);
-
-    const nextListingId = await ticketMarket.nextListingId();
-    const totalListings = nextListingId.toNumber();
-
-    let activeResaleCount = 0;
-    for (let i = 0; i < totalListings; i++) {
-      const lst = await ticketMarket.listings(i);
-      const seller = lst.seller ?? lst[1];
-      const active = typeof lst.active !== "undefined" ? lst.active : lst[3];
-      if (!seller || seller === ethers.constants.AddressZero || !active) {
-        continue;
-      }
-
-      const tokenId = lst.tokenId ?? lst[0];
-      const evId = await ticketNFT.ticketEvent(tokenId);
-      if (evId.eq(eventId)) {
-        activeResaleCount++;
-      }
+    await syncIndexer();
+    const evt = indexer.getEvent(eventId.toString());
+    renderBuyTiers();
+    renderSaleInfo();
+    refreshBuyAllowance();
+    if (!evt) {
+      log(`El evento ${eventId.toString()} no aparece en el índice.`);
+      return;
     }
 
+    const remaining = Math.max(evt.totalTickets - evt.minted, 0);
+    const activeResaleCount = indexer.getListings({
+      eventId: eventId.toString(),
+      activeOnly: true,
+    }).length;
+
     const extraEl = document.getElementById(`event-extra-${eventId.toString()}`);
     if (extraEl) {
       extraEl.textContent =
@@ -1196,183 +2668,1161 @@ async function refreshRolesAndMyTickets() {
   try {
     if (!ensureContracts()) return;
 
-    // Roles: organizador / validador
-    const nextId = await eventRegistry.nextEventId();
-    const totalEvents = nextId.toNumber();
-    const organizerEvents = [];
-    const validatorEvents = [];
+    await syncIndexer();
+    renderRolesAndMyTickets();
+  } catch (err) {
+    console.error(err);
+    log(`Error al actualizar rol/tickets: ${err.message ?? err}`);
+  }
+}
 
-    for (let i = 0; i < totalEvents; i++) {
-      let evt;
-      try {
-        evt = await eventRegistry.getEvent(i);
-      } catch {
-        continue;
+// Pinta el rol y los tickets de la cuenta a partir del índice (sin RPC)
+function renderRolesAndMyTickets() {
+  // Roles: organizador / validador (si es organizador no lo listamos como validador)
+  const organizerEvents = indexer.getOrganizerEventIds(currentAccount);
+  const validatorEvents = indexer
+    .getValidatorEventIds(currentAccount)
+    .filter((id) => !organizerEvents.includes(id));
+
+  if (!organizerEvents.length && !validatorEvents.length) {
+    roleInfoEl.textContent =
+      "La cuenta conectada no es organizadora ni validadora de ningún evento.";
+  } else {
+    roleInfoEl.innerHTML = `
+      Rol actual de <code style="font-size:0.8rem;">${currentAccount}</code>:<br/>
+      ${
+        organizerEvents.length
+          ? `• Organizadora en eventos: ${organizerEvents.join(", ")}<br/>`
+          : ""
       }
-      const organizer = evt.organizer ?? evt[8];
-      if (!organizer || organizer === ethers.constants.AddressZero) continue;
-
-      const eventId = evt.id ?? evt[0];
-
-      if (organizer.toLowerCase() === currentAccount.toLowerCase()) {
-        organizerEvents.push(eventId.toString());
-      } else if (typeof eventRegistry.isValidator === "function") {
-        try {
-          const isVal = await eventRegistry.isValidator(
-            eventId,
-            currentAccount
-          );
-          if (isVal) validatorEvents.push(eventId.toString());
-        } catch {
-          // ignore
-        }
+      ${
+        validatorEvents.length
+          ? `• Validadora en eventos: ${validatorEvents.join(", ")}`
+          : ""
       }
+    `;
+  }
+
+  renderMyTickets();
+  renderOrganizerDashboard();
+  renderValidatorRoster();
+}
+
+// Zona del ticket (si el evento vende por zonas)
+// <span> con la zona del ticket (o null). Se crea con textContent porque el
+// nombre de la zona lo elige el organizador.
+function tierLabel(ticket) {
+  const tier = indexer.getTicketTier(ticket.tokenId);
+  if (!tier) return null;
+  const span = document.createElement("span");
+  span.textContent = `Zona: ${tier.name}`;
+  return span;
+}
+
+// tokenURI de cada ticket ya leído. La clave incluye el estado y el CID del
+// evento porque el JSON cambia al usarse el ticket o editarse el evento.
+const tokenUriCache = new Map();
+
+function loadTicketMetadata(ticket) {
+  const cid = indexer.getEvent(ticket.eventId)?.metadataCid ?? "";
+  const key = `${ticket.tokenId}:${ticket.state}:${cid}`;
+  if (!tokenUriCache.has(key)) {
+    tokenUriCache.set(
+      key,
+      ticketNFT.tokenURI(ticket.tokenId).then(decodeTokenUri).catch((err) => {
+        tokenUriCache.delete(key);
+        throw err;
+      })
+    );
+  }
+  return tokenUriCache.get(key);
+}
+
+// Pinta en la tarjeta la misma metadata ERC-721 que ven wallets y
+// marketplaces (tokenURI), avisando si no cumple el esquema
+async function hydrateTicketCard(card, ticket) {
+  const box = card.querySelector(".ticket-nft");
+  let json;
+  try {
+    json = await loadTicketMetadata(ticket);
+  } catch (err) {
+    console.warn(`tokenURI(${ticket.tokenId}) no disponible:`, err);
+    return;
+  }
+
+  box.innerHTML = "";
+  const problems = validateErc721Metadata(json);
+  if (problems.length) {
+    const warn = document.createElement("div");
+    warn.className = "field-error";
+    warn.textContent = `⚠️ La metadata del ticket no sigue el esquema ERC-721: ${problems.join(" ")}`;
+    box.appendChild(warn);
+    return;
+  }
+
+  const img = document.createElement("img");
+  img.className = "ticket-nft-image";
+  img.alt = json.name;
+  img.src = json.image.startsWith("ipfs://") ? eventMetadata.imageUrl(json.image) : json.image;
+  box.appendChild(img);
+
+  const dl = document.createElement("dl");
+  dl.className = "ticket-nft-attrs";
+  formatAttributes(json).forEach(({ label, value }) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    dl.append(dt, dd);
+  });
+  box.appendChild(dl);
+}
+
+function renderMyTickets() {
+  const listEl = document.getElementById("my-tickets-list");
+
+  renderRefunds().catch((err) => {
+    console.error(err);
+    log(`Error al leer los reembolsos pendientes: ${err.message ?? err}`);
+  });
+
+  // Tickets de la cuenta, incluidos los que están en escrow en el Market
+  const tickets = indexer.getTicketsOf(currentAccount);
+  const listings = indexer.getState().listings;
+
+  if (!tickets.length) {
+    listEl.innerHTML =
+      "<p>No se han encontrado tickets a nombre de esta cuenta.</p>";
+    return;
+  }
+
+  const frag = document.createDocumentFragment();
+
+  for (const ticket of tickets) {
+    const tokenId = ticket.tokenId;
+    const stateNum = ticket.state;
+
+    let stateLabel = "Desconocido";
+    let stateIcon = "❓";
+    if (stateNum === 1) {
+      stateLabel = "Válido";
+      stateIcon = "✅";
+    } else if (stateNum === 2) {
+      stateLabel = "Usado";
+      stateIcon = "🔴";
+    } else if (stateNum === 3) {
+      stateLabel = "Cancelado";
+      stateIcon = "⚠️";
     }
 
-    if (!organizerEvents.length && !validatorEvents.length) {
-      roleInfoEl.textContent =
-        "La cuenta conectada no es organizadora ni validadora de ningún evento.";
-    } else {
-      roleInfoEl.innerHTML = `
-        Rol actual de <code style="font-size:0.8rem;">${currentAccount}</code>:<br/>
+    const listing =
+      ticket.listingId !== null ? listings[ticket.listingId] : null;
+
+    const div = document.createElement("div");
+    div.className = listing ? "ticket-item in-resale" : "ticket-item";
+    div.dataset.tokenId = tokenId;
+
+    if (listing) {
+      div.innerHTML = `
+        <div class="ticket-title">🏷️ Ticket #${tokenId}</div>
+        <div class="ticket-meta">
+          <span>Evento ID: ${ticket.eventId}</span>
+          <span>Estado: En reventa (listing ${listing.listingId}, ${ethers.utils.formatEther(
+            listing.priceWei
+          )} ETH)</span>
+        </div>
+        <div class="ticket-actions">
+          <button class="secondary btn-listing-cancel" data-listingid="${listing.listingId}">
+            Retirar
+          </button>
+          <input class="listing-price-input" placeholder="Nuevo precio ETH"
+                 inputmode="decimal" data-listingid="${listing.listingId}" />
+          <button class="btn-listing-price" data-listingid="${listing.listingId}">
+            Cambiar precio
+          </button>
+        </div>
+        <div class="ticket-nft"></div>
+      `;
+      hydrateTicketCard(div, ticket);
+      frag.appendChild(div);
+      continue;
+    }
+
+    div.innerHTML = `
+      <div class="ticket-title">${stateIcon} Ticket #${tokenId}</div>
+      <div class="ticket-meta">
+        <span>Evento ID: ${ticket.eventId}</span>
+        <span>Estado: ${stateLabel}</span>
+      </div>
+      <div class="ticket-actions">
         ${
-          organizerEvents.length
-            ? `• Organizadora en eventos: ${organizerEvents.join(", ")}<br/>`
+          stateNum === 1
+            ? `<button class="secondary btn-ticket-resale" data-tokenid="${tokenId}">
+                 Preparar reventa
+               </button>`
             : ""
         }
         ${
-          validatorEvents.length
-            ? `• Validadora en eventos: ${validatorEvents.join(", ")}`
+          stateNum === 1
+            ? `<button class="btn-ticket-validate" data-tokenid="${tokenId}">
+                 Preparar validación
+               </button>`
             : ""
         }
-      `;
+        ${
+          stateNum === 1
+            ? `<button class="secondary btn-ticket-qr" data-tokenid="${tokenId}">
+                 Mostrar QR
+               </button>`
+            : ""
+        }
+        ${
+          stateNum === 3
+            ? `<button class="btn-ticket-refund" data-eventid="${ticket.eventId}">
+                 Reclamar reembolso del evento
+               </button>`
+            : ""
+        }
+      </div>
+      <div class="ticket-nft"></div>
+    `;
+
+    const tierEl = tierLabel(ticket);
+    if (tierEl) div.querySelector(".ticket-meta span").after(tierEl);
+    hydrateTicketCard(div, ticket);
+    frag.appendChild(div);
+  }
+
+  listEl.innerHTML = "";
+  listEl.appendChild(frag);
+
+  // Listeners para botones por ticket
+  listEl.querySelectorAll(".btn-ticket-resale").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const tokenId = btn.dataset.tokenid;
+      document.getElementById("resale-token-id").value = tokenId;
+      log(
+        `Ticket ${tokenId} seleccionado para rellenar el formulario de reventa.`
+      );
+    });
+  });
+
+  listEl.querySelectorAll(".btn-ticket-validate").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const tokenId = btn.dataset.tokenid;
+      document.getElementById("validate-token-id").value = tokenId;
+      log(
+        `Ticket ${tokenId} seleccionado para rellenar el formulario de validación.`
+      );
+    });
+  });
+
+  listEl.querySelectorAll(".btn-ticket-qr").forEach((btn) => {
+    btn.addEventListener("click", () => handleShowPass(btn.dataset.tokenid));
+  });
+
+  listEl.querySelectorAll(".btn-ticket-refund").forEach((btn) => {
+    btn.addEventListener("click", () => handleClaimRefund(btn.dataset.eventid));
+  });
+
+  listEl.querySelectorAll(".btn-listing-cancel").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      handleCancelListing(btn.dataset.listingid)
+    );
+  });
+
+  listEl.querySelectorAll(".btn-listing-price").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const input = listEl.querySelector(
+        `.listing-price-input[data-listingid="${btn.dataset.listingid}"]`
+      );
+      handleUpdateListingPrice(btn.dataset.listingid, input.value.trim());
+    });
+  });
+}
+
+// ----------------- retirar / cambiar precio de reventa -----------------
+
+async function handleCancelListing(listingIdStr) {
+  try {
+    if (!ensureContracts()) return;
+
+    const listingId = ethers.BigNumber.from(listingIdStr);
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "cancelListing",
+      [listingId],
+      {},
+      `Retirar el anuncio de reventa ${listingIdStr}`
+    );
+    if (!overrides) return;
+
+    log(`Retirando el anuncio de reventa ${listingIdStr}...`);
+    setStatus("pending", "Retirando el ticket de la reventa...");
+
+    const tx = await ticketMarket.cancelListing(listingId, overrides);
+    await txManager.track(tx, `Retirar reventa ${listingIdStr}`);
+
+    log(`Anuncio ${listingIdStr} retirado; el ticket vuelve a tu cartera.`);
+    setStatus("success", `Anuncio ${listingIdStr} retirado.`);
+
+    await refreshEventsList().catch(() => {});
+    await refreshRolesAndMyTickets().catch(() => {});
+  } catch (err) {
+    reportError("Error al retirar el anuncio", err);
+  }
+}
+
+async function handleUpdateListingPrice(listingIdStr, priceEthStr) {
+  try {
+    if (!ensureContracts()) return;
+
+    if (!priceEthStr || !(Number(priceEthStr) > 0)) {
+      setStatus("error", "Introduce un precio de reventa mayor que 0.");
+      return;
     }
 
-    await refreshMyTickets();
+    const listingId = ethers.BigNumber.from(listingIdStr);
+    const priceWei = ethers.utils.parseEther(priceEthStr);
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "updateListingPrice",
+      [listingId, priceWei],
+      {},
+      `Cambiar el precio del anuncio ${listingIdStr} a ${priceEthStr} ETH`
+    );
+    if (!overrides) return;
+
+    log(`Cambiando el precio del anuncio ${listingIdStr} a ${priceEthStr} ETH...`);
+    setStatus("pending", "Actualizando el precio de reventa...");
+
+    const tx = await ticketMarket.updateListingPrice(listingId, priceWei, overrides);
+    await txManager.track(tx, `Cambiar precio de reventa ${listingIdStr}`);
+
+    log(`Precio del anuncio ${listingIdStr} actualizado a ${priceEthStr} ETH.`);
+    setStatus("success", `Nuevo precio: ${priceEthStr} ETH.`);
+
+    await refreshEventsList().catch(() => {});
+    await refreshRolesAndMyTickets().catch(() => {});
   } catch (err) {
-    console.error(err);
-    log(`Error al actualizar rol/tickets: ${err.message ?? err}`);
+    reportError("Error al cambiar el precio", err);
   }
 }
 
-async function refreshMyTickets() {
+// ----------------- pase QR -----------------
+
+let passCountdown = null;
+
+// Firma un pase para el ticket y lo muestra como QR con cuenta atrás
+async function handleShowPass(tokenId) {
   try {
     if (!ensureContracts()) return;
 
-    const listEl = document.getElementById("my-tickets-list");
-    listEl.innerHTML = "<p>Cargando tickets...</p>";
+    // El pase va firmado para el evento del ticket: solo sirve en sus puertas
+    const eventId = await ticketNFT.ticketEvent(tokenId);
+
+    log(`Firmando pase QR para el ticket ${tokenId}...`);
+    setStatus("pending", "Firma el pase de entrada en tu wallet...");
 
-    // Buscamos eventos TicketMinted donde el "to" sea la cuenta actual
-    const filter = ticketNFT.filters.TicketMinted(null, null, currentAccount);
-    const currentBlock = await provider.getBlockNumber();
-    const events = await ticketNFT.queryFilter(filter, 0, currentBlock);
+    const pass = await createTicketPass(signer, {
+      chainId: deployment.chainId,
+      contract: ticketNFT.address,
+      eventId: eventId.toString(),
+      tokenId,
+    });
+    const dataUrl = await QRCode.toDataURL(encodePass(pass), {
+      errorCorrectionLevel: "M",
+      margin: 2,
+      width: 280,
+    });
+
+    passTitleEl.textContent = `Ticket #${tokenId} · evento ${eventId}`;
+    passQrEl.src = dataUrl;
+
+    clearInterval(passCountdown);
+    const tick = () => {
+      const left = pass.expiresAt - Math.floor(Date.now() / 1000);
+      if (left <= 0) {
+        passExpiryEl.textContent = "Pase caducado. Genera uno nuevo.";
+        passQrEl.classList.add("expired");
+        clearInterval(passCountdown);
+        return;
+      }
+      passQrEl.classList.remove("expired");
+      const min = Math.floor(left / 60);
+      const sec = String(left % 60).padStart(2, "0");
+      passExpiryEl.textContent = `Caduca en ${min}:${sec}`;
+    };
+    tick();
+    passCountdown = setInterval(tick, 1000);
+
+    passDialogEl.addEventListener("close", () => clearInterval(passCountdown), {
+      once: true,
+    });
+    passDialogEl.showModal();
 
-    if (!events.length) {
-      listEl.innerHTML =
-        "<p>No se han encontrado tickets a nombre de esta cuenta.</p>";
+    log(`Pase QR del ticket ${tokenId} generado.`);
+    setStatus("success", "Muestra el QR en la puerta del evento.");
+  } catch (err) {
+    reportError("Error al generar el pase QR", err);
+  }
+}
+
+// ----------------- panel del organizador -----------------
+
+// Evento seleccionado en el panel (se mantiene entre repintados)
+let dashboardEventId = null;
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function renderOrganizerDashboard() {
+  renderPayouts().catch((err) => {
+    console.error(err);
+    log(`Error al leer el saldo a retirar: ${err.message ?? err}`);
+  });
+
+  const stats = organizerStats(indexer, currentAccount);
+  if (!stats.length) {
+    dashboardEl.textContent =
+      "La cuenta conectada no organiza ningún evento todavía.";
+    return;
+  }
+
+  if (!stats.some((st) => st.event.id === dashboardEventId)) {
+    dashboardEventId = stats[0].event.id;
+  }
+  const st = stats.find((x) => x.event.id === dashboardEventId);
+  const evt = st.event;
+
+  const avgMarkup =
+    st.avgMarkup === null ? "—" : `${st.avgMarkup >= 0 ? "+" : ""}${st.avgMarkup.toFixed(1)}%`;
+
+  dashboardEl.innerHTML = `
+    <select id="dashboard-event" class="dashboard-select"></select>
+
+    <div class="dashboard-kpis">
+      <div class="dashboard-kpi">Ingresos primaria
+        <strong>${ethers.utils.formatEther(st.primaryRevenueWei)} ETH</strong></div>
+      <div class="dashboard-kpi">Vendidas
+        <strong>${st.sold} / ${st.totalTickets} (${formatPercent(st.sellThrough)})</strong></div>
+      <div class="dashboard-kpi">Volumen reventa (${st.resaleCount})
+        <strong>${ethers.utils.formatEther(st.resaleVolumeWei)} ETH</strong></div>
+      <div class="dashboard-kpi">Sobreprecio medio (máx. +${st.maxMarkup}%)
+        <strong>${avgMarkup}</strong></div>
+      <div class="dashboard-kpi">Validadas
+        <strong>${st.checkIns} / ${st.sold} (${formatPercent(st.checkInRate)})</strong></div>
+      <div class="dashboard-kpi">Estado
+        <strong>${evt.cancelled ? "Cancelado" : evt.active ? "Activo" : "Inactivo"}</strong></div>
+      <div class="dashboard-kpi">Comisión plataforma
+        <strong>${ethers.utils.formatEther(st.platformFeeWei)} ETH</strong></div>
+      <div class="dashboard-kpi">Regalías de reventa
+        <strong>${ethers.utils.formatEther(st.royaltyWei)} ETH</strong></div>
+      <div class="dashboard-kpi">Regalía configurada
+        <strong>${evt.royaltyBps / 100}%</strong></div>
+      <div class="dashboard-kpi">Neto para el organizador
+        <strong>${ethers.utils.formatEther(
+          ethers.BigNumber.from(st.primaryRevenueWei).sub(st.platformFeeWei)
+        )} ETH</strong></div>
+    </div>
+
+    ${cancelBoxHtml(st)}
+
+    <div class="dashboard-section">
+      <h3>Ingresos acumulados (ETH)</h3>
+      ${stepChart(st.revenueSeries, { unit: " ETH" })}
+      <h3>Entradas vendidas frente al aforo</h3>
+      ${stepChart(st.soldSeries, { limit: st.totalTickets })}
+      <h3>Validaciones por validador</h3>
+      ${barChart(
+        st.validators.map((v) => ({
+          label: `${v.address.slice(0, 6)}…${v.address.slice(-4)}`,
+          value: v.count,
+        })),
+        { format: (n) => `${n} (${formatPercent(n / (st.sold || 1))})` }
+      )}
+    </div>
+  `;
+
+  // Los nombres de los eventos los escribe el organizador: Option los pone como texto
+  const selectEl = dashboardEl.querySelector("#dashboard-event");
+  selectEl.replaceChildren(
+    ...stats.map((x) => new Option(`#${x.event.id} · ${x.event.name}`, x.event.id))
+  );
+  selectEl.value = dashboardEventId;
+  selectEl.addEventListener("change", (e) => {
+    dashboardEventId = e.target.value;
+    renderOrganizerDashboard();
+  });
+  dashboardEl
+    .querySelector("#btn-cancel-event")
+    ?.addEventListener("click", () => handleCancelEvent(evt.id));
+  dashboardEl
+    .querySelector("#btn-continue-cancel")
+    ?.addEventListener("click", () => runCancellation(evt.id));
+}
+
+// ----------------- cancelación de eventos -----------------
+
+// Tickets por transacción al procesar una cancelación
+const CANCEL_BATCH_SIZE = 100;
+
+// Estado de la cancelación del evento del panel, o el botón para cancelarlo
+function cancelBoxHtml(st) {
+  const evt = st.event;
+  if (evt.cancelled) {
+    const done = evt.cancelProcessed >= evt.minted;
+    return `
+      <div class="cancel-box">
+        <strong>Evento cancelado.</strong>
+        Tickets procesados: ${evt.cancelProcessed} / ${evt.minted}
+        <progress id="cancel-progress" max="${evt.minted || 1}" value="${evt.cancelProcessed}"></progress>
+        ${
+          done
+            ? "<div>Los compradores ya pueden reclamar su reembolso.</div>"
+            : '<button id="btn-continue-cancel" class="danger">Continuar cancelación</button>'
+        }
+      </div>`;
+  }
+  if (evt.date * 1000 <= Date.now()) return "";
+  return `
+    <button id="btn-cancel-event" class="danger">Cancelar evento y reembolsar</button>`;
+}
+
+async function handleCancelEvent(eventIdStr) {
+  try {
+    if (!ensureContracts()) return;
+
+    const st = organizerStats(indexer, currentAccount).find(
+      (x) => x.event.id === eventIdStr
+    );
+    // Solo el organizador ve el panel; sin datos suyos en el índice (otra
+    // cuenta conectada o índice desfasado) no podemos calcular el resumen
+    if (!st) {
+      setStatus(
+        "error",
+        `El evento ${eventIdStr} no figura como tuyo en el índice. Conecta la cuenta organizadora o actualiza el listado de eventos.`
+      );
       return;
     }
+    const listed = indexer.getListings({ eventId: eventIdStr, activeOnly: true }).length;
+    const refundWei = ethers.BigNumber.from(st.primaryRevenueWei).add(st.resaleVolumeWei);
+
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "cancelEvent",
+      [eventIdStr],
+      {},
+      `Cancelar el evento ${eventIdStr} (${st.event.name})`,
+      [
+        ["Atención", "La cancelación no se puede deshacer"],
+        ["Tickets a cancelar", String(st.event.minted)],
+        ["Anuncios de reventa a cerrar", String(listed)],
+        ["Reembolsable a compradores", `${ethers.utils.formatEther(refundWei)} ETH`],
+        [
+          "Transacciones de cancelación",
+          String(Math.max(1, Math.ceil(st.event.minted / CANCEL_BATCH_SIZE))),
+        ],
+      ]
+    );
+    if (!overrides) return;
+
+    setStatus("pending", `Cancelando el evento ${eventIdStr}...`);
+    const tx = await ticketMarket.cancelEvent(eventIdStr, overrides);
+    await txManager.track(tx, `Cancelar evento ${eventIdStr}`);
+    log(`Evento ${eventIdStr} cancelado. Cancelando sus tickets por lotes...`);
 
-    const frag = document.createDocumentFragment();
+    await runCancellation(eventIdStr);
+  } catch (err) {
+    reportError("Error al cancelar el evento", err);
+  }
+}
 
-    for (const ev of events) {
-      const tokenId = ev.args.tokenId;
-      const eventId = ev.args.eventId;
+// Cancela los tickets pendientes en lotes de CANCEL_BATCH_SIZE mostrando el
+// avance. Si se interrumpe, "Continuar cancelación" sigue desde el cursor.
+async function runCancellation(eventIdStr) {
+  try {
+    if (!ensureContracts()) return;
 
-      // Comprobamos que la cuenta siga siendo la dueña actual
-      let owner;
-      try {
-        owner = await ticketNFT.ownerOf(tokenId);
-      } catch {
-        continue;
+    let remaining = 1;
+    while (remaining > 0) {
+      // La cancelación ya se confirmó: cada lote solo se simula (sin diálogo)
+      // para no firmar uno que vaya a revertir y enviarlo con el gas estimado
+      setStatus("pending", `Simulando el siguiente lote del evento ${eventIdStr}...`);
+      const sim = await preflight(ticketMarket, "processCancellation", [eventIdStr, CANCEL_BATCH_SIZE]);
+      setStatus("pending", `Cancelando tickets del evento ${eventIdStr}...`);
+      const tx = await ticketMarket.processCancellation(eventIdStr, CANCEL_BATCH_SIZE, sim.overrides);
+      const receipt = await txManager.track(tx, `Cancelar tickets evento ${eventIdStr}`);
+
+      const ev = (receipt.events || []).find((e) => e.event === "CancellationProgress");
+      if (!ev) break;
+      const processed = ev.args.processed.toNumber();
+      const total = ev.args.total.toNumber();
+      remaining = total - processed;
+
+      const progressEl = document.getElementById("cancel-progress");
+      if (progressEl) {
+        progressEl.max = total || 1;
+        progressEl.value = processed;
       }
-      if (owner.toLowerCase() !== currentAccount.toLowerCase()) continue;
+      log(`Cancelación del evento ${eventIdStr}: ${processed}/${total} tickets.`);
+    }
 
-      const stateVal = await ticketNFT.ticketState(tokenId);
+    setStatus("success", `Evento ${eventIdStr} cancelado: los compradores ya pueden reclamar.`);
+    await refreshEventsList().catch(() => {});
+    await refreshRolesAndMyTickets().catch(() => {});
+  } catch (err) {
+    reportError("Error al cancelar los tickets del evento", err);
+    await refreshRolesAndMyTickets().catch(() => {});
+  }
+}
 
-      // Soportamos tanto BigNumber como number/string
-      let stateNum;
-      if (stateVal && typeof stateVal.toNumber === "function") {
-        stateNum = stateVal.toNumber();
-      } else {
-        stateNum = Number(stateVal);
-      }
-      const eventIdNum = eventId.toNumber();
-
-      let stateLabel = "Desconocido";
-      let stateIcon = "❓";
-      if (stateNum === 1) {
-        stateLabel = "Válido";
-        stateIcon = "✅";
-      } else if (stateNum === 2) {
-        stateLabel = "Usado";
-        stateIcon = "🔴";
-      } else if (stateNum === 3) {
-        stateLabel = "Cancelado";
-        stateIcon = "⚠️";
-      }
+// Reembolso de todo lo pagado por la cuenta en un evento cancelado
+async function handleClaimRefund(eventIdStr) {
+  try {
+    if (!ensureContracts()) return;
 
-      const div = document.createElement("div");
-      div.className = "ticket-item";
-      div.innerHTML = `
-        <div class="ticket-title">${stateIcon} Ticket #${tokenId.toString()}</div>
-        <div class="ticket-meta">
-          <span>Evento ID: ${eventIdNum}</span>
-          <span>Estado: ${stateLabel}</span>
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "claimRefund",
+      [eventIdStr],
+      {},
+      `Reclamar el reembolso del evento ${eventIdStr}`
+    );
+    if (!overrides) return;
+
+    setStatus("pending", "Reclamando reembolso...");
+    const tx = await ticketMarket.claimRefund(eventIdStr, overrides);
+    const receipt = await txManager.track(tx, `Reembolso evento ${eventIdStr}`);
+    const ev = (receipt.events || []).find((e) => e.event === "RefundClaimed");
+    const amount = ev ? ethers.utils.formatEther(ev.args.amountWei) : "?";
+
+    log(`Reembolso del evento ${eventIdStr}: ${amount} ETH devueltos a ${currentAccount}.`);
+    setStatus("success", `Reembolsados ${amount} ETH.`);
+
+    await refreshRolesAndMyTickets().catch(() => {});
+  } catch (err) {
+    reportError("Error al reclamar el reembolso", err);
+  }
+}
+
+// Reembolsos pendientes de la cuenta en eventos cancelados (lee paidForEvent)
+async function renderRefunds() {
+  const account = currentAccount;
+  const refundsEl = document.getElementById("my-refunds");
+  const cancelled = indexer
+    .getPurchasedEventIds(account)
+    .map((id) => indexer.getEvent(id))
+    .filter((evt) => evt && evt.cancelled);
+
+  const pending = await Promise.all(
+    cancelled.map(async (evt) => ({
+      evt,
+      amountWei: await ticketMarket.paidForEvent(evt.id, account),
+    }))
+  );
+  if (account !== currentAccount) return;
+
+  const rows = pending.filter((p) => !p.amountWei.isZero());
+  if (!rows.length) {
+    refundsEl.textContent = "";
+    return;
+  }
+
+  // El reembolso es por evento (paidForEvent suma todo lo pagado por la
+  // cuenta, primaria y reventas). El nombre del evento va como texto.
+  const title = document.createElement("strong");
+  title.textContent = "Reembolsos pendientes por eventos cancelados:";
+  refundsEl.replaceChildren(
+    title,
+    ...rows.map(({ evt, amountWei }) => {
+      const item = document.createElement("div");
+      item.className = "refund-item";
+      const label = document.createElement("span");
+      label.textContent = `#${evt.id} · ${evt.name}: ${ethers.utils.formatEther(amountWei)} ETH`;
+      const btn = document.createElement("button");
+      btn.className = "btn-claim-refund";
+      btn.textContent = "Reclamar";
+      btn.addEventListener("click", () => handleClaimRefund(evt.id));
+      item.append(label, btn);
+      return item;
+    })
+  );
+}
+
+// ----------------- cobros del organizador -----------------
+
+// Saldo pendiente de retirar (pull payments del Market), fondos retenidos por
+// evento hasta su celebración e historial de retiradas
+async function renderPayouts() {
+  const account = currentAccount;
+  const [balanceWei, feeBps, feeRecipient] = await Promise.all([
+    ticketMarket.pendingWithdrawals(account),
+    ticketMarket.platformFeeBps(),
+    ticketMarket.feeRecipient(),
+  ]);
+  const escrowed = await Promise.all(
+    indexer.getEarningEventIds(account, { feeRecipient }).map(async (eventId) => ({
+      evt: indexer.getEvent(eventId),
+      amountWei: await ticketMarket.escrowedProceeds(eventId, account),
+    }))
+  );
+  // La cuenta ha cambiado mientras esperábamos al RPC
+  if (account !== currentAccount) return;
+
+  const held = escrowed.filter((e) => !e.amountWei.isZero());
+  const history = indexer.getWithdrawals(account);
+  if (
+    balanceWei.isZero() &&
+    !held.length &&
+    !history.length &&
+    !indexer.getOrganizerEventIds(account).length
+  ) {
+    payoutsEl.textContent = "";
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const heldRows = held.length
+    ? held
+        .map(({ evt, amountWei }) => {
+          const action = evt.cancelled
+            ? "<span>Cancelado: se devuelve a los compradores</span>"
+            : evt.date <= now
+            ? `<button class="secondary btn-release" data-eventid="${evt.id}">Liberar</button>`
+            : `<span>Se libera tras el ${new Date(evt.date * 1000).toLocaleDateString()}</span>`;
+          return `
+          <div class="refund-item">
+            <span>#${evt.id} · ${evt.name}: ${ethers.utils.formatEther(amountWei)} ETH</span>
+            ${action}
+          </div>`;
+        })
+        .join("")
+    : '<p class="chart-empty">No tienes fondos retenidos en ningún evento.</p>';
+
+  const rows = history.length
+    ? history
+        .map(
+          (w) => `
+          <div class="payout-item">
+            <span>${w.timestamp ? new Date(w.timestamp * 1000).toLocaleString() : "—"}</span>
+            <span>${ethers.utils.formatEther(w.amountWei)} ETH</span>
+            <span>${w.txHash.slice(0, 10)}…</span>
+          </div>`
+        )
+        .join("")
+    : '<p class="chart-empty">Todavía no has retirado fondos.</p>';
+
+  payoutsEl.innerHTML = `
+    <div class="payout-balance">
+      <div>Saldo disponible para retirar
+        <strong>${ethers.utils.formatEther(balanceWei)} ETH</strong>
+      </div>
+      <button id="btn-withdraw" ${balanceWei.isZero() ? "disabled" : ""}>Retirar</button>
+    </div>
+    <div>Comisión actual de la plataforma en cada venta: ${(feeBps / 100).toFixed(2)}%</div>
+    <div class="dashboard-section">
+      <h3>Retenido hasta la fecha del evento</h3>
+      ${heldRows}
+      <h3>Historial de retiradas</h3>
+      ${rows}
+    </div>
+  `;
+  payoutsEl.querySelector("#btn-withdraw").addEventListener("click", handleWithdraw);
+  payoutsEl.querySelectorAll(".btn-release").forEach((btn) =>
+    btn.addEventListener("click", () => handleReleaseProceeds(btn.dataset.eventid))
+  );
+}
+
+// Pasa al saldo retirable lo retenido en un evento que ya se ha celebrado
+async function handleReleaseProceeds(eventIdStr) {
+  try {
+    if (!ensureContracts()) return;
+
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "releaseProceeds",
+      [eventIdStr],
+      {},
+      `Liberar los fondos del evento ${eventIdStr}`
+    );
+    if (!overrides) return;
+
+    setStatus("pending", "Liberando fondos del evento...");
+    const tx = await ticketMarket.releaseProceeds(eventIdStr, overrides);
+    await txManager.track(tx, `Liberar fondos evento ${eventIdStr}`);
+
+    log(`Fondos del evento ${eventIdStr} pasados al saldo retirable.`);
+    setStatus("success", "Fondos liberados: ya puedes retirarlos.");
+
+    await syncIndexer().catch(() => {});
+    renderOrganizerDashboard();
+  } catch (err) {
+    reportError("Error al liberar los fondos", err);
+  }
+}
+
+async function handleWithdraw() {
+  try {
+    if (!ensureContracts()) return;
+
+    const overrides = await simulateAndConfirm(
+      ticketMarket,
+      "withdraw",
+      [],
+      {},
+      "Retirar el saldo acumulado"
+    );
+    if (!overrides) return;
+
+    log("Retirando el saldo de ventas...");
+    setStatus("pending", "Retirando fondos...");
+
+    const tx = await ticketMarket.withdraw(overrides);
+    const receipt = await txManager.track(tx, "Retirar saldo");
+    const ev = (receipt.events || []).find((e) => e.event === "Withdrawal");
+    const amount = ev ? ethers.utils.formatEther(ev.args.amountWei) : "?";
+
+    log(`Retirados ${amount} ETH a ${currentAccount}.`);
+    setStatus("success", `Retirados ${amount} ETH.`);
+
+    await syncIndexer().catch(() => {});
+    renderOrganizerDashboard();
+  } catch (err) {
+    reportError("Error al retirar fondos", err);
+  }
+}
+
+// ----------------- mercado de reventa -----------------
+
+// Página actual del mercado (los filtros se leen del formulario)
+let marketPage = 1;
+
+// Filtros del formulario en el formato de queryListings
+function readMarketFilters() {
+  const eventId = marketEventEl.value || null;
+  const maxPriceStr = document.getElementById("market-max-price").value.trim();
+  const fromStr = document.getElementById("market-date-from").value;
+  const toStr = document.getElementById("market-date-to").value;
+
+  let maxPriceWei = null;
+  try {
+    if (maxPriceStr) maxPriceWei = ethers.utils.parseEther(maxPriceStr).toString();
+  } catch {
+    // Precio a medio escribir: no filtramos por él
+  }
+
+  return {
+    eventId,
+    maxPriceWei,
+    // Fechas locales; "hasta" incluye todo ese día
+    dateFrom: fromStr ? Math.floor(new Date(`${fromStr}T00:00`).getTime() / 1000) : null,
+    dateTo: toStr ? Math.floor(new Date(`${toStr}T23:59:59`).getTime() / 1000) : null,
+    sort: document.getElementById("market-sort").value,
+  };
+}
+
+// Opciones del selector de evento (conserva la selección si sigue existiendo)
+function renderMarketEventOptions() {
+  const selected = marketEventEl.value;
+  marketEventEl.innerHTML =
+    '<option value="">Todos</option>' +
+    indexer
+      .getEvents()
+      .map((evt) => `<option value="${evt.id}">#${evt.id} · ${evt.name}</option>`)
+      .join("");
+  marketEventEl.value = indexer.getEvent(selected) ? selected : "";
+}
+
+// Pinta la página actual del mercado a partir del índice (sin llamadas RPC)
+function renderMarketplace() {
+  if (!indexer) return { total: 0 };
+  renderMarketEventOptions();
+
+  const result = queryListings(indexer, {
+    ...readMarketFilters(),
+    page: marketPage,
+    feeBps: platformFeeBps,
+  });
+  marketPage = result.page;
+  marketPageInfoEl.textContent = `Página ${result.page} de ${result.pages} · ${result.total} anuncios`;
+  marketPrevEl.disabled = result.page <= 1;
+  marketNextEl.disabled = result.page >= result.pages;
+
+  if (!result.items.length) {
+    marketListEl.textContent = "No hay tickets en reventa con estos filtros.";
+    return result;
+  }
+
+  marketListEl.innerHTML = "";
+  result.items.forEach((item) => {
+    const own = isCurrentAccount(item.seller);
+    const markup = `${item.markup >= 0 ? "+" : ""}${item.markup.toFixed(1)}%`;
+    const dateStr =
+      item.eventDate > 0 ? new Date(item.eventDate * 1000).toLocaleString() : "sin fecha";
+
+    const div = document.createElement("div");
+    div.className = "market-item";
+    // El nombre del evento y el de la zona los escribe el organizador
+    // on-chain: se rellenan después con textContent
+    div.innerHTML = `
+      <div>
+        <div class="event-title"></div>
+        <div class="event-meta">
+          <span>📅 ${dateStr}</span>
+          <span class="market-ticket"></span>
         </div>
-        <div class="ticket-actions">
-          ${
-            stateNum === 1
-              ? `<button class="secondary btn-ticket-resale" data-tokenid="${tokenId.toString()}">
-                   Preparar reventa
-                 </button>`
-              : ""
-          }
-          ${
-            stateNum === 1
-              ? `<button class="btn-ticket-validate" data-tokenid="${tokenId.toString()}">
-                   Preparar validación
-                 </button>`
-              : ""
-          }
+        <div class="event-meta">
+          <span>💰 ${ethers.utils.formatEther(item.priceWei)} ETH</span>
+          <span>📈 ${markup} sobre nominal (máx. +${item.maxResaleFactor - 100}%)</span>
+          <span>👤 ${own ? "Tú" : `${item.seller.slice(0, 6)}…${item.seller.slice(-4)}`}</span>
         </div>
-      `;
+        <div class="event-meta">
+          <span>Vendedor ${ethers.utils.formatEther(item.split.sellerWei)}</span>
+          <span>Organizador ${ethers.utils.formatEther(item.split.royaltyWei)} (${item.royaltyBps / 100}%)</span>
+          <span>Plataforma ${ethers.utils.formatEther(item.split.feeWei)}</span>
+        </div>
+      </div>
+      <button ${own || !item.eventActive ? "disabled" : ""}>Comprar</button>
+    `;
+    div.querySelector(".event-title").textContent = `#${item.eventId} · ${item.eventName}`;
+    div.querySelector(".market-ticket").textContent = `🎟️ Ticket #${item.tokenId}${
+      item.tierName ? ` · ${item.tierName}` : ""
+    } (listing #${item.listingId})`;
+    div.querySelector("button").addEventListener("click", () =>
+      handleBuyResale({ listingIdStr: item.listingId, expectedPriceWei: item.priceWei })
+    );
+    marketListEl.appendChild(div);
+  });
 
-      frag.appendChild(div);
-    }
+  return result;
+}
 
-    listEl.innerHTML = "";
-    if (!frag.childNodes.length) {
-      listEl.innerHTML =
-        "<p>No tienes tickets en estado válido a tu nombre ahora mismo.</p>";
-    } else {
-      listEl.appendChild(frag);
-    }
+function refreshMarketplace() {
+  marketPage = 1;
+  renderMarketplace();
+}
 
-    // Listeners para botones por ticket
-    listEl.querySelectorAll(".btn-ticket-resale").forEach((btn) => {
-      btn.addEventListener("click", () => {
-        const tokenId = btn.dataset.tokenid;
-        document.getElementById("resale-token-id").value = tokenId;
-        log(
-          `Ticket ${tokenId} seleccionado para rellenar el formulario de reventa.`
-        );
-      });
-    });
+// ----------------- actualizaciones en vivo -----------------
 
-    listEl.querySelectorAll(".btn-ticket-validate").forEach((btn) => {
-      btn.addEventListener("click", () => {
-        const tokenId = btn.dataset.tokenid;
-        document.getElementById("validate-token-id").value = tokenId;
-        log(
-          `Ticket ${tokenId} seleccionado para rellenar el formulario de validación.`
+// Contratos con suscripciones activas (para poder quitarlas al reconectar)
+let liveContracts = [];
+
+function flash(el) {
+  if (!el) return;
+  el.classList.remove("flash");
+  // Forzamos reflow para que la animación se repita si ya estaba aplicada
+  void el.offsetWidth;
+  el.classList.add("flash");
+}
+
+// Sustituye (o añade) solo la tarjeta del evento indicado y la resalta
+function updateEventCard(eventId) {
+  const evt = indexer.getEvent(eventId);
+  if (!evt) return;
+
+  const listEl = document.getElementById("events-list");
+  const oldCard = listEl.querySelector(`.event-item[data-event-id="${evt.id}"]`);
+  const card = buildEventCard(evt);
+
+  if (oldCard) {
+    // Conservamos lo que hubiera abierto en la zona de detalle
+    card.querySelector(".event-extra").innerHTML =
+      oldCard.querySelector(".event-extra").innerHTML;
+    oldCard.replaceWith(card);
+  } else {
+    if (!listEl.querySelector(".event-item")) listEl.innerHTML = "";
+    listEl.appendChild(card);
+  }
+
+  flash(card);
+}
+
+function isCurrentAccount(address) {
+  return (
+    !!address &&
+    !!currentAccount &&
+    address.toLowerCase() === currentAccount.toLowerCase()
+  );
+}
+
+// Tras un log en vivo: sincroniza el índice y repinta solo lo afectado
+async function applyLiveChange({ eventId = null, tokenId = null, accounts = [] }) {
+  try {
+    await syncIndexer();
+    renderMarketplace();
+
+    const ticket = tokenId !== null ? indexer.getState().tickets[tokenId] : null;
+    const affectedEvent = eventId ?? ticket?.eventId ?? null;
+    if (affectedEvent !== null) {
+      updateEventCard(affectedEvent);
+      renderBuyTiers();
+      refreshBuyAllowance();
+      renderValidatorRoster();
+      if (isCurrentAccount(indexer.getEvent(affectedEvent)?.organizer)) {
+        renderOrganizerDashboard();
+      }
+    }
+
+    if (accounts.some(isCurrentAccount) || isCurrentAccount(ticket?.owner)) {
+      renderRolesAndMyTickets();
+      if (tokenId !== null) {
+        flash(
+          document.querySelector(`.ticket-item[data-token-id="${tokenId}"]`)
         );
-      });
-    });
+      }
+    }
   } catch (err) {
     console.error(err);
-    log(`Error al obtener tickets del usuario: ${err.message ?? err}`);
+    log(`Error aplicando actualización en vivo: ${err.message ?? err}`);
+  }
+}
+
+function unsubscribeLiveUpdates() {
+  liveContracts.forEach((c) => c.removeAllListeners());
+  liveContracts = [];
+}
+
+function subscribeLiveUpdates() {
+  unsubscribeLiveUpdates();
+
+  const str = (v) => v.toString();
+
+  ticketMarket.on("PrimaryTicketBought", (tokenId, eventId, buyer) =>
+    applyLiveChange({ eventId: str(eventId), tokenId: str(tokenId), accounts: [buyer] })
+  );
+  ticketMarket.on("TicketListed", (listingId, tokenId, seller) =>
+    applyLiveChange({ tokenId: str(tokenId), accounts: [seller] })
+  );
+  ticketMarket.on("ResaleTicketBought", (listingId, tokenId, buyer) => {
+    const lst = indexer.getState().listings[str(listingId)];
+    applyLiveChange({
+      tokenId: str(tokenId),
+      accounts: [buyer, lst?.seller],
+    });
+  });
+  ticketMarket.on("ListingCancelled", (listingId, tokenId, seller) =>
+    applyLiveChange({ tokenId: str(tokenId), accounts: [seller] })
+  );
+  ticketMarket.on("ListingPriceUpdated", (listingId) => {
+    const lst = indexer.getState().listings[str(listingId)];
+    applyLiveChange({ tokenId: lst?.tokenId ?? null, accounts: [lst?.seller] });
+  });
+  ticketMarket.on("PlatformFeeUpdated", (feeBps) => {
+    platformFeeBps = feeBps;
+    renderMarketplace();
+  });
+  ticketMarket.on("EventCancelled", (eventId) =>
+    applyLiveChange({ eventId: str(eventId) })
+  );
+  ticketMarket.on("CancellationProgress", (eventId) =>
+    applyLiveChange({ eventId: str(eventId) })
+  );
+  ticketMarket.on("RefundClaimed", (eventId, account) =>
+    applyLiveChange({ eventId: str(eventId), accounts: [account] })
+  );
+  ticketMarket.on("ProceedsReleased", (eventId, payee) =>
+    applyLiveChange({ accounts: [payee] })
+  );
+  ticketMarket.on("Withdrawal", (payee) =>
+    applyLiveChange({ accounts: [payee] })
+  );
+  ticketMarket.on("TicketUsed", (tokenId, eventId, validator) =>
+    applyLiveChange({ eventId: str(eventId), tokenId: str(tokenId), accounts: [validator] })
+  );
+  eventRegistry.on("EventStatusChanged", (eventId) =>
+    applyLiveChange({ eventId: str(eventId) })
+  );
+  eventRegistry.on("EventUpdated", (eventId) =>
+    applyLiveChange({ eventId: str(eventId) })
+  );
+  eventRegistry.on("ValidatorSet", (eventId, validator) =>
+    applyLiveChange({ eventId: str(eventId), accounts: [validator] })
+  );
+  eventRegistry.on("ValidatorGrantSet", (eventId, validator) =>
+    applyLiveChange({ eventId: str(eventId), accounts: [validator] })
+  );
+  eventRegistry.on("SaleScheduleSet", (eventId) =>
+    applyLiveChange({ eventId: str(eventId) })
+  );
+  eventRegistry.on("TierAdded", (eventId) =>
+    applyLiveChange({ eventId: str(eventId) })
+  );
+  eventRegistry.on("EventCreated", (eventId, organizer) =>
+    applyLiveChange({ eventId: str(eventId), accounts: [organizer] })
+  );
+
+  liveContracts = [ticketMarket, eventRegistry];
+}
+
+// ----------------- transacciones (cajón de pendientes) -----------------
+
+const TX_STATUS_LABELS = {
+  pending: "⏳ Pendiente",
+  mined: "⛏️ Minada",
+  confirmed: "✅ Confirmada",
+  failed: "❌ Revertida",
+  replaced: "🔁 Acelerada",
+  cancelled: "🚫 Cancelada",
+};
+
+function txExplorerUrl(hash) {
+  const base = deployment?.blockExplorerUrls?.[0];
+  return base ? `${base.replace(/\/$/, "")}/tx/${hash}` : null;
+}
+
+function renderTxDrawer(records) {
+  const active = records.filter(
+    (r) => r.status === "pending" || r.status === "mined"
+  ).length;
+  txPendingCountEl.textContent = String(active);
+  txPendingCountEl.classList.toggle("active", active > 0);
+
+  txListEl.innerHTML = "";
+  if (!records.length) {
+    txListEl.innerHTML =
+      '<p style="font-size:0.8rem;color:var(--text-muted);">No hay transacciones enviadas desde esta cuenta.</p>';
+    return;
   }
+
+  records.forEach((rec) => {
+    const div = document.createElement("div");
+    div.className = `tx-item tx-${rec.status}`;
+    div.dataset.hash = rec.hash;
+
+    const shortHash = `${rec.hash.slice(0, 10)}…${rec.hash.slice(-6)}`;
+    const url = txExplorerUrl(rec.hash);
+    const hashHtml = url
+      ? `<a href="${url}" target="_blank" rel="noopener">${shortHash}</a>`
+      : shortHash;
+
+    let detail = TX_STATUS_LABELS[rec.status] || rec.status;
+    if (rec.status === "mined" || rec.status === "confirmed") {
+      detail += ` · ${Math.min(rec.confirmations, CONFIRMATIONS_TARGET)}/${CONFIRMATIONS_TARGET} confirmaciones (bloque ${rec.blockNumber})`;
+    }
+    if (rec.replacedBy) {
+      detail += ` · sustituida por ${rec.replacedBy.slice(0, 10)}…`;
+    }
+
+    div.innerHTML = `
+      <strong></strong><br />
+      <span class="tx-detail">${detail}</span><br />
+      <span class="tx-hash">${hashHtml} · ${new Date(
+        rec.submittedAt
+      ).toLocaleTimeString()}</span>
+    `;
+    div.querySelector("strong").textContent = rec.label;
+    txListEl.appendChild(div);
+  });
+}
+
+function toggleTxDrawer() {
+  txDrawerBodyEl.hidden = !txDrawerBodyEl.hidden;
+}
+
+function clearFinishedTxs() {
+  if (txManager) txManager.clearFinished();
 }
 
 // ----------------- listeners DOM -----------------
@@ -1383,21 +3833,64 @@ document
 document
   .getElementById("btn-create-event")
   .addEventListener("click", handleCreateEvent);
+document
+  .getElementById("btn-load-event")
+  .addEventListener("click", handleLoadEventForEdit);
+document.getElementById("btn-ipfs-check").addEventListener("click", handleIpfsCheck);
+document.getElementById("btn-ipfs-save").addEventListener("click", handleIpfsSave);
+renderIpfsSettings();
+["event-", "edit-event-"].forEach((prefix) =>
+  ["image", "venueMap"].forEach((key) =>
+    document
+      .getElementById(`${prefix}${DETAIL_INPUTS[key]}`)
+      .addEventListener("change", () => handleImagePicked(prefix, key))
+  )
+);
+document
+  .getElementById("btn-update-event")
+  .addEventListener("click", handleUpdateEvent);
 document
   .getElementById("btn-buy-primary")
   .addEventListener("click", handleBuyPrimary);
+document
+  .getElementById("btn-add-tier")
+  .addEventListener("click", addTierRow);
+document
+  .getElementById("buy-event-id")
+  .addEventListener("input", () => {
+    renderBuyTiers();
+    renderSaleInfo();
+    refreshBuyAllowance();
+  });
+buyTierEl.addEventListener("change", refreshBuyAllowance);
+buyQuantityEl.addEventListener("input", refreshBuyAllowance);
+document
+  .getElementById("btn-build-allowlist")
+  .addEventListener("click", handleBuildAllowlist);
+document
+  .getElementById("btn-save-schedule")
+  .addEventListener("click", handleSaveSchedule);
 document
   .getElementById("btn-list-resale")
   .addEventListener("click", handleListResale);
 document
   .getElementById("btn-buy-resale")
-  .addEventListener("click", handleBuyResale);
+  .addEventListener("click", () => handleBuyResale());
 document
   .getElementById("btn-add-validator")
   .addEventListener("click", handleAddValidator);
 document
   .getElementById("btn-add-self-validator")
   .addEventListener("click", handleAddSelfAsValidator);
+document
+  .getElementById("btn-bulk-validators")
+  .addEventListener("click", handleBulkValidators);
+document
+  .getElementById("btn-grant-event-day")
+  .addEventListener("click", handleGrantEventDay);
+document
+  .getElementById("validator-event-id")
+  .addEventListener("input", renderValidatorRoster);
 document
   .getElementById("btn-validate")
   .addEventListener("click", handleValidate);
@@ -1407,3 +3900,35 @@ document
 document
   .getElementById("btn-refresh-my-tickets")
   .addEventListener("click", refreshRolesAndMyTickets);
+document
+  .getElementById("tx-drawer-toggle")
+  .addEventListener("click", toggleTxDrawer);
+document
+  .getElementById("btn-clear-txs")
+  .addEventListener("click", clearFinishedTxs);
+["market-event", "market-sort", "market-date-from", "market-date-to"].forEach((id) =>
+  document.getElementById(id).addEventListener("change", refreshMarketplace)
+);
+document
+  .getElementById("market-max-price")
+  .addEventListener("input", refreshMarketplace);
+marketPrevEl.addEventListener("click", () => {
+  marketPage -= 1;
+  renderMarketplace();
+});
+marketNextEl.addEventListener("click", () => {
+  marketPage += 1;
+  renderMarketplace();
+});
+
+// Cuenta atrás de la venta en el panel de compra
+setInterval(renderSaleInfo, 1000);
+
+// Restauramos la sesión sin popup si la web ya estaba autorizada en la wallet
+if (window.ethereum) {
+  walletSession.start();
+  walletSession.restore().catch((err) => {
+    console.error(err);
+    log(`No se pudo restaurar la sesión de la wallet: ${err.message ?? err}`);
+  });
+}
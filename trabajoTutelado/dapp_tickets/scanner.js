@@ -0,0 +1,484 @@
+// scanner.js
+// Página del portero: lee el pase QR (cámara o imagen), verifica la firma
+// contra ownerOf y marca el ticket como usado con un solo toque. En modo sin
+// conexión comprueba contra la copia descargada y encola la entrada.
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+import jsQR from "https://cdn.jsdelivr.net/npm/jsqr@1.4.0/+esm";
+import { abis, getDeployment } from "./utils/index.js";
+import { createWalletSession } from "./utils/wallet.js";
+import { decodeError } from "./utils/errors.js";
+import { preflight } from "./utils/preflight.js";
+import { decodePass, verifyPass } from "./utils/ticketPass.js";
+import { createTicketIndexer } from "./utils/indexer.js";
+import { snapshotKey, loadSnapshot, saveSnapshot } from "./utils/cache.js";
+import {
+  downloadDoorSnapshot,
+  loadDoorSnapshot,
+  verifyPassOffline,
+  getQueuedCheckIn,
+  enqueueCheckIn,
+  listQueue,
+  clearQueue,
+  flushQueue,
+} from "./utils/doorQueue.js";
+
+let session;
+let eventRegistry;
+let ticketNFT;
+let ticketMarket;
+let deployment;
+let indexer;
+
+// Pase verificado pendiente de validar (+ quién lo firmó)
+let currentPass = null;
+let currentHolder = null;
+
+// Copia local del evento para validar sin conexión
+let doorSnapshot = null;
+let flushing = false;
+
+let stream = null;
+let scanning = false;
+
+// DOM
+const accountEl = document.getElementById("account");
+const statusEl = document.getElementById("status");
+const resultEl = document.getElementById("result");
+const videoEl = document.getElementById("camera");
+const canvasEl = document.getElementById("frame");
+const btnStart = document.getElementById("btn-start-camera");
+const btnStop = document.getElementById("btn-stop-camera");
+const btnValidate = document.getElementById("btn-validate-pass");
+const doorEventEl = document.getElementById("door-event-id");
+const offlineModeEl = document.getElementById("offline-mode");
+const offlineInfoEl = document.getElementById("offline-info");
+const queueSummaryEl = document.getElementById("queue-summary");
+const queueListEl = document.getElementById("queue-list");
+
+// ----------------- helpers UI -----------------
+
+function setStatus(mode, text) {
+  // mode: idle | pending | success | error
+  statusEl.className = mode === "idle" ? "" : mode;
+  statusEl.textContent = text;
+}
+
+function showResult(ok, title, rows = []) {
+  resultEl.className = `result ${ok ? "ok" : "fail"}`;
+  resultEl.innerHTML = `<strong></strong><dl></dl>`;
+  resultEl.querySelector("strong").textContent = `${ok ? "✅" : "⛔"} ${title}`;
+  const dl = resultEl.querySelector("dl");
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    dl.append(dt, dd);
+  });
+}
+
+// ----------------- wallet -----------------
+
+// Número de la última llamada a handleSessionChange: una llamada que ya no es
+// la última (cambio de cuenta o red mientras esperaba) se corta tras su await.
+let sessionGeneration = 0;
+
+async function handleSessionChange(next) {
+  const generation = ++sessionGeneration;
+  const stale = () => generation !== sessionGeneration;
+  session = next;
+  indexer?.stop();
+  eventRegistry = ticketNFT = ticketMarket = indexer = deployment = undefined;
+  currentPass = currentHolder = doorSnapshot = null;
+  btnValidate.disabled = true;
+  offlineInfoEl.textContent = "";
+
+  if (!session) {
+    accountEl.textContent = "Cuenta: no conectada";
+    setStatus("idle", "Conecta la wallet para empezar.");
+    return;
+  }
+
+  accountEl.textContent = `Cuenta: ${session.account}`;
+  deployment = getDeployment(session.chainId);
+  if (!deployment) {
+    setStatus("error", `La red conectada (chainId ${session.chainId}) no tiene los contratos desplegados.`);
+    return;
+  }
+
+  const { addresses } = deployment;
+  eventRegistry = new ethers.Contract(addresses.eventRegistry, abis.eventRegistry.abi, session.signer);
+  ticketNFT = new ethers.Contract(addresses.ticketNFT, abis.ticketNFT.abi, session.signer);
+  ticketMarket = new ethers.Contract(addresses.ticketMarket, abis.ticketMarket.abi, session.signer);
+
+  // Indexador compartido con la DApp (misma caché) para descargar la copia
+  const sessionIndexer = createTicketIndexer({
+    provider: session.provider,
+    contracts: { eventRegistry, ticketNFT, ticketMarket },
+    fromBlock: deployment.deploymentBlock,
+  });
+  indexer = sessionIndexer;
+  const cached = await loadSnapshot(snapshotKey(deployment.chainId, addresses)).catch(() => null);
+  if (stale()) return;
+  sessionIndexer.restore(cached);
+
+  setStatus("success", `Conectado a ${deployment.name}. Listo para escanear.`);
+  await restoreDoorSnapshot();
+  if (stale()) return;
+  await renderQueue();
+}
+
+const walletSession = createWalletSession({ onChange: handleSessionChange });
+
+async function connectWallet() {
+  if (!window.ethereum) {
+    setStatus("error", "MetaMask no está instalado en este navegador.");
+    return;
+  }
+  try {
+    walletSession.start();
+    await walletSession.connect();
+  } catch (err) {
+    console.error(err);
+    setStatus("error", decodeError(err).message);
+  }
+}
+
+// ----------------- lectura del QR -----------------
+
+function readQr(source, width, height) {
+  canvasEl.width = width;
+  canvasEl.height = height;
+  const ctx = canvasEl.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const image = ctx.getImageData(0, 0, width, height);
+  return jsQR(image.data, width, height, { inversionAttempts: "dontInvert" });
+}
+
+function scanFrame() {
+  if (!scanning) return;
+  if (videoEl.readyState === videoEl.HAVE_ENOUGH_DATA) {
+    const code = readQr(videoEl, videoEl.videoWidth, videoEl.videoHeight);
+    if (code && code.data) {
+      // Pausamos hasta resolver este pase para no leerlo en bucle
+      scanning = false;
+      handlePassText(code.data);
+      return;
+    }
+  }
+  requestAnimationFrame(scanFrame);
+}
+
+async function startCamera() {
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: "environment" },
+      audio: false,
+    });
+    videoEl.srcObject = stream;
+    await videoEl.play();
+    btnStart.disabled = true;
+    btnStop.disabled = false;
+    resumeScanning();
+  } catch (err) {
+    console.error(err);
+    setStatus("error", `No se pudo abrir la cámara: ${err.message ?? err}`);
+  }
+}
+
+function stopCamera() {
+  scanning = false;
+  if (stream) stream.getTracks().forEach((t) => t.stop());
+  stream = null;
+  videoEl.srcObject = null;
+  btnStart.disabled = false;
+  btnStop.disabled = true;
+}
+
+function resumeScanning() {
+  if (!stream || scanning) return;
+  scanning = true;
+  setStatus("idle", "Apunta la cámara al QR del asistente...");
+  requestAnimationFrame(scanFrame);
+}
+
+async function handleFile(e) {
+  const file = e.target.files && e.target.files[0];
+  if (!file) return;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const code = readQr(bitmap, bitmap.width, bitmap.height);
+    if (!code) {
+      showResult(false, "No se ha encontrado ningún QR en la imagen.");
+      return;
+    }
+    await handlePassText(code.data);
+  } catch (err) {
+    console.error(err);
+    setStatus("error", `No se pudo leer la imagen: ${err.message ?? err}`);
+  } finally {
+    e.target.value = "";
+  }
+}
+
+// ----------------- verificación y validación -----------------
+
+async function canValidate(eventId) {
+  const evt = await eventRegistry.getEvent(eventId);
+  if (evt.organizer.toLowerCase() === session.account.toLowerCase()) return true;
+  return eventRegistry.isValidator(eventId, session.account);
+}
+
+async function handlePassText(text) {
+  currentPass = currentHolder = null;
+  btnValidate.disabled = true;
+
+  if (!ticketNFT) {
+    setStatus("error", "Conecta la wallet en una red soportada antes de escanear.");
+    return;
+  }
+
+  // Los pases van firmados para un evento: solo entran los del de esta puerta
+  const doorEventId = doorEventEl.value.trim();
+  if (!/^\d+$/.test(doorEventId)) {
+    setStatus("error", "Indica el ID del evento de esta puerta antes de escanear.");
+    return;
+  }
+
+  const offline = isOffline();
+  if (offline && !doorSnapshot) {
+    setStatus("error", "Sin conexión y sin copia del evento: descárgala antes de abrir puertas.");
+    return;
+  }
+
+  try {
+    const pass = decodePass(text);
+    setStatus("pending", `Verificando ticket #${pass.tokenId}...`);
+
+    const check = offline
+      ? await verifyPassOffline(pass, doorSnapshot, { eventId: doorEventId })
+      : await verifyPassOnline(pass, doorEventId);
+    const rows = [
+      ["Ticket", `#${pass.tokenId}`],
+      ["Evento", check.eventId ?? "—"],
+      ["Firmado por", check.holder ?? "—"],
+      ["Dueño on-chain", check.owner ?? "—"],
+      ["Caduca", new Date(pass.expiresAt * 1000).toLocaleTimeString()],
+    ];
+
+    if (!check.ok) {
+      showResult(false, check.message, rows);
+      setStatus("error", check.message);
+      setTimeout(resumeScanning, 2000);
+      return;
+    }
+
+    if (!offline && !(await canValidate(doorEventId))) {
+      const msg = `La cuenta conectada no es organizadora ni validadora del evento ${doorEventId}.`;
+      showResult(false, msg, rows);
+      setStatus("error", msg);
+      setTimeout(resumeScanning, 2000);
+      return;
+    }
+
+    currentPass = pass;
+    currentHolder = check.holder;
+    btnValidate.disabled = false;
+    showResult(true, "Pase válido. Pulsa para dejar pasar.", rows);
+    setStatus("success", `Ticket #${pass.tokenId} verificado.`);
+  } catch (err) {
+    console.error(err);
+    const msg = err instanceof Error && !err.code ? err.message : decodeError(err).message;
+    showResult(false, msg);
+    setStatus("error", msg);
+    setTimeout(resumeScanning, 2000);
+  }
+}
+
+// En línea también miramos la cola: un ticket que entró sin conexión y aún
+// no se ha enviado no puede volver a entrar
+async function verifyPassOnline(pass, eventId) {
+  const queued = await getQueuedCheckIn(pass);
+  if (queued && queued.status !== "conflict") {
+    return {
+      ok: false,
+      code: "ALREADY_CHECKED_IN",
+      message: `El ticket ya entró a las ${new Date(queued.checkedAt).toLocaleTimeString()} (pendiente de enviar).`,
+    };
+  }
+  return verifyPass(pass, { ticketNFT, chainId: session.chainId, eventId });
+}
+
+async function handleValidatePass() {
+  if (!currentPass) return;
+  const pass = currentPass;
+  btnValidate.disabled = true;
+
+  if (isOffline()) {
+    try {
+      await enqueueCheckIn(pass, currentHolder, session.account);
+      currentPass = currentHolder = null;
+      showResult(true, `Ticket #${pass.tokenId} registrado sin conexión. ¡Adelante!`);
+      setStatus("success", "Entrada guardada en la cola; se enviará al volver la red.");
+      await renderQueue();
+    } catch (err) {
+      console.error(err);
+      setStatus("error", `No se pudo guardar la entrada: ${err.message ?? err}`);
+    } finally {
+      setTimeout(resumeScanning, 1500);
+    }
+    return;
+  }
+
+  try {
+    // Simulación previa: si va a revertir, el motivo sale antes de abrir la wallet
+    const sim = await preflight(ticketMarket, "markTicketUsed", [pass.tokenId]);
+    setStatus("pending", `Marcando ticket #${pass.tokenId} como usado...`);
+    const tx = await ticketMarket.markTicketUsed(pass.tokenId, sim.overrides);
+    await tx.wait();
+
+    currentPass = null;
+    showResult(true, `Ticket #${pass.tokenId} validado. ¡Adelante!`);
+    setStatus("success", `Entrada validada (tx ${tx.hash.slice(0, 10)}…).`);
+  } catch (err) {
+    console.error(err);
+    const decoded = decodeError(err, [ticketMarket.interface, ticketNFT.interface]);
+    showResult(false, decoded.message);
+    setStatus("error", decoded.message);
+  } finally {
+    setTimeout(resumeScanning, 1500);
+  }
+}
+
+// ----------------- modo sin conexión -----------------
+
+function isOffline() {
+  return offlineModeEl.checked || !navigator.onLine;
+}
+
+function describeSnapshot(snap) {
+  const count = Object.keys(snap.tickets).length;
+  return `Copia del evento ${snap.eventId} (${snap.eventName}): ${count} tickets, bloque ${snap.block}, descargada el ${new Date(
+    snap.takenAt
+  ).toLocaleString()}.`;
+}
+
+async function restoreDoorSnapshot() {
+  const eventIdStr = doorEventEl.value.trim();
+  if (!eventIdStr || !ticketNFT) return;
+  const current = session;
+  const snapshot = await loadDoorSnapshot(session.chainId, ticketNFT.address, eventIdStr).catch(() => null);
+  if (session !== current) return; // la cuenta o la red han cambiado mientras tanto
+  doorSnapshot = snapshot;
+  offlineInfoEl.textContent = doorSnapshot ? describeSnapshot(doorSnapshot) : "";
+}
+
+async function handleDownloadSnapshot() {
+  const eventIdStr = doorEventEl.value.trim();
+  if (!indexer || !eventIdStr) {
+    setStatus("error", "Conecta la wallet e indica el ID del evento.");
+    return;
+  }
+  try {
+    setStatus("pending", `Descargando tickets del evento ${eventIdStr}...`);
+    if (!(await canValidate(eventIdStr))) {
+      setStatus("error", `La cuenta conectada no es organizadora ni validadora del evento ${eventIdStr}.`);
+      return;
+    }
+    doorSnapshot = await downloadDoorSnapshot({
+      indexer,
+      chainId: session.chainId,
+      ticketNFT,
+      eventId: eventIdStr,
+      validator: session.account,
+    });
+    saveSnapshot(snapshotKey(deployment.chainId, deployment.addresses), indexer.snapshot()).catch(() => {});
+    offlineInfoEl.textContent = describeSnapshot(doorSnapshot);
+    setStatus("success", "Copia descargada. Ya puedes validar sin conexión.");
+  } catch (err) {
+    console.error(err);
+    setStatus("error", decodeError(err, [eventRegistry.interface]).message);
+  }
+}
+
+async function renderQueue() {
+  if (!ticketNFT) return;
+  const entries = await listQueue(session.chainId, ticketNFT.address).catch(() => []);
+  const count = (status) => entries.filter((e) => e.status === status).length;
+
+  queueSummaryEl.textContent = entries.length
+    ? `Pendientes: ${count("queued") + count("error")} · Enviadas: ${count("done")} · Conflictos: ${count("conflict")}`
+    : "Sin entradas registradas.";
+
+  queueListEl.innerHTML = "";
+  entries
+    .slice()
+    .reverse()
+    .forEach((e) => {
+      const div = document.createElement("div");
+      div.className = `queue-item ${e.status}`;
+      const time = new Date(e.checkedAt).toLocaleTimeString();
+      div.textContent = `${time} · Ticket #${e.tokenId} · ${e.status}${e.message ? ` · ${e.message}` : ""}`;
+      queueListEl.appendChild(div);
+    });
+}
+
+async function handleFlushQueue() {
+  if (!ticketMarket || flushing) return;
+  if (!navigator.onLine) {
+    setStatus("error", "Sigue sin haber conexión; la cola se enviará al volver la red.");
+    return;
+  }
+  flushing = true;
+  try {
+    setStatus("pending", "Enviando entradas pendientes...");
+    const summary = await flushQueue({
+      ticketMarket,
+      ticketNFT,
+      chainId: session.chainId,
+      onProgress: ({ sent, total }) =>
+        setStatus("pending", `Enviando entradas pendientes (${sent}/${total})...`),
+    });
+    const msg = `Cola enviada: ${summary.done.length} validadas, ${summary.conflicts.length} con conflicto.`;
+    setStatus(summary.conflicts.length ? "error" : "success", msg);
+  } catch (err) {
+    console.error(err);
+    setStatus("error", `Error al enviar la cola: ${decodeError(err, [ticketMarket.interface]).message}`);
+  } finally {
+    flushing = false;
+    await renderQueue();
+  }
+}
+
+async function handleClearQueue() {
+  if (!ticketNFT) return;
+  await clearQueue(session.chainId, ticketNFT.address, ["done"]);
+  await renderQueue();
+}
+
+// ----------------- listeners DOM -----------------
+
+document.getElementById("btn-connect").addEventListener("click", connectWallet);
+btnStart.addEventListener("click", startCamera);
+btnStop.addEventListener("click", stopCamera);
+btnValidate.addEventListener("click", handleValidatePass);
+document.getElementById("qr-file").addEventListener("change", handleFile);
+document.getElementById("btn-download-snapshot").addEventListener("click", handleDownloadSnapshot);
+doorEventEl.addEventListener("change", restoreDoorSnapshot);
+document.getElementById("btn-flush-queue").addEventListener("click", handleFlushQueue);
+document.getElementById("btn-clear-queue").addEventListener("click", handleClearQueue);
+
+// Al volver la red se envía la cola sola
+window.addEventListener("online", () => {
+  setStatus("idle", "Conexión recuperada.");
+  if (!offlineModeEl.checked) handleFlushQueue();
+});
+window.addEventListener("offline", () =>
+  setStatus("error", "Sin conexión: los pases se comprueban contra la copia descargada.")
+);
+
+// Restauramos la sesión sin popup si la web ya estaba autorizada en la wallet
+if (window.ethereum) {
+  walletSession.start();
+  walletSession.restore().catch((err) => console.error(err));
+}
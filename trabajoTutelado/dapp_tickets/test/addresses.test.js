@@ -0,0 +1,23 @@
+// test/addresses.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+
+import { ABI_VERSION } from "../utils/abis.js";
+import { listDeployments } from "../utils/addresses.js";
+
+// Al subir ABI_VERSION hay que redesplegar y actualizar cada red desplegada
+test("los despliegues usan la versión de ABI de la DApp", () => {
+  for (const dep of listDeployments()) {
+    assert.equal(dep.abiVersion, ABI_VERSION, `${dep.name} está en ABI v${dep.abiVersion}`);
+  }
+});
+
+test("cada despliegue tiene las tres direcciones con checksum", () => {
+  for (const dep of listDeployments()) {
+    for (const key of ["eventRegistry", "ticketNFT", "ticketMarket"]) {
+      const address = dep.addresses[key];
+      assert.equal(address, ethers.utils.getAddress(address), `${dep.name}: ${key}`);
+    }
+  }
+});
@@ -0,0 +1,9 @@
+// test/cdnImports.js
+// Hook de resolución de módulos: la URL del CDN de ethers => paquete "ethers"
+const CDN = {
+  "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js": "ethers",
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  return nextResolve(CDN[specifier] ?? specifier, context);
+}
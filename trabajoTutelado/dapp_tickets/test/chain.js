@@ -0,0 +1,110 @@
+// test/chain.js
+// Cadena de pruebas para los tests de contratos: compila BC_TUTELADO con
+// solc-js (0.8.30, optimizador a 200 runs, como el despliegue) y lo despliega
+// en un ganache en memoria. EVM shanghai porque ganache no conoce las
+// versiones posteriores.
+import { createRequire } from "node:module";
+import { existsSync, readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import ganache from "ganache";
+import { ethers } from "ethers";
+
+const require = createRequire(import.meta.url);
+const solc = require("solc");
+
+const CONTRACTS_DIR = fileURLToPath(new URL("../../BC_TUTELADO/", import.meta.url));
+const FILES = ["EventRegistry.sol", "TicketNFT.sol", "TicketMarket.sol"];
+
+let compiled = null;
+
+// Los imports de OpenZeppelin se resuelven en .deps/npm, como en Remix
+function findImports(importPath) {
+  for (const dir of [CONTRACTS_DIR, path.join(CONTRACTS_DIR, ".deps/npm")]) {
+    const file = path.join(dir, importPath);
+    if (existsSync(file)) return { contents: readFileSync(file, "utf8") };
+  }
+  return { error: `No se encuentra ${importPath}` };
+}
+
+function compile() {
+  if (compiled) return compiled;
+
+  const sources = Object.fromEntries(
+    FILES.map((f) => [f, { content: readFileSync(path.join(CONTRACTS_DIR, f), "utf8") }])
+  );
+  const input = {
+    language: "Solidity",
+    sources,
+    settings: {
+      evmVersion: "shanghai",
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } },
+    },
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || []).filter((e) => e.severity === "error");
+  if (errors.length) throw new Error(errors.map((e) => e.formattedMessage).join("\n"));
+
+  compiled = {};
+  for (const file of FILES) {
+    const name = file.replace(".sol", "");
+    const c = output.contracts[file][name];
+    compiled[name] = { abi: c.abi, bytecode: c.evm.bytecode.object };
+  }
+  return compiled;
+}
+
+// Despliega los tres contratos (owner = cuenta 0) y enlaza el Market.
+// Devuelve los contratos conectados al owner, las cuentas y `as(contract, i)`
+// para llamar desde otra cuenta. Hay que llamar a close() al terminar.
+export async function deployContracts() {
+  const artifacts = compile();
+  const node = ganache.provider({
+    logging: { quiet: true },
+    chain: { hardfork: "shanghai" },
+    wallet: { totalAccounts: 6, defaultBalance: 1000 },
+  });
+  const provider = new ethers.providers.Web3Provider(node);
+  provider.pollingInterval = 50;
+  const accounts = await provider.listAccounts();
+  const owner = provider.getSigner(accounts[0]);
+
+  async function deploy(name, ...args) {
+    const { abi, bytecode } = artifacts[name];
+    const contract = await new ethers.ContractFactory(abi, bytecode, owner).deploy(...args);
+    return contract.deployed();
+  }
+
+  const eventRegistry = await deploy("EventRegistry", accounts[0]);
+  const ticketNFT = await deploy("TicketNFT", accounts[0], eventRegistry.address);
+  const ticketMarket = await deploy("TicketMarket", eventRegistry.address, ticketNFT.address, accounts[0]);
+  await (await ticketNFT.setMarket(ticketMarket.address)).wait();
+  await (await eventRegistry.setMarket(ticketMarket.address)).wait();
+
+  return {
+    provider,
+    accounts,
+    eventRegistry,
+    ticketNFT,
+    ticketMarket,
+    as: (contract, i) => contract.connect(provider.getSigner(accounts[i])),
+    close: () => node.disconnect(),
+  };
+}
+
+// Fecha del último bloque (ganache puede ir por delante del reloj)
+export async function chainNow(provider) {
+  return (await provider.getBlock("latest")).timestamp;
+}
+
+// Motivo del revert de una llamada que debe fallar
+export async function revertReason(promise) {
+  try {
+    await (await promise).wait();
+  } catch (err) {
+    // ganache deja el motivo en error.data; ethers pone en reason su propio mensaje
+    return err.error?.data?.reason ?? err.reason ?? err.message;
+  }
+  throw new Error("La transacción no ha revertido");
+}
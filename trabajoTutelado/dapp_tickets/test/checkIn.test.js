@@ -0,0 +1,106 @@
+// test/checkIn.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { deployContracts, chainNow, revertReason } from "./chain.js";
+
+const ORGANIZER = 1;
+const VALIDATOR = 2;
+const BUYER = 3;
+const PRICE = 1000;
+
+let chain;
+let eventId = -1;
+
+before(async () => {
+  chain = await deployContracts();
+});
+
+after(() => chain.close());
+
+// Evento del organizador con dos tickets del comprador (tokenIds devueltos)
+// y un validador sin límites
+async function eventWithTickets() {
+  const { provider, accounts, eventRegistry, ticketMarket, as } = chain;
+  const date = (await chainNow(provider)) + 86400;
+  await (
+    await as(eventRegistry, ORGANIZER).createEvent("Concierto", date, "Sala", PRICE, 150, 10, "", 0, 0, 0)
+  ).wait();
+  eventId++;
+  await (await as(eventRegistry, ORGANIZER).setValidator(eventId, accounts[VALIDATOR], true)).wait();
+
+  const receipt = await (
+    await as(ticketMarket, BUYER).buyPrimary(eventId, 2, [], { value: 2 * PRICE })
+  ).wait();
+  return receipt.events
+    .filter((e) => e.event === "PrimaryTicketBought")
+    .map((e) => e.args.tokenId.toString());
+}
+
+test("entre cancelEvent y processCancellation no entra nadie", async () => {
+  const { accounts, ticketNFT, ticketMarket, as } = chain;
+  const buyer = accounts[BUYER];
+  const [first, second] = await eventWithTickets();
+
+  await (await as(ticketMarket, ORGANIZER).cancelEvent(eventId)).wait();
+  assert.equal(await ticketNFT.ticketState(first), 1); // aún Valid
+
+  assert.equal(await revertReason(as(ticketMarket, VALIDATOR).markTicketUsed(first)), "Evento cancelado");
+  // Tampoco el organizador
+  assert.equal(await revertReason(as(ticketMarket, ORGANIZER).markTicketUsed(first)), "Evento cancelado");
+
+  const receipt = await (
+    await as(ticketMarket, VALIDATOR).markTicketsUsed([first, second], [buyer, buyer])
+  ).wait();
+  const skipped = receipt.events.filter((e) => e.event === "CheckInSkipped");
+  assert.deepEqual(
+    skipped.map((e) => [e.args.tokenId.toString(), e.args.reason]),
+    [
+      [first, 1],
+      [second, 1],
+    ]
+  );
+  assert.equal(receipt.events.filter((e) => e.event === "TicketUsed").length, 0);
+  assert.equal((await ticketMarket.checkInsBy(eventId, accounts[VALIDATOR])).toNumber(), 0);
+
+  // La cancelación sigue y el comprador recupera todo
+  await (await as(ticketMarket, ORGANIZER).processCancellation(eventId, 10)).wait();
+  assert.equal(await ticketNFT.ticketState(first), 3);
+  assert.equal((await ticketMarket.paidForEvent(eventId, buyer)).toNumber(), 2 * PRICE);
+  await (await as(ticketMarket, BUYER).claimRefund(eventId)).wait();
+  assert.equal((await ticketMarket.paidForEvent(eventId, buyer)).toNumber(), 0);
+});
+
+test("sin cancelar, el mismo validador sí valida", async () => {
+  const { accounts, ticketNFT, ticketMarket, as } = chain;
+  const [first, second] = await eventWithTickets();
+
+  await (await as(ticketMarket, VALIDATOR).markTicketUsed(first)).wait();
+  await (
+    await as(ticketMarket, VALIDATOR).markTicketsUsed([second], [accounts[BUYER]])
+  ).wait();
+  assert.equal(await ticketNFT.ticketState(first), 2);
+  assert.equal(await ticketNFT.ticketState(second), 2);
+});
+
+test("un permiso nuevo empieza el tope de validaciones desde 0", async () => {
+  const { accounts, ticketMarket, eventRegistry, as } = chain;
+  const validator = accounts[VALIDATOR];
+  const [first, second] = await eventWithTickets();
+  const grant = () => as(eventRegistry, ORGANIZER).grantValidators(eventId, [validator], 0, 0, 1);
+
+  await (await grant()).wait();
+  await (await as(ticketMarket, VALIDATOR).markTicketUsed(first)).wait();
+  assert.equal((await ticketMarket.checkInsBy(eventId, validator)).toNumber(), 1);
+  assert.equal(
+    await revertReason(as(ticketMarket, VALIDATOR).markTicketUsed(second)),
+    "Tope de validaciones alcanzado"
+  );
+
+  // Revocar y volver a dar el mismo permiso deja validar otra vez
+  await (await as(eventRegistry, ORGANIZER).setValidator(eventId, validator, false)).wait();
+  await (await grant()).wait();
+  assert.equal((await ticketMarket.checkInsBy(eventId, validator)).toNumber(), 0);
+  await (await as(ticketMarket, VALIDATOR).markTicketUsed(second)).wait();
+  assert.equal((await ticketMarket.checkInsBy(eventId, validator)).toNumber(), 1);
+});
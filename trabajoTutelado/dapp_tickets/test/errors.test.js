@@ -0,0 +1,98 @@
+// test/errors.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+
+import { decodeError } from "../utils/errors.js";
+
+const coder = ethers.utils.defaultAbiCoder;
+const errorString = (reason) => "0x08c379a0" + coder.encode(["string"], [reason]).slice(2);
+const panic = (code) => "0x4e487b71" + coder.encode(["uint256"], [code]).slice(2);
+
+test("Error(string) en los datos del revert => código y campo del formulario", () => {
+  const decoded = decodeError({ code: "CALL_EXCEPTION", data: errorString("Precio incorrecto") });
+  assert.equal(decoded.code, "WRONG_PRICE");
+  assert.equal(decoded.field, "price");
+  assert.equal(decoded.reason, "Precio incorrecto");
+  assert.equal(decoded.message, "El importe enviado no coincide con el precio on-chain.");
+});
+
+test("error anidado de MetaMask (-32603 con data dentro de data)", () => {
+  const err = {
+    code: -32603,
+    message: "Internal JSON-RPC error.",
+    data: { code: 3, message: "execution reverted: Zona agotada", data: errorString("Zona agotada") },
+  };
+  const decoded = decodeError(err);
+  assert.equal(decoded.code, "TIER_SOLD_OUT");
+  assert.equal(decoded.icon, "🚫");
+});
+
+test("un require que es prefijo de otro no tapa al más largo", () => {
+  const hardhat = {
+    message:
+      "VM Exception while processing transaction: reverted with reason string 'Ticket no valido para marcar como usado'",
+  };
+  assert.equal(decodeError(hardhat).code, "TICKET_NOT_USABLE");
+
+  const inText = { message: "cannot estimate gas; Ticket no valido para marcar como usado (tx=...)" };
+  assert.equal(decodeError(inText).code, "TICKET_NOT_USABLE");
+
+  const shortOne = { message: "execution reverted: Ticket no valido" };
+  assert.equal(decodeError(shortOne).code, "TICKET_NOT_VALID");
+});
+
+test("el cuerpo JSON de un error del nodo (formato de ethers) también se lee", () => {
+  const err = {
+    code: "SERVER_ERROR",
+    body: JSON.stringify({ error: { code: 3, message: "execution reverted", data: errorString("Venta no iniciada") } }),
+  };
+  assert.equal(decodeError(err).code, "SALE_NOT_STARTED");
+});
+
+test("motivo desconocido: se muestra el texto del require", () => {
+  const decoded = decodeError({ data: errorString("Algo nuevo") });
+  assert.equal(decoded.code, "UNKNOWN");
+  assert.equal(decoded.message, "Algo nuevo");
+});
+
+test("panic con su código", () => {
+  const decoded = decodeError({ data: panic(0x11) });
+  assert.equal(decoded.code, "PANIC");
+  assert.equal(decoded.reason, "Panic(0x11)");
+});
+
+test("custom errors de las ABI", () => {
+  const iface = new ethers.utils.Interface(["error ERC721NonexistentToken(uint256 tokenId)"]);
+  const data = iface.encodeErrorResult("ERC721NonexistentToken", [7]);
+  const decoded = decodeError({ error: { data } }, [iface]);
+  assert.equal(decoded.code, "TOKEN_NOT_FOUND");
+  assert.equal(decoded.args.tokenId.toNumber(), 7);
+
+  // Sin la ABI no se puede decodificar
+  assert.equal(decodeError({ error: { data } }).code, "UNKNOWN");
+});
+
+test("errores de la wallet y de la tx", () => {
+  assert.equal(decodeError({ code: 4001, message: "User denied" }).code, "USER_REJECTED");
+  assert.equal(decodeError({ code: "ACTION_REJECTED" }).code, "USER_REJECTED");
+  assert.equal(
+    decodeError({ message: "insufficient funds for gas * price + value" }).code,
+    "INSUFFICIENT_FUNDS"
+  );
+  assert.equal(decodeError({ code: "NONCE_EXPIRED" }).code, "NONCE_EXPIRED");
+  assert.equal(decodeError({ code: "TRANSACTION_REPLACED", cancelled: true }).code, "TX_CANCELLED");
+  assert.equal(decodeError({ code: "CALL_EXCEPTION", receipt: { status: 0 } }).code, "TX_FAILED");
+  assert.equal(decodeError({ code: "NETWORK_ERROR" }).code, "NETWORK_ERROR");
+});
+
+test("cualquier otra cosa: UNKNOWN con el primer mensaje", () => {
+  assert.deepEqual(decodeError(new Error("boom")), {
+    code: "UNKNOWN",
+    message: "boom",
+    field: null,
+    icon: "",
+    reason: null,
+    args: null,
+  });
+});
@@ -0,0 +1,303 @@
+// test/indexer.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+
+import abis from "../utils/abis.js";
+import { createEmptyState, applyLog, createTicketIndexer } from "../utils/indexer.js";
+
+const VALIDATOR = "0x00000000000000000000000000000000000000a1";
+const TX_1 = "0x" + "11".repeat(32);
+const TX_2 = "0x" + "22".repeat(32);
+
+let logIndex = 0;
+function log(name, args, { block = 1, tx = TX_1, timestamp = 1000 } = {}) {
+  return {
+    contract: null,
+    name,
+    args,
+    blockNumber: block,
+    blockHash: "0x" + block.toString(16).padStart(64, "0"),
+    logIndex: logIndex++,
+    transactionHash: tx,
+    timestamp,
+  };
+}
+
+// Indexador con el estado de `logs` sin pasar por el provider
+function indexerWith(logs) {
+  const indexer = createTicketIndexer({ provider: null, contracts: {} });
+  const ok = indexer.restore({
+    ...indexer.snapshot(),
+    recentLogs: logs,
+    lastBlock: Math.max(...logs.map((l) => l.blockNumber)),
+  });
+  assert.ok(ok);
+  return indexer;
+}
+
+test("cada *SaleSplit completa la venta de su transacción", () => {
+  const state = createEmptyState();
+  [
+    log("PrimaryTicketBought", { tokenId: "1", eventId: "0", buyer: "0xb1", priceWei: "100" }),
+    log("PrimaryTicketBought", { tokenId: "2", eventId: "0", buyer: "0xb1", priceWei: "100" }),
+    log("PrimarySaleSplit", { eventId: "0", tokenId: "1", feeWei: "3" }),
+    log("PrimarySaleSplit", { eventId: "0", tokenId: "2", feeWei: "4" }),
+    log("ResaleTicketBought", { listingId: "5", tokenId: "1", buyer: "0xb2", priceWei: "150" }, { tx: TX_2 }),
+    log("ResaleSaleSplit", { listingId: "5", royaltyWei: "7", feeWei: "2" }, { tx: TX_2 }),
+  ].forEach((l) => applyLog(state, l));
+
+  assert.deepEqual(
+    state.sales.map((s) => [s.kind, s.tokenId, s.feeWei, s.royaltyWei ?? null, s.txHash]),
+    [
+      ["primary", "1", "3", null, TX_1],
+      ["primary", "2", "4", null, TX_1],
+      ["resale", "1", "2", "7", TX_2],
+    ]
+  );
+});
+
+test("el índice de ventas se rehace en un estado copiado", () => {
+  const state = createEmptyState();
+  applyLog(state, log("PrimaryTicketBought", { tokenId: "1", eventId: "0", buyer: "0xb1", priceWei: "100" }));
+
+  const copy = structuredClone(state);
+  applyLog(copy, log("PrimarySaleSplit", { eventId: "0", tokenId: "1", feeWei: "3" }));
+  assert.equal(copy.sales[0].feeWei, "3");
+  assert.equal(state.sales[0].feeWei, "0");
+});
+
+test("un split de otra transacción no toca la venta", () => {
+  const state = createEmptyState();
+  applyLog(state, log("PrimaryTicketBought", { tokenId: "1", eventId: "0", buyer: "0xb1", priceWei: "100" }));
+  applyLog(state, log("PrimarySaleSplit", { eventId: "0", tokenId: "1", feeWei: "3" }, { tx: TX_2 }));
+  assert.equal(state.sales[0].feeWei, "0");
+});
+
+test("isValidator sigue el permiso: ventana, tope y revocación", () => {
+  const base = [
+    log("EventCreated", { eventId: "0", name: "X", date: "5000", location: "L", basePriceWei: "1", maxResaleFactor: "150", totalTickets: "10", organizer: "0xo1", metadataCid: "" }),
+    log("ValidatorSet", { eventId: "0", validator: VALIDATOR, active: true }),
+    log("ValidatorGrantSet", { eventId: "0", validator: VALIDATOR, validFrom: "100", validUntil: "200", maxCheckIns: "1" }),
+  ];
+  const indexer = indexerWith(base);
+
+  assert.equal(indexer.isValidator(0, VALIDATOR, 50), false); // aún no empieza
+  assert.equal(indexer.isValidator(0, VALIDATOR, 150), true);
+  assert.equal(indexer.isValidator("0", VALIDATOR.toUpperCase().replace("0X", "0x"), 150), true);
+  assert.equal(indexer.isValidator(0, VALIDATOR, 200), false); // caducado
+  assert.deepEqual(indexer.getValidatorEventIds(VALIDATOR, 150), ["0"]);
+  assert.deepEqual(indexer.getValidatorEventIds(VALIDATOR, 300), []);
+
+  const used = indexerWith([...base, log("TicketUsed", { tokenId: "1", eventId: "0", validator: VALIDATOR })]);
+  assert.equal(used.isValidator(0, VALIDATOR, 150), false); // tope agotado
+
+  const revoked = indexerWith([...base, log("ValidatorSet", { eventId: "0", validator: VALIDATOR, active: false })]);
+  assert.equal(revoked.isValidator(0, VALIDATOR, 150), false);
+  assert.equal(indexer.isValidator(0, "0x00000000000000000000000000000000000000b2", 150), false);
+});
+
+test("un permiso nuevo empieza el tope de validaciones desde 0", () => {
+  const grant = (maxCheckIns) =>
+    log("ValidatorGrantSet", { eventId: "0", validator: VALIDATOR, validFrom: "0", validUntil: "0", maxCheckIns });
+  const logs = [
+    log("EventCreated", { eventId: "0", name: "X", date: "5000", location: "L", basePriceWei: "1", maxResaleFactor: "150", totalTickets: "10", organizer: "0xo1", metadataCid: "" }),
+    log("ValidatorSet", { eventId: "0", validator: VALIDATOR, active: true }),
+    grant("1"),
+    log("TicketUsed", { tokenId: "1", eventId: "0", validator: VALIDATOR }),
+  ];
+  assert.equal(indexerWith(logs).isValidator(0, VALIDATOR, 150), false);
+
+  // grantValidators vuelve a emitir ValidatorSet antes del nuevo permiso
+  logs.push(log("ValidatorSet", { eventId: "0", validator: VALIDATOR, active: true }), grant("1"));
+  const regranted = indexerWith(logs);
+  assert.equal(regranted.isValidator(0, VALIDATOR, 150), true);
+  const [entry] = regranted.getValidatorRoster(0, 150);
+  assert.equal(entry.checkIns, 1);
+  assert.equal(entry.grantCheckIns, 0);
+  assert.equal(entry.status, "active");
+});
+
+// ----------------- reorgs -----------------
+
+const ORGANIZER = "0x00000000000000000000000000000000000000c1";
+const BUYER = "0x00000000000000000000000000000000000000d1";
+const CONTRACTS = Object.fromEntries(
+  Object.entries(abis).map(([key, { abi }], i) => [
+    key,
+    { address: `0x${String(i + 1).padStart(40, "0")}`, interface: new ethers.utils.Interface(abi) },
+  ])
+);
+
+// Cadena falsa: bloques [{ hash, timestamp, logs }] y un provider que la lee.
+// `fork` indica la rama, para que los bloques rehechos tengan otro hash.
+function fakeChain() {
+  const blocks = [];
+  const chain = {
+    blocks,
+    mine(logs = [], fork = 0) {
+      const number = blocks.length;
+      const hash = ethers.utils.id(`${fork}:${number}`);
+      blocks.push({
+        number,
+        hash,
+        timestamp: 1000 + number,
+        logs: logs.map((l, logIndex) => ({ ...l, blockNumber: number, blockHash: hash, logIndex })),
+      });
+    },
+    // Descarta desde `number` y mina `count` bloques nuevos (vacíos salvo `logs` en el primero)
+    reorg(number, count, logs = []) {
+      blocks.length = number;
+      for (let i = 0; i < count; i++) chain.mine(i ? [] : logs, 1);
+    },
+    provider: {
+      getBlockNumber: async () => blocks.length - 1,
+      getBlock: async (n) => blocks[n] ?? null,
+      getLogs: async ({ address, fromBlock, toBlock, topics }) =>
+        blocks
+          .slice(fromBlock, toBlock + 1)
+          .flatMap((b) => b.logs)
+          .filter((l) => l.address === address && topics[0].includes(l.topics[0])),
+    },
+  };
+  return chain;
+}
+
+function rawLog(key, name, values) {
+  const { address, interface: iface } = CONTRACTS[key];
+  return { address, ...iface.encodeEventLog(iface.getEvent(name), values), transactionHash: TX_1 };
+}
+
+const eventCreated = (eventId, name) =>
+  rawLog("eventRegistry", "EventCreated", [eventId, ORGANIZER, name, 5000, "L", 100, 150, 10, "", 0, 0, 0]);
+const ticketMinted = (tokenId, eventId) => rawLog("ticketNFT", "TicketMinted", [tokenId, eventId, BUYER, 0]);
+
+function chainIndexer(chain) {
+  const reorgs = [];
+  const indexer = createTicketIndexer({
+    provider: chain.provider,
+    contracts: CONTRACTS,
+    onReorg: (from) => reorgs.push(from),
+  });
+  return { indexer, reorgs };
+}
+
+test("una reorg corta deshace solo los bloques que salen de la cadena", async () => {
+  const chain = fakeChain();
+  chain.mine([eventCreated(0, "A")]);
+  chain.mine([ticketMinted(1, 0)]);
+  chain.mine([ticketMinted(2, 0)]);
+  const { indexer, reorgs } = chainIndexer(chain);
+
+  assert.equal(await indexer.sync(), 3);
+  assert.equal(indexer.getEvent(0).minted, 2);
+
+  // El bloque 2 cambia: el ticket 2 desaparece y en su lugar se emite el 3
+  chain.reorg(2, 2, [ticketMinted(3, 0)]);
+  assert.equal(await indexer.sync(), 1);
+  assert.deepEqual(reorgs, [2]);
+  assert.equal(indexer.lastBlock, 3);
+  assert.deepEqual(Object.keys(indexer.getState().tickets), ["1", "3"]);
+  assert.equal(indexer.getEvent(0).minted, 2);
+});
+
+test("sin cambios en la cadena no hay reorg", async () => {
+  const chain = fakeChain();
+  chain.mine([eventCreated(0, "A")]);
+  const { indexer, reorgs } = chainIndexer(chain);
+  await indexer.sync();
+  chain.mine();
+  assert.equal(await indexer.sync(), 0);
+  assert.deepEqual(reorgs, []);
+  assert.equal(indexer.lastBlock, 1);
+});
+
+test("una reorg más profunda que la ventana reindexa desde el inicio", async () => {
+  const chain = fakeChain();
+  chain.mine([eventCreated(0, "A")]);
+  for (let i = 0; i < 80; i++) chain.mine();
+  const { indexer, reorgs } = chainIndexer(chain);
+  await indexer.sync();
+
+  // Se rehace toda la cadena: el evento 0 ahora se llama "B"
+  chain.blocks.length = 0;
+  chain.mine([eventCreated(0, "B")], 1);
+  for (let i = 0; i < 80; i++) chain.mine([], 1);
+
+  await indexer.sync();
+  assert.deepEqual(reorgs, [0]);
+  assert.equal(indexer.getEvent(0).name, "B");
+  assert.equal(indexer.lastBlock, 80);
+});
+
+test("los logs fuera de la ventana se consolidan y una reorg reciente no los toca", async () => {
+  const chain = fakeChain();
+  chain.mine([eventCreated(0, "A")]);
+  for (let i = 0; i < 79; i++) chain.mine();
+  const { indexer, reorgs } = chainIndexer(chain);
+  await indexer.sync(); // guarda el hash del bloque 79: ancla para la reorg
+  chain.mine([ticketMinted(1, 0)]);
+  await indexer.sync();
+
+  chain.reorg(80, 1);
+  await indexer.sync();
+  assert.deepEqual(reorgs, [80]);
+  assert.equal(indexer.getEvent(0).name, "A");
+  assert.deepEqual(indexer.getState().tickets, {});
+});
+
+test("la copia guardada detecta una reorg ocurrida mientras estaba cerrada", async () => {
+  const chain = fakeChain();
+  chain.mine([eventCreated(0, "A")]);
+  chain.mine([ticketMinted(1, 0)]);
+  const first = chainIndexer(chain).indexer;
+  await first.sync();
+  const saved = structuredClone(first.snapshot());
+
+  chain.reorg(1, 2);
+  const { indexer, reorgs } = chainIndexer(chain);
+  assert.ok(indexer.restore(saved));
+  assert.equal(indexer.getEvent(0).minted, 1);
+
+  await indexer.sync();
+  assert.deepEqual(reorgs, [1]);
+  assert.equal(indexer.getEvent(0).minted, 0);
+  assert.equal(indexer.lastBlock, 2);
+});
+
+// ----------------- cambio de sesión -----------------
+
+test("restaurar desde otro indexador vivo no comparte su estado", async () => {
+  const chain = fakeChain();
+  chain.mine([eventCreated(0, "A")]);
+  chain.mine([ticketMinted(1, 0)]);
+  const previous = chainIndexer(chain).indexer;
+  await previous.sync();
+
+  const { indexer } = chainIndexer(chain);
+  assert.ok(indexer.restore(previous.snapshot()));
+
+  // El anterior sigue sincronizando (sync en curso al cambiar de cuenta)
+  chain.mine([ticketMinted(2, 0)]);
+  await previous.sync();
+  assert.equal(previous.getEvent(0).minted, 2);
+  assert.equal(indexer.getEvent(0).minted, 1);
+  assert.equal(indexer.lastBlock, 1);
+
+  // Y el nuevo se pone al día sin duplicar nada
+  await indexer.sync();
+  assert.equal(indexer.getEvent(0).minted, 2);
+  assert.equal(indexer.snapshot().recentLogs.length, 3);
+});
+
+test("stop() corta la sync en curso antes de aplicar nada", async () => {
+  const chain = fakeChain();
+  chain.mine([eventCreated(0, "A")]);
+  const { indexer } = chainIndexer(chain);
+
+  const pending = indexer.sync();
+  indexer.stop();
+  assert.equal(await pending, 0);
+  assert.equal(indexer.getEvent(0), null);
+  assert.equal(await indexer.sync(), 0);
+});
@@ -0,0 +1,57 @@
+// test/merkle.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+
+import { parseAddressList, buildAllowlist, proofFor, verifyProof, allowlistLeaf } from "../utils/merkle.js";
+
+const wallets = Array.from({ length: 7 }, (_, i) =>
+  ethers.utils.getAddress(`0x${String(i + 1).repeat(40).slice(0, 40)}`)
+);
+
+test("parseAddressList admite CSV con cabecera, separadores y duplicados", () => {
+  const csv = [
+    "wallet,nombre",
+    `${wallets[0]},Ana`,
+    `"${wallets[1].toLowerCase()}"; ${wallets[2]}`,
+    `${wallets[0]}`,
+    "0x1234,mal",
+  ].join("\r\n");
+  const { addresses, invalid } = parseAddressList(csv);
+  assert.deepEqual(addresses, wallets.slice(0, 3));
+  assert.deepEqual(invalid, [{ line: 5, value: "0x1234" }]);
+});
+
+test("todas las carteras de la lista tienen una prueba válida (nº impar de hojas)", () => {
+  const list = buildAllowlist(wallets);
+  assert.equal(list.count, 7);
+  for (const address of wallets) {
+    assert.ok(verifyProof(proofFor(list, address), list.root, address), address);
+  }
+});
+
+test("una cartera fuera de la lista no tiene prueba ni vale la de otra", () => {
+  const list = buildAllowlist(wallets.slice(0, 4));
+  const outsider = wallets[5];
+  assert.equal(proofFor(list, outsider), null);
+  assert.equal(verifyProof(proofFor(list, wallets[0]), list.root, outsider), false);
+});
+
+test("la raíz no depende del orden ni de mayúsculas", () => {
+  const a = buildAllowlist(wallets);
+  const b = buildAllowlist([...wallets].reverse().map((w) => w.toLowerCase()));
+  assert.equal(a.root, b.root);
+  assert.deepEqual(proofFor(b, wallets[3].toLowerCase()), a.proofs[wallets[3]]);
+});
+
+test("con una sola cartera la raíz es su hoja (doble keccak como OZ)", () => {
+  const list = buildAllowlist([wallets[0]]);
+  const inner = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["address"], [wallets[0]]));
+  assert.equal(list.root, ethers.utils.keccak256(inner));
+  assert.equal(list.root, allowlistLeaf(wallets[0]));
+  assert.deepEqual(list.proofs[wallets[0]], []);
+});
+
+test("una lista vacía es un error", () => {
+  assert.throws(() => buildAllowlist([]), /vacía/);
+});
@@ -0,0 +1,6 @@
+// test/setup.js
+// Los módulos de utils/ importan ethers desde el CDN (como en el navegador).
+// En los tests se redirige ese import al paquete de node_modules.
+import { register } from "node:module";
+
+register("./cdnImports.js", import.meta.url);
@@ -0,0 +1,89 @@
+// test/ticketPass.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+
+import { createTicketPass, encodePass, decodePass, verifyPass, passMessage } from "../utils/ticketPass.js";
+import { verifyPassOffline } from "../utils/doorQueue.js";
+
+const CONTRACT = "0x00000000000000000000000000000000000000c0";
+const owner = ethers.Wallet.createRandom();
+
+// TicketNFT falso: tokenId => { owner, state, eventId }
+function fakeNft(tickets) {
+  const get = (id) => tickets[String(id)];
+  return {
+    address: ethers.utils.getAddress(CONTRACT),
+    ownerOf: async (id) => get(id).owner,
+    ticketState: async (id) => get(id).state,
+    ticketEvent: async (id) => ethers.BigNumber.from(get(id).eventId),
+  };
+}
+
+const nft = fakeNft({ 7: { owner: owner.address, state: 1, eventId: 2 } });
+const signPass = (signer = owner, fields = {}) =>
+  createTicketPass(signer, { chainId: 1337, contract: CONTRACT, eventId: 2, tokenId: 7, ...fields });
+
+test("el texto firmado incluye el evento", () => {
+  const msg = passMessage({ chainId: 1, contract: CONTRACT, eventId: "3", tokenId: "9", expiresAt: 100 });
+  assert.match(msg, /^Evento: 3$/m);
+});
+
+test("un pase pasa por el QR y se verifica para su evento", async () => {
+  const pass = decodePass(encodePass(await signPass()));
+  assert.equal(pass.eventId, "2");
+
+  const check = await verifyPass(pass, { ticketNFT: nft, chainId: 1337, eventId: "2" });
+  assert.equal(check.code, "OK");
+  assert.equal(check.holder, owner.address);
+});
+
+test("un pase válido de otro evento no entra", async () => {
+  const pass = await signPass();
+  const check = await verifyPass(pass, { ticketNFT: nft, chainId: 1337, eventId: "5" });
+  assert.equal(check.code, "WRONG_EVENT");
+});
+
+test("cambiar el evento del QR invalida la firma", async () => {
+  const pass = { ...(await signPass()), eventId: "5" };
+  const check = await verifyPass(pass, { ticketNFT: nft, chainId: 1337, eventId: "5" });
+  assert.notEqual(check.code, "OK");
+});
+
+test("el evento firmado tiene que ser el del ticket on-chain", async () => {
+  const pass = await signPass(owner, { eventId: 4 });
+  const check = await verifyPass(pass, { ticketNFT: nft, chainId: 1337, eventId: "4" });
+  assert.equal(check.code, "WRONG_EVENT");
+  assert.equal(check.eventId, "2");
+});
+
+test("red, caducidad y dueño", async () => {
+  const pass = await signPass();
+  assert.equal((await verifyPass(pass, { ticketNFT: nft, chainId: 1, eventId: "2" })).code, "WRONG_CHAIN");
+  assert.equal(
+    (await verifyPass(pass, { ticketNFT: nft, chainId: 1337, eventId: "2", now: pass.expiresAt + 1 })).code,
+    "EXPIRED"
+  );
+  const other = await signPass(ethers.Wallet.createRandom());
+  assert.equal((await verifyPass(other, { ticketNFT: nft, chainId: 1337, eventId: "2" })).code, "NOT_OWNER");
+});
+
+test("decodePass rechaza pases sin evento o de la versión anterior", async () => {
+  const raw = JSON.parse(encodePass(await signPass()));
+  assert.throws(() => decodePass(JSON.stringify({ ...raw, v: 1 })), /Versión de pase no soportada/);
+  const { ev, ...noEvent } = raw;
+  assert.equal(ev, "2");
+  assert.throws(() => decodePass(JSON.stringify(noEvent)), /incompleto o dañado/);
+  assert.throws(() => decodePass("hola"), /no es un pase/);
+});
+
+test("sin conexión: la copia y el pase tienen que ser del evento de la puerta", async () => {
+  const pass = await signPass();
+  const snapshot = { chainId: 1337, contract: CONTRACT, eventId: "2", tickets: {} };
+
+  const wrongCopy = await verifyPassOffline(pass, snapshot, { eventId: "3" });
+  assert.equal(wrongCopy.code, "WRONG_SNAPSHOT");
+
+  const otherEvent = await verifyPassOffline(pass, { ...snapshot, eventId: "3" }, { eventId: "3" });
+  assert.equal(otherEvent.code, "WRONG_EVENT");
+});
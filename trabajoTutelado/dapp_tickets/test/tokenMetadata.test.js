@@ -0,0 +1,73 @@
+// test/tokenMetadata.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  decodeTokenUri,
+  validateErc721Metadata,
+  formatAttributes,
+} from "../utils/tokenMetadata.js";
+
+// Salida real de TicketNFT.tokenURI(1): evento 'Conci"erto <A&B>' en
+// "Madrid \ WiZink", zona VIP, ticket ya usado
+const tokenUri = readFileSync(new URL("./fixtures/tokenURI-usada.txt", import.meta.url), "utf8").trim();
+
+test("el tokenURI del contrato cumple el esquema de metadata ERC-721", () => {
+  const json = decodeTokenUri(tokenUri);
+  assert.deepEqual(validateErc721Metadata(json), []);
+  assert.equal(json.name, 'Conci"erto <A&B> #1');
+  assert.equal(json.description, 'Entrada #1 para Conci"erto <A&B> en Madrid \\ WiZink');
+  assert.equal(json.event_metadata, "ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG");
+});
+
+test("la imagen es un SVG con el texto del organizador escapado", () => {
+  const { image } = decodeTokenUri(tokenUri);
+  assert.match(image, /^data:image\/svg\+xml;base64,/);
+  const svg = Buffer.from(image.split(",")[1], "base64").toString("utf8");
+  assert.match(svg, /^<svg [^>]*>.*<\/svg>$/s);
+  assert.ok(svg.includes("Conci&quot;erto &lt;A&amp;B&gt;"));
+  assert.ok(!svg.includes("<A&B>"));
+});
+
+test("attributes: zona, estado y la fecha como timestamp", () => {
+  const json = decodeTokenUri(tokenUri);
+  const byType = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a]));
+  assert.equal(byType.Zona.value, "VIP");
+  assert.equal(byType.Estado.value, "Usada");
+  assert.equal(byType["ID del evento"].value, 0);
+  assert.deepEqual(byType.Fecha, { display_type: "date", trait_type: "Fecha", value: 1798761600 });
+
+  const labels = formatAttributes(json).map((a) => a.label);
+  assert.deepEqual(labels, ["Evento", "ID del evento", "Fecha", "Lugar", "Zona", "Estado"]);
+});
+
+test("decodeTokenUri acepta data URI en utf8 y rechaza otras URIs", () => {
+  const json = { name: "a", description: "b", image: "ipfs://x" };
+  const uri = `data:application/json;utf8,${encodeURIComponent(JSON.stringify(json))}`;
+  assert.deepEqual(decodeTokenUri(uri), json);
+  assert.throws(() => decodeTokenUri("ipfs://QmX"), /no es un data URI JSON/);
+});
+
+test("validateErc721Metadata señala cada campo que no cumple", () => {
+  assert.deepEqual(validateErc721Metadata(null), ["La metadata no es un objeto JSON."]);
+  assert.deepEqual(validateErc721Metadata([]), ["La metadata no es un objeto JSON."]);
+  assert.deepEqual(
+    validateErc721Metadata({
+      name: "x",
+      image: "foo",
+      attributes: [{ value: {} }, { display_type: "date", value: "x" }, { trait_type: 3, value: 1 }],
+    }),
+    [
+      'Falta "description" o no es texto.',
+      '"image" no es una URI (data:, ipfs:// o http).',
+      'El atributo 1 no tiene "value" (texto o número).',
+      "El atributo 2 es una fecha y su valor no es un timestamp.",
+      'El "trait_type" del atributo 3 no es texto.',
+    ]
+  );
+  assert.deepEqual(validateErc721Metadata({ name: "x", description: "y", image: "z", attributes: {} }), [
+    '"image" no es una URI (data:, ipfs:// o http).',
+    '"attributes" debe ser una lista.',
+  ]);
+});
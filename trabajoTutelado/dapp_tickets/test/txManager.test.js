@@ -0,0 +1,109 @@
+// test/txManager.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+
+import { createTxManager } from "../utils/txManager.js";
+
+const ACCOUNT = "0x00000000000000000000000000000000000000a1";
+const HASH_A = "0x" + "aa".repeat(32);
+const HASH_B = "0x" + "bb".repeat(32);
+
+// localStorage en memoria (txManager guarda el historial en window.localStorage)
+beforeEach(() => {
+  const store = new Map();
+  globalThis.window = {
+    localStorage: {
+      getItem: (k) => store.get(k) ?? null,
+      setItem: (k, v) => store.set(k, v),
+    },
+  };
+});
+
+// Provider falso: receipts por hash y nonce de la cuenta
+function fakeProvider({ receipts = {}, nonce = 0 } = {}) {
+  return {
+    receipts,
+    getBlockNumber: async () => 10,
+    getTransactionReceipt: async (hash) => receipts[hash] ?? null,
+    getTransactionCount: async () => nonce,
+    getBlockWithTransactions: async () => ({ transactions: [] }),
+    on() {},
+    off() {},
+  };
+}
+
+function replacedError(receipt, { cancelled = false } = {}) {
+  const err = new Error("transaction was replaced");
+  err.code = ethers.errors.TRANSACTION_REPLACED;
+  err.cancelled = cancelled;
+  err.replacement = { hash: HASH_B };
+  err.receipt = receipt;
+  return err;
+}
+
+function trackedTx(waitResult) {
+  return { hash: HASH_A, nonce: 3, wait: () => waitResult };
+}
+
+test("track devuelve el receipt de la tx acelerada si se mina bien", async () => {
+  const manager = createTxManager({ provider: fakeProvider(), account: ACCOUNT, chainId: 1 });
+  const receipt = { status: 1, blockNumber: 10, logs: [] };
+  const result = await manager.track(trackedTx(Promise.reject(replacedError(receipt))), "Comprar");
+
+  assert.equal(result, receipt);
+  const [replacement, original] = manager.records;
+  assert.deepEqual([original.status, original.replacedBy], ["replaced", HASH_B]);
+  assert.deepEqual([replacement.hash, replacement.status], [HASH_B, "mined"]);
+});
+
+test("track lanza si la tx acelerada revierte", async () => {
+  const manager = createTxManager({ provider: fakeProvider(), account: ACCOUNT, chainId: 1 });
+  const receipt = { status: 0, blockNumber: 10, logs: [] };
+
+  await assert.rejects(
+    manager.track(trackedTx(Promise.reject(replacedError(receipt))), "Comprar"),
+    (err) => err.code === ethers.errors.CALL_EXCEPTION && err.receipt === receipt
+  );
+  assert.equal(manager.records.find((r) => r.hash === HASH_B).status, "failed");
+});
+
+test("track relanza la cancelación", async () => {
+  const manager = createTxManager({ provider: fakeProvider(), account: ACCOUNT, chainId: 1 });
+  const err = replacedError({ status: 1, blockNumber: 10, logs: [] }, { cancelled: true });
+
+  await assert.rejects(manager.track(trackedTx(Promise.reject(err)), "Comprar"), err);
+  assert.equal(manager.records[0].status, "cancelled");
+});
+
+test("una tx minada entre leer su receipt y el nonce no cuenta como reemplazada", async () => {
+  // Registro pendiente de otra sesión (nadie la está esperando con wait())
+  window.localStorage.setItem(
+    `dapp-tickets:txs:1:${ACCOUNT}`,
+    JSON.stringify([{ hash: HASH_A, label: "Comprar", nonce: 3, status: "pending" }])
+  );
+  const provider = fakeProvider();
+  // Se mina justo cuando se lee el nonce
+  provider.getTransactionCount = async () => {
+    provider.receipts[HASH_A] = { status: 1, blockNumber: 10 };
+    return 4;
+  };
+
+  const manager = createTxManager({ provider, account: ACCOUNT, chainId: 1 });
+  await manager.start();
+
+  const [rec] = manager.records;
+  assert.equal(rec.status, "mined");
+  assert.equal(rec.replacedBy, undefined);
+});
+
+test("sin receipt y con el nonce consumido, la tx queda reemplazada", async () => {
+  window.localStorage.setItem(
+    `dapp-tickets:txs:1:${ACCOUNT}`,
+    JSON.stringify([{ hash: HASH_A, label: "Comprar", nonce: 3, status: "pending" }])
+  );
+  const manager = createTxManager({ provider: fakeProvider({ nonce: 4 }), account: ACCOUNT, chainId: 1 });
+  await manager.start();
+
+  assert.equal(manager.records[0].status, "replaced");
+});
@@ -105,6 +105,12 @@ const eventRegistryAbi = [
 				"internalType": "uint32",
 				"name": "walletCooldown",
 				"type": "uint32"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint16",
+				"name": "royaltyBps",
+				"type": "uint16"
 			}
 		],
 		"name": "EventCreated",
@@ -129,6 +135,68 @@ const eventRegistryAbi = [
 		"name": "EventStatusChanged",
 		"type": "event"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "name",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "date",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "location",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "totalTickets",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "metadataCid",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "previousCid",
+				"type": "string"
+			}
+		],
+		"name": "EventUpdated",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": false,
+				"internalType": "address",
+				"name": "market",
+				"type": "address"
+			}
+		],
+		"name": "MarketSet",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -148,6 +216,135 @@ const eventRegistryAbi = [
 		"name": "OwnershipTransferred",
 		"type": "event"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint64",
+				"name": "saleStart",
+				"type": "uint64"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint64",
+				"name": "publicSaleStart",
+				"type": "uint64"
+			},
+			{
+				"indexed": false,
+				"internalType": "bytes32",
+				"name": "allowlistRoot",
+				"type": "bytes32"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "allowlistCid",
+				"type": "string"
+			}
+		],
+		"name": "SaleScheduleSet",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "tierId",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "name",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "priceWei",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint32",
+				"name": "supply",
+				"type": "uint32"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint16",
+				"name": "maxPerWallet",
+				"type": "uint16"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint64",
+				"name": "saleStart",
+				"type": "uint64"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint64",
+				"name": "saleEnd",
+				"type": "uint64"
+			}
+		],
+		"name": "TierAdded",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "validator",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint64",
+				"name": "validFrom",
+				"type": "uint64"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint64",
+				"name": "validUntil",
+				"type": "uint64"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint32",
+				"name": "maxCheckIns",
+				"type": "uint32"
+			}
+		],
+		"name": "ValidatorGrantSet",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -173,6 +370,69 @@ const eventRegistryAbi = [
 		"name": "ValidatorSet",
 		"type": "event"
 	},
+	{
+		"inputs": [],
+		"name": "MAX_ROYALTY_BPS",
+		"outputs": [
+			{
+				"internalType": "uint16",
+				"name": "",
+				"type": "uint16"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"components": [
+					{
+						"internalType": "string",
+						"name": "name",
+						"type": "string"
+					},
+					{
+						"internalType": "uint256",
+						"name": "priceWei",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint32",
+						"name": "supply",
+						"type": "uint32"
+					},
+					{
+						"internalType": "uint16",
+						"name": "maxPerWallet",
+						"type": "uint16"
+					},
+					{
+						"internalType": "uint64",
+						"name": "saleStart",
+						"type": "uint64"
+					},
+					{
+						"internalType": "uint64",
+						"name": "saleEnd",
+						"type": "uint64"
+					}
+				],
+				"internalType": "struct EventRegistry.Tier[]",
+				"name": "tiers",
+				"type": "tuple[]"
+			}
+		],
+		"name": "addTiers",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -219,6 +479,11 @@ const eventRegistryAbi = [
 				"internalType": "uint32",
 				"name": "walletCooldown",
 				"type": "uint32"
+			},
+			{
+				"internalType": "uint16",
+				"name": "royaltyBps",
+				"type": "uint16"
 			}
 		],
 		"name": "createEvent",
@@ -234,19 +499,6 @@ const eventRegistryAbi = [
 	},
 	{
 		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "",
-				"type": "uint256"
-			}
-		],
-		"name": "events",
-		"outputs": [
-			{
-				"internalType": "uint256",
-				"name": "id",
-				"type": "uint256"
-			},
 			{
 				"internalType": "string",
 				"name": "name",
@@ -282,16 +534,6 @@ const eventRegistryAbi = [
 				"name": "metadataCid",
 				"type": "string"
 			},
-			{
-				"internalType": "address",
-				"name": "organizer",
-				"type": "address"
-			},
-			{
-				"internalType": "bool",
-				"name": "active",
-				"type": "bool"
-			},
 			{
 				"internalType": "uint16",
 				"name": "maxTicketsPerWallet",
@@ -301,11 +543,61 @@ const eventRegistryAbi = [
 				"internalType": "uint32",
 				"name": "walletCooldown",
 				"type": "uint32"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	},
+			},
+			{
+				"internalType": "uint16",
+				"name": "royaltyBps",
+				"type": "uint16"
+			},
+			{
+				"components": [
+					{
+						"internalType": "string",
+						"name": "name",
+						"type": "string"
+					},
+					{
+						"internalType": "uint256",
+						"name": "priceWei",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint32",
+						"name": "supply",
+						"type": "uint32"
+					},
+					{
+						"internalType": "uint16",
+						"name": "maxPerWallet",
+						"type": "uint16"
+					},
+					{
+						"internalType": "uint64",
+						"name": "saleStart",
+						"type": "uint64"
+					},
+					{
+						"internalType": "uint64",
+						"name": "saleEnd",
+						"type": "uint64"
+					}
+				],
+				"internalType": "struct EventRegistry.Tier[]",
+				"name": "tiers",
+				"type": "tuple[]"
+			}
+		],
+		"name": "createEventWithTiers",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -377,6 +669,11 @@ const eventRegistryAbi = [
 						"internalType": "uint32",
 						"name": "walletCooldown",
 						"type": "uint32"
+					},
+					{
+						"internalType": "uint16",
+						"name": "royaltyBps",
+						"type": "uint16"
 					}
 				],
 				"internalType": "struct EventRegistry.EventData",
@@ -387,6 +684,95 @@ const eventRegistryAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tierId",
+				"type": "uint256"
+			}
+		],
+		"name": "getTier",
+		"outputs": [
+			{
+				"components": [
+					{
+						"internalType": "string",
+						"name": "name",
+						"type": "string"
+					},
+					{
+						"internalType": "uint256",
+						"name": "priceWei",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint32",
+						"name": "supply",
+						"type": "uint32"
+					},
+					{
+						"internalType": "uint16",
+						"name": "maxPerWallet",
+						"type": "uint16"
+					},
+					{
+						"internalType": "uint64",
+						"name": "saleStart",
+						"type": "uint64"
+					},
+					{
+						"internalType": "uint64",
+						"name": "saleEnd",
+						"type": "uint64"
+					}
+				],
+				"internalType": "struct EventRegistry.Tier",
+				"name": "",
+				"type": "tuple"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address[]",
+				"name": "validators",
+				"type": "address[]"
+			},
+			{
+				"internalType": "uint64",
+				"name": "validFrom",
+				"type": "uint64"
+			},
+			{
+				"internalType": "uint64",
+				"name": "validUntil",
+				"type": "uint64"
+			},
+			{
+				"internalType": "uint32",
+				"name": "maxCheckIns",
+				"type": "uint32"
+			}
+		],
+		"name": "grantValidators",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -435,6 +821,43 @@ const eventRegistryAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "account",
+				"type": "address"
+			}
+		],
+		"name": "isValidatorNow",
+		"outputs": [
+			{
+				"internalType": "bool",
+				"name": "",
+				"type": "bool"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "market",
+		"outputs": [
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [],
 		"name": "nextEventId",
@@ -472,18 +895,29 @@ const eventRegistryAbi = [
 		"inputs": [
 			{
 				"internalType": "uint256",
-				"name": "eventId",
+				"name": "",
 				"type": "uint256"
+			}
+		],
+		"name": "saleSchedules",
+		"outputs": [
+			{
+				"internalType": "uint64",
+				"name": "saleStart",
+				"type": "uint64"
 			},
 			{
-				"internalType": "bool",
-				"name": "active",
-				"type": "bool"
+				"internalType": "uint64",
+				"name": "publicSaleStart",
+				"type": "uint64"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "allowlistRoot",
+				"type": "bytes32"
 			}
 		],
-		"name": "setEventActive",
-		"outputs": [],
-		"stateMutability": "nonpayable",
+		"stateMutability": "view",
 		"type": "function"
 	},
 	{
@@ -493,18 +927,13 @@ const eventRegistryAbi = [
 				"name": "eventId",
 				"type": "uint256"
 			},
-			{
-				"internalType": "address",
-				"name": "validator",
-				"type": "address"
-			},
 			{
 				"internalType": "bool",
-				"name": "isActive",
+				"name": "active",
 				"type": "bool"
 			}
 		],
-		"name": "setValidator",
+		"name": "setEventActive",
 		"outputs": [],
 		"stateMutability": "nonpayable",
 		"type": "function"
@@ -513,79 +942,305 @@ const eventRegistryAbi = [
 		"inputs": [
 			{
 				"internalType": "address",
-				"name": "newOwner",
+				"name": "_market",
 				"type": "address"
 			}
 		],
-		"name": "transferOwnership",
+		"name": "setMarket",
 		"outputs": [],
 		"stateMutability": "nonpayable",
 		"type": "function"
-	}
-]
-
-const ticketNftAbi = [
+	},
 	{
 		"inputs": [
 			{
-				"internalType": "address",
-				"name": "initialOwner",
-				"type": "address"
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
 			},
 			{
-				"internalType": "address",
-				"name": "_eventRegistry",
-				"type": "address"
+				"internalType": "uint64",
+				"name": "saleStart",
+				"type": "uint64"
+			},
+			{
+				"internalType": "uint64",
+				"name": "publicSaleStart",
+				"type": "uint64"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "allowlistRoot",
+				"type": "bytes32"
+			},
+			{
+				"internalType": "string",
+				"name": "allowlistCid",
+				"type": "string"
 			}
 		],
+		"name": "setSaleSchedule",
+		"outputs": [],
 		"stateMutability": "nonpayable",
-		"type": "constructor"
+		"type": "function"
 	},
 	{
 		"inputs": [
-			{
-				"internalType": "address",
-				"name": "sender",
-				"type": "address"
-			},
 			{
 				"internalType": "uint256",
-				"name": "tokenId",
+				"name": "eventId",
 				"type": "uint256"
 			},
 			{
 				"internalType": "address",
-				"name": "owner",
+				"name": "validator",
 				"type": "address"
+			},
+			{
+				"internalType": "bool",
+				"name": "isActive",
+				"type": "bool"
 			}
 		],
-		"name": "ERC721IncorrectOwner",
-		"type": "error"
+		"name": "setValidator",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
 	},
 	{
 		"inputs": [
-			{
-				"internalType": "address",
-				"name": "operator",
-				"type": "address"
-			},
 			{
 				"internalType": "uint256",
-				"name": "tokenId",
+				"name": "eventId",
 				"type": "uint256"
+			},
+			{
+				"internalType": "address[]",
+				"name": "validators",
+				"type": "address[]"
+			},
+			{
+				"internalType": "bool",
+				"name": "isActive",
+				"type": "bool"
 			}
 		],
-		"name": "ERC721InsufficientApproval",
-		"type": "error"
+		"name": "setValidators",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
 	},
 	{
 		"inputs": [
 			{
-				"internalType": "address",
-				"name": "approver",
-				"type": "address"
-			}
-		],
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			}
+		],
+		"name": "tierCount",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"name": "tieredSupply",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "newOwner",
+				"type": "address"
+			}
+		],
+		"name": "transferOwnership",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "name",
+				"type": "string"
+			},
+			{
+				"internalType": "uint256",
+				"name": "date",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "location",
+				"type": "string"
+			},
+			{
+				"internalType": "uint256",
+				"name": "totalTickets",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "metadataCid",
+				"type": "string"
+			}
+		],
+		"name": "updateEvent",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "validatorGrantNonce",
+		"outputs": [
+			{
+				"internalType": "uint64",
+				"name": "",
+				"type": "uint64"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "validatorGrants",
+		"outputs": [
+			{
+				"internalType": "uint64",
+				"name": "validFrom",
+				"type": "uint64"
+			},
+			{
+				"internalType": "uint64",
+				"name": "validUntil",
+				"type": "uint64"
+			},
+			{
+				"internalType": "uint32",
+				"name": "maxCheckIns",
+				"type": "uint32"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	}
+]
+
+const ticketNftAbi = [
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "initialOwner",
+				"type": "address"
+			},
+			{
+				"internalType": "address",
+				"name": "_eventRegistry",
+				"type": "address"
+			}
+		],
+		"stateMutability": "nonpayable",
+		"type": "constructor"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "sender",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "owner",
+				"type": "address"
+			}
+		],
+		"name": "ERC721IncorrectOwner",
+		"type": "error"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "operator",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			}
+		],
+		"name": "ERC721InsufficientApproval",
+		"type": "error"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "approver",
+				"type": "address"
+			}
+		],
 		"name": "ERC721InvalidApprover",
 		"type": "error"
 	},
@@ -768,6 +1423,12 @@ const ticketNftAbi = [
 				"internalType": "address",
 				"name": "to",
 				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "tierId",
+				"type": "uint256"
 			}
 		],
 		"name": "TicketMinted",
@@ -854,6 +1515,19 @@ const ticketNftAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			}
+		],
+		"name": "cancelTicket",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [],
 		"name": "eventRegistry",
@@ -867,6 +1541,25 @@ const ticketNftAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			}
+		],
+		"name": "faceValueWei",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -947,6 +1640,11 @@ const ticketNftAbi = [
 				"internalType": "uint256",
 				"name": "eventId",
 				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tierId",
+				"type": "uint256"
 			}
 		],
 		"name": "mintTicket",
@@ -1015,23 +1713,52 @@ const ticketNftAbi = [
 	{
 		"inputs": [
 			{
-				"internalType": "address",
-				"name": "from",
-				"type": "address"
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
 			},
+			{
+				"internalType": "uint256",
+				"name": "salePrice",
+				"type": "uint256"
+			}
+		],
+		"name": "royaltyInfo",
+		"outputs": [
 			{
 				"internalType": "address",
-				"name": "to",
+				"name": "receiver",
 				"type": "address"
 			},
 			{
 				"internalType": "uint256",
-				"name": "tokenId",
+				"name": "royaltyAmount",
 				"type": "uint256"
 			}
 		],
-		"name": "safeTransferFrom",
-		"outputs": [],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "from",
+				"type": "address"
+			},
+			{
+				"internalType": "address",
+				"name": "to",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			}
+		],
+		"name": "safeTransferFrom",
+		"outputs": [],
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
@@ -1164,6 +1891,25 @@ const ticketNftAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"name": "ticketTier",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -1265,6 +2011,125 @@ const ticketMarketAbi = [
 		"name": "OwnableUnauthorizedAccount",
 		"type": "error"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "processed",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "total",
+				"type": "uint256"
+			}
+		],
+		"name": "CancellationProgress",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "validator",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint8",
+				"name": "reason",
+				"type": "uint8"
+			}
+		],
+		"name": "CheckInSkipped",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "cancelledBy",
+				"type": "address"
+			}
+		],
+		"name": "EventCancelled",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "listingId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "seller",
+				"type": "address"
+			}
+		],
+		"name": "ListingCancelled",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "listingId",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "oldPriceWei",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "newPriceWei",
+				"type": "uint256"
+			}
+		],
+		"name": "ListingPriceUpdated",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -1284,6 +2149,62 @@ const ticketMarketAbi = [
 		"name": "OwnershipTransferred",
 		"type": "event"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": false,
+				"internalType": "uint16",
+				"name": "feeBps",
+				"type": "uint16"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "feeRecipient",
+				"type": "address"
+			}
+		],
+		"name": "PlatformFeeUpdated",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "organizer",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "organizerWei",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "feeWei",
+				"type": "uint256"
+			}
+		],
+		"name": "PrimarySaleSplit",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -1315,6 +2236,99 @@ const ticketMarketAbi = [
 		"name": "PrimaryTicketBought",
 		"type": "event"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "payee",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "amountWei",
+				"type": "uint256"
+			}
+		],
+		"name": "ProceedsReleased",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "account",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "amountWei",
+				"type": "uint256"
+			}
+		],
+		"name": "RefundClaimed",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "listingId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "seller",
+				"type": "address"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "royaltyReceiver",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "sellerWei",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "royaltyWei",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "feeWei",
+				"type": "uint256"
+			}
+		],
+		"name": "ResaleSaleSplit",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -1370,49 +2384,243 @@ const ticketMarketAbi = [
 			{
 				"indexed": false,
 				"internalType": "uint256",
-				"name": "priceWei",
+				"name": "priceWei",
+				"type": "uint256"
+			}
+		],
+		"name": "TicketListed",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "tokenId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "validator",
+				"type": "address"
+			}
+		],
+		"name": "TicketUsed",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "payee",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "amountWei",
+				"type": "uint256"
+			}
+		],
+		"name": "Withdrawal",
+		"type": "event"
+	},
+	{
+		"inputs": [],
+		"name": "MAX_PLATFORM_FEE_BPS",
+		"outputs": [
+			{
+				"internalType": "uint16",
+				"name": "",
+				"type": "uint16"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "MAX_TICKETS_PER_TX",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "listingId",
+				"type": "uint256"
+			}
+		],
+		"name": "buyFromResale",
+		"outputs": [],
+		"stateMutability": "payable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "quantity",
+				"type": "uint256"
+			},
+			{
+				"internalType": "bytes32[]",
+				"name": "proof",
+				"type": "bytes32[]"
+			}
+		],
+		"name": "buyPrimary",
+		"outputs": [],
+		"stateMutability": "payable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "tierId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "quantity",
+				"type": "uint256"
+			},
+			{
+				"internalType": "bytes32[]",
+				"name": "proof",
+				"type": "bytes32[]"
+			}
+		],
+		"name": "buyPrimaryTier",
+		"outputs": [],
+		"stateMutability": "payable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "buyerState",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "bought",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint64",
+				"name": "lastBuyTs",
+				"type": "uint64"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"name": "cancelCursor",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			}
+		],
+		"name": "cancelEvent",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "listingId",
 				"type": "uint256"
 			}
 		],
-		"name": "TicketListed",
-		"type": "event"
+		"name": "cancelListing",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
 	},
 	{
-		"anonymous": false,
 		"inputs": [
 			{
-				"indexed": true,
-				"internalType": "uint256",
-				"name": "tokenId",
-				"type": "uint256"
-			},
-			{
-				"indexed": true,
 				"internalType": "uint256",
 				"name": "eventId",
 				"type": "uint256"
 			},
 			{
-				"indexed": true,
 				"internalType": "address",
 				"name": "validator",
 				"type": "address"
 			}
 		],
-		"name": "TicketUsed",
-		"type": "event"
-	},
-	{
-		"inputs": [
+		"name": "checkInsBy",
+		"outputs": [
 			{
 				"internalType": "uint256",
-				"name": "listingId",
+				"name": "",
 				"type": "uint256"
 			}
 		],
-		"name": "buyFromResale",
-		"outputs": [],
-		"stateMutability": "payable",
+		"stateMutability": "view",
 		"type": "function"
 	},
 	{
@@ -1423,9 +2631,9 @@ const ticketMarketAbi = [
 				"type": "uint256"
 			}
 		],
-		"name": "buyPrimary",
+		"name": "claimRefund",
 		"outputs": [],
-		"stateMutability": "payable",
+		"stateMutability": "nonpayable",
 		"type": "function"
 	},
 	{
@@ -1441,17 +2649,31 @@ const ticketMarketAbi = [
 				"type": "address"
 			}
 		],
-		"name": "buyerState",
+		"name": "escrowedProceeds",
 		"outputs": [
 			{
 				"internalType": "uint256",
-				"name": "bought",
+				"name": "",
 				"type": "uint256"
-			},
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
 			{
-				"internalType": "uint64",
-				"name": "lastBuyTs",
-				"type": "uint64"
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"name": "eventCancelled",
+		"outputs": [
+			{
+				"internalType": "bool",
+				"name": "",
+				"type": "bool"
 			}
 		],
 		"stateMutability": "view",
@@ -1470,6 +2692,19 @@ const ticketMarketAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [],
+		"name": "feeRecipient",
+		"outputs": [
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -1535,6 +2770,54 @@ const ticketMarketAbi = [
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256[]",
+				"name": "tokenIds",
+				"type": "uint256[]"
+			},
+			{
+				"internalType": "address[]",
+				"name": "expectedOwners",
+				"type": "address[]"
+			}
+		],
+		"name": "markTicketsUsed",
+		"outputs": [
+			{
+				"internalType": "bool[]",
+				"name": "used",
+				"type": "bool[]"
+			}
+		],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"name": "mintedPerTier",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -1580,6 +2863,99 @@ const ticketMarketAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "paidForEvent",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "pendingWithdrawals",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "platformFeeBps",
+		"outputs": [
+			{
+				"internalType": "uint16",
+				"name": "",
+				"type": "uint16"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "maxTickets",
+				"type": "uint256"
+			}
+		],
+		"name": "processCancellation",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "remaining",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "eventId",
+				"type": "uint256"
+			}
+		],
+		"name": "releaseProceeds",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [],
 		"name": "renounceOwnership",
@@ -1587,6 +2963,24 @@ const ticketMarketAbi = [
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint16",
+				"name": "feeBps",
+				"type": "uint16"
+			},
+			{
+				"internalType": "address",
+				"name": "recipient",
+				"type": "address"
+			}
+		],
+		"name": "setPlatformFee",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [],
 		"name": "ticketNFT",
@@ -1600,6 +2994,35 @@ const ticketMarketAbi = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			},
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "tierBought",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -1612,9 +3035,38 @@ const ticketMarketAbi = [
 		"outputs": [],
 		"stateMutability": "nonpayable",
 		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "listingId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "newPriceWei",
+				"type": "uint256"
+			}
+		],
+		"name": "updateListingPrice",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "withdraw",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
 	}
 ]
 
+// Versión de las ABI de este fichero. Se compara con `abiVersion` de cada
+// despliegue en addresses.js: si no coinciden hay que redesplegar o actualizar.
+export const ABI_VERSION = 16;
+
 // Simulamos el mismo formato que antes: objeto con propiedad .abi
 const abis = {
   eventRegistry: { abi: eventRegistryAbi },
@@ -1,8 +1,62 @@
 // utils/addresses.js
-const addresses = {
-  eventRegistry: "0xC3B32Bc5494eeb394E771581286a36D4BE884B14",
-  ticketNFT: "0x022AD19D3f4d67D3F4A961f3eB4023c6588cf56b",
-  ticketMarket: "0x75566e147d66aE21906c53c6C62e7eCA223EDA6c",
+// Registro de despliegues por red (clave = chainId). Cada entrada guarda las
+// direcciones de los contratos, el bloque de despliegue (desde donde empieza
+// a indexar la DApp) y la versión de ABI con la que se desplegaron.
+// Los datos de red (rpcUrls, nativeCurrency...) se usan para ofrecer
+// wallet_addEthereumChain si MetaMask aún no conoce la red.
+
+const deployments = {
+  // Nodo local (Hardhat / Anvil). Direcciones de un nodo recién arrancado
+  // desplegando con la cuenta #0 en este orden: EventRegistry, TicketNFT,
+  // TicketMarket y después los dos setMarket.
+  31337: {
+    name: "Local (Hardhat/Anvil)",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    blockExplorerUrls: [],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    deploymentBlock: 0,
+    abiVersion: 16,
+    addresses: {
+      eventRegistry: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      ticketNFT: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+      ticketMarket: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+    },
+  },
+
+  // Sepolia (red de pruebas pública)
+  11155111: {
+    name: "Sepolia",
+    rpcUrls: ["https://rpc.sepolia.org"],
+    blockExplorerUrls: ["https://sepolia.etherscan.io"],
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    deploymentBlock: 0,
+    abiVersion: null, // se fija al desplegar, con las direcciones
+    addresses: null, // pendiente de desplegar
+  },
+
+  // Staging (cadena privada del equipo; ajustar chainId y RPC al desplegar)
+  424242: {
+    name: "Staging",
+    rpcUrls: ["http://127.0.0.1:9545"],
+    blockExplorerUrls: [],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    deploymentBlock: 0,
+    abiVersion: null, // se fija al desplegar, con las direcciones
+    addresses: null, // pendiente de desplegar
+  },
 };
 
-export default addresses;
+// Entrada de la red si tiene los contratos desplegados; si no, null
+export function getDeployment(chainId) {
+  const dep = deployments[Number(chainId)];
+  return dep && dep.addresses ? { chainId: Number(chainId), ...dep } : null;
+}
+
+// Redes con contratos desplegados (las que ofrecemos en el selector)
+export function listDeployments() {
+  return Object.keys(deployments)
+    .map((id) => getDeployment(id))
+    .filter(Boolean);
+}
+
+export default deployments;
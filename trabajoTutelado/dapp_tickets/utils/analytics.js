@@ -0,0 +1,99 @@
+// utils/analytics.js
+// Métricas del panel del organizador calculadas sobre el índice de logs:
+// ingresos en el tiempo, curva de ventas frente al aforo, volumen y sobreprecio
+// medio de la reventa, y validaciones (check-in) por validador.
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+function toEth(wei) {
+  return Number(ethers.utils.formatEther(wei));
+}
+
+// Serie acumulada [{ t, value }] a partir de registros con timestamp
+function cumulative(records, valueOf) {
+  let acc = 0;
+  return records
+    .filter((r) => r.timestamp !== null)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((r) => {
+      acc += valueOf(r);
+      return { t: r.timestamp, value: acc };
+    });
+}
+
+// Estadísticas de un evento del índice
+export function eventStats(indexer, eventId) {
+  const evt = indexer.getEvent(eventId);
+  if (!evt) return null;
+
+  const sales = indexer.getSales(eventId);
+  const primary = sales.filter((s) => s.kind === "primary");
+  const resale = sales.filter((s) => s.kind === "resale");
+  const checkIns = indexer.getCheckIns(eventId);
+
+  const primaryRevenueWei = primary.reduce(
+    (sum, s) => sum.add(s.priceWei),
+    ethers.constants.Zero
+  );
+  // Parte de la venta primaria que se queda la plataforma (PrimarySaleSplit)
+  const platformFeeWei = primary.reduce(
+    (sum, s) => sum.add(s.feeWei ?? 0),
+    ethers.constants.Zero
+  );
+  const royaltyWei = resale.reduce(
+    (sum, s) => sum.add(s.royaltyWei ?? 0),
+    ethers.constants.Zero
+  );
+  const resaleVolumeWei = resale.reduce(
+    (sum, s) => sum.add(s.priceWei),
+    ethers.constants.Zero
+  );
+
+  // Sobreprecio de cada reventa sobre el precio nominal del ticket (zona o
+  // base), en % (150% => +50%)
+  const markups = resale.map((s) => {
+    const faceValue = toEth(indexer.getFaceValueWei(s.tokenId) ?? evt.basePriceWei);
+    return (toEth(s.priceWei) / faceValue) * 100 - 100;
+  });
+  const avgMarkup = markups.length
+    ? markups.reduce((a, b) => a + b, 0) / markups.length
+    : null;
+
+  const byValidator = {};
+  checkIns.forEach((c) => {
+    byValidator[c.validator] = (byValidator[c.validator] || 0) + 1;
+  });
+
+  return {
+    event: evt,
+    sold: primary.length,
+    totalTickets: evt.totalTickets,
+    sellThrough: evt.totalTickets ? primary.length / evt.totalTickets : 0,
+    primaryRevenueWei: primaryRevenueWei.toString(),
+    platformFeeWei: platformFeeWei.toString(),
+    revenueSeries: cumulative(primary, (s) => toEth(s.priceWei)),
+    soldSeries: cumulative(primary, () => 1),
+    resaleCount: resale.length,
+    resaleVolumeWei: resaleVolumeWei.toString(),
+    royaltyWei: royaltyWei.toString(),
+    avgMarkup,
+    maxMarkup: evt.maxResaleFactor - 100,
+    checkIns: checkIns.length,
+    checkInRate: primary.length ? checkIns.length / primary.length : 0,
+    validators: Object.entries(byValidator)
+      .map(([address, count]) => ({
+        address,
+        count,
+        share: count / checkIns.length,
+      }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+// Estadísticas de todos los eventos organizados por `account`
+export function organizerStats(indexer, account) {
+  return indexer
+    .getOrganizerEventIds(account)
+    .map((id) => eventStats(indexer, id))
+    .filter(Boolean);
+}
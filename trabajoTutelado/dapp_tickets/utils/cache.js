@@ -0,0 +1,92 @@
+// utils/cache.js
+// Caché persistente en IndexedDB: copias del indexador (una por red +
+// direcciones de contratos, para arrancar sin releer la cadena) y los datos
+// del modo sin conexión de la puerta (utils/doorQueue.js).
+
+const DB_NAME = "dapp-tickets";
+const DB_VERSION = 2;
+
+// Almacenes de objetos (se crean en onupgradeneeded si no existen)
+const STORES = ["indexerSnapshots", "doorSnapshots", "checkInQueue"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("Este navegador no soporta IndexedDB."));
+        return;
+      }
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Si falla, permitimos reintentar en la siguiente llamada
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function request(storeName, mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+export function idbGet(storeName, key) {
+  return request(storeName, "readonly", (store) => store.get(key));
+}
+
+export function idbPut(storeName, key, value) {
+  return request(storeName, "readwrite", (store) => store.put(value, key));
+}
+
+export function idbGetAll(storeName) {
+  return request(storeName, "readonly", (store) => store.getAll());
+}
+
+export function idbDelete(storeName, key) {
+  return request(storeName, "readwrite", (store) => store.delete(key));
+}
+
+// ----------------- copias del indexador -----------------
+
+// Clave única por red y despliegue: si cambian las direcciones, caché nueva
+export function snapshotKey(chainId, addresses) {
+  return [
+    chainId,
+    addresses.eventRegistry,
+    addresses.ticketNFT,
+    addresses.ticketMarket,
+  ]
+    .join(":")
+    .toLowerCase();
+}
+
+export function loadSnapshot(key) {
+  return idbGet("indexerSnapshots", key);
+}
+
+export function saveSnapshot(key, snapshot) {
+  return idbPut("indexerSnapshots", key, snapshot);
+}
+
+export function deleteSnapshot(key) {
+  return idbDelete("indexerSnapshots", key);
+}
@@ -0,0 +1,98 @@
+// utils/charts.js
+// Gráficas SVG mínimas (sin librerías) para el panel del organizador.
+// Devuelven el SVG como string para insertarlo con innerHTML.
+
+const COLORS = {
+  line: "#22c55e",
+  limit: "#fbbf24",
+  axis: "#4b5563",
+  text: "#9ca3af",
+  bar: "#3b82f6",
+};
+
+function escapeText(text) {
+  return String(text).replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function formatDate(t) {
+  return new Date(t * 1000).toLocaleDateString(undefined, {
+    day: "2-digit",
+    month: "2-digit",
+  });
+}
+
+// Línea escalonada de una serie acumulada [{ t, value }].
+// `limit` dibuja una línea horizontal de referencia (p.ej. el aforo).
+export function stepChart(series, { width = 320, height = 120, limit = null, unit = "" } = {}) {
+  if (!series.length) {
+    return `<p class="chart-empty">Sin datos todavía.</p>`;
+  }
+
+  const pad = { top: 10, right: 8, bottom: 18, left: 36 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+
+  const t0 = series[0].t;
+  const t1 = Math.max(series[series.length - 1].t, t0 + 1);
+  const yMax = Math.max(limit ?? 0, ...series.map((p) => p.value)) || 1;
+
+  const x = (t) => pad.left + ((t - t0) / (t1 - t0)) * w;
+  const y = (v) => pad.top + h - (v / yMax) * h;
+
+  let path = `M ${x(t0)} ${y(0)}`;
+  series.forEach((p) => {
+    path += ` H ${x(p.t).toFixed(1)} V ${y(p.value).toFixed(1)}`;
+  });
+  path += ` H ${pad.left + w}`;
+
+  const limitLine =
+    limit !== null
+      ? `<line x1="${pad.left}" x2="${pad.left + w}" y1="${y(limit)}" y2="${y(limit)}"
+           stroke="${COLORS.limit}" stroke-dasharray="4 3" />`
+      : "";
+
+  const last = series[series.length - 1].value;
+  const yLabel = Number.isInteger(yMax) ? yMax : yMax.toFixed(3);
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" width="100%" role="img">
+      <line x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${pad.top + h}" stroke="${COLORS.axis}" />
+      <line x1="${pad.left}" x2="${pad.left + w}" y1="${pad.top + h}" y2="${pad.top + h}" stroke="${COLORS.axis}" />
+      ${limitLine}
+      <path d="${path}" fill="none" stroke="${COLORS.line}" stroke-width="2" />
+      <text x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end" font-size="9" fill="${COLORS.text}">${escapeText(yLabel)}</text>
+      <text x="${pad.left - 4}" y="${pad.top + h}" text-anchor="end" font-size="9" fill="${COLORS.text}">0</text>
+      <text x="${pad.left}" y="${height - 4}" font-size="9" fill="${COLORS.text}">${formatDate(t0)}</text>
+      <text x="${pad.left + w}" y="${height - 4}" text-anchor="end" font-size="9" fill="${COLORS.text}">${formatDate(t1)}</text>
+      <text x="${pad.left + w}" y="${pad.top + 8}" text-anchor="end" font-size="9" fill="${COLORS.line}">${escapeText(
+        `${Number.isInteger(last) ? last : last.toFixed(4)}${unit}`
+      )}</text>
+    </svg>`;
+}
+
+// Barras horizontales [{ label, value }] con valor máximo `max`
+export function barChart(items, { width = 320, max = null, format = (v) => v } = {}) {
+  if (!items.length) {
+    return `<p class="chart-empty">Sin datos todavía.</p>`;
+  }
+
+  const rowH = 18;
+  const labelW = 110;
+  const barW = width - labelW - 40;
+  const top = max ?? Math.max(...items.map((i) => i.value), 1);
+
+  const rows = items
+    .map((item, i) => {
+      const y = i * rowH;
+      const len = Math.max(1, (item.value / top) * barW);
+      return `
+        <text x="0" y="${y + 12}" font-size="9" fill="${COLORS.text}">${escapeText(item.label)}</text>
+        <rect x="${labelW}" y="${y + 3}" width="${len.toFixed(1)}" height="11" rx="2" fill="${COLORS.bar}" />
+        <text x="${labelW + len + 4}" y="${y + 12}" font-size="9" fill="${COLORS.text}">${escapeText(
+          format(item.value)
+        )}</text>`;
+    })
+    .join("");
+
+  return `<svg viewBox="0 0 ${width} ${items.length * rowH}" width="100%" role="img">${rows}</svg>`;
+}
@@ -0,0 +1,253 @@
+// utils/doorQueue.js
+// Modo sin conexión de la puerta. Antes del evento se descarga una copia de
+// quién tiene cada ticket; en la puerta los pases se comprueban contra esa
+// copia y cada entrada queda en una cola persistente (IndexedDB) que impide
+// que el mismo ticket entre dos veces. Al volver la red, la cola se envía en
+// lotes con markTicketsUsed y se informa de los conflictos (p.ej. tickets
+// revendidos mientras tanto).
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+import { idbGet, idbPut, idbGetAll, idbDelete } from "./cache.js";
+import { passMessage } from "./ticketPass.js";
+import { preflight } from "./preflight.js";
+
+// Tickets por transacción al vaciar la cola
+export const CHECKIN_BATCH_SIZE = 50;
+
+// Motivos de CheckInSkipped en TicketMarket.markTicketsUsed
+const SKIP_REASONS = {
+  1: "El ticket ya estaba usado o cancelado, o el evento se ha cancelado.",
+  2: "La cuenta no puede validar tickets de este evento.",
+  3: "El ticket cambió de dueño (revendido) después de entrar.",
+  4: "El permiso de validador no estaba vigente al enviar la cola.",
+  5: "El validador ya había agotado su tope de validaciones.",
+};
+
+export function doorSnapshotKey(chainId, contract, eventId) {
+  return `${chainId}:${contract}:${eventId}`.toLowerCase();
+}
+
+export function queueKey(chainId, contract, tokenId) {
+  return `${chainId}:${contract}:${tokenId}`.toLowerCase();
+}
+
+// ----------------- copia del evento -----------------
+
+// Sincroniza el indexador y guarda los tickets del evento para usarlos sin red
+export async function downloadDoorSnapshot({ indexer, chainId, ticketNFT, eventId, validator }) {
+  await indexer.sync();
+  const evt = indexer.getEvent(eventId);
+  if (!evt) throw new Error(`El evento ${eventId} no existe.`);
+
+  const tickets = {};
+  Object.values(indexer.getState().tickets)
+    .filter((t) => t.eventId === String(eventId))
+    .forEach((t) => {
+      tickets[t.tokenId] = {
+        owner: t.owner,
+        state: t.state,
+        listed: t.listingId !== null,
+      };
+    });
+
+  const snapshot = {
+    chainId: Number(chainId),
+    contract: ticketNFT.address.toLowerCase(),
+    eventId: String(eventId),
+    eventName: evt.name,
+    validator: validator.toLowerCase(),
+    block: indexer.lastBlock,
+    takenAt: Date.now(),
+    tickets,
+  };
+  await idbPut("doorSnapshots", doorSnapshotKey(chainId, snapshot.contract, eventId), snapshot);
+  return snapshot;
+}
+
+export function loadDoorSnapshot(chainId, contract, eventId) {
+  return idbGet("doorSnapshots", doorSnapshotKey(chainId, contract, eventId));
+}
+
+// ----------------- comprobación sin red -----------------
+
+// Misma respuesta que verifyPass (utils/ticketPass.js) pero contra la copia
+// local y la cola: { ok, code, message, holder, owner, state, eventId }.
+// `eventId` es el evento de la puerta: la copia y el pase tienen que ser suyos.
+export async function verifyPassOffline(pass, snapshot, { eventId, now = Math.floor(Date.now() / 1000) }) {
+  const fail = (code, message, extra = {}) => ({ ok: false, code, message, ...extra });
+
+  if (String(snapshot.eventId) !== String(eventId)) {
+    return fail("WRONG_SNAPSHOT", `La copia descargada es del evento ${snapshot.eventId}, no del ${eventId}.`);
+  }
+  if (pass.chainId !== snapshot.chainId) {
+    return fail("WRONG_CHAIN", `El pase es de otra red (chainId ${pass.chainId}).`);
+  }
+  if (pass.contract !== snapshot.contract) {
+    return fail("WRONG_CONTRACT", "El pase es de otro contrato de tickets.");
+  }
+  if (pass.eventId !== String(eventId)) {
+    return fail("WRONG_EVENT", `El pase es del evento ${pass.eventId}, no del ${eventId}.`);
+  }
+  if (pass.expiresAt < now) {
+    return fail("EXPIRED", "El pase ha caducado: pide al asistente que genere uno nuevo.");
+  }
+
+  let holder;
+  try {
+    holder = ethers.utils.verifyMessage(passMessage(pass), pass.signature);
+  } catch {
+    return fail("BAD_SIGNATURE", "La firma del pase no es válida.");
+  }
+
+  const ticket = snapshot.tickets[pass.tokenId];
+  if (!ticket) {
+    return fail("OTHER_EVENT", `El ticket no es del evento ${snapshot.eventId} (o es posterior a la copia).`, {
+      holder,
+    });
+  }
+  const info = { holder, owner: ticket.owner, state: ticket.state, eventId: snapshot.eventId };
+
+  const queued = await getQueuedCheckIn(pass);
+  if (queued) {
+    return fail(
+      "ALREADY_CHECKED_IN",
+      `El ticket ya entró a las ${new Date(queued.checkedAt).toLocaleTimeString()}.`,
+      info
+    );
+  }
+  if (ticket.listed) {
+    return fail("LISTED", "El ticket está puesto en reventa: no puede entrar.", info);
+  }
+  if (ticket.owner !== holder.toLowerCase()) {
+    return fail(
+      "NOT_OWNER",
+      "Quien firmó el pase no es el dueño del ticket según la copia descargada.",
+      info
+    );
+  }
+  if (ticket.state !== 1) {
+    return fail(
+      "NOT_VALID",
+      ticket.state === 2 ? "El ticket ya se ha usado." : "El ticket no está en estado válido.",
+      info
+    );
+  }
+  return { ok: true, code: "OK", message: "Pase válido (sin conexión).", ...info };
+}
+
+// ----------------- cola de entradas -----------------
+
+// Entrada ya registrada en la cola para el ticket del pase (o undefined)
+export function getQueuedCheckIn(pass) {
+  return idbGet("checkInQueue", queueKey(pass.chainId, pass.contract, pass.tokenId));
+}
+
+// Guarda la entrada con el pase firmado como justificante
+export async function enqueueCheckIn(pass, holder, validator) {
+  const entry = {
+    key: queueKey(pass.chainId, pass.contract, pass.tokenId),
+    chainId: pass.chainId,
+    contract: pass.contract,
+    tokenId: pass.tokenId,
+    holder: holder.toLowerCase(),
+    validator: validator.toLowerCase(),
+    pass,
+    checkedAt: Date.now(),
+    status: "queued", // queued | done | conflict | error
+    message: null,
+    txHash: null,
+  };
+  await idbPut("checkInQueue", entry.key, entry);
+  return entry;
+}
+
+export async function listQueue(chainId, contract) {
+  const all = await idbGetAll("checkInQueue");
+  return all
+    .filter((e) => e.chainId === Number(chainId) && e.contract === contract.toLowerCase())
+    .sort((a, b) => a.checkedAt - b.checkedAt);
+}
+
+// Borra de la cola las entradas con alguno de los estados indicados
+export async function clearQueue(chainId, contract, statuses = ["done"]) {
+  const entries = await listQueue(chainId, contract);
+  for (const e of entries) {
+    if (statuses.includes(e.status)) await idbDelete("checkInQueue", e.key);
+  }
+}
+
+function saveEntry(entry, changes) {
+  Object.assign(entry, changes);
+  return idbPut("checkInQueue", entry.key, entry);
+}
+
+// Envía lo pendiente. Antes comprueba cada ticket on-chain para avisar de los
+// conflictos sin gastar gas; markTicketsUsed vuelve a comprobar el dueño.
+// Devuelve { done, conflicts, errors } con las entradas de cada tipo.
+export async function flushQueue({ ticketMarket, ticketNFT, chainId, batchSize = CHECKIN_BATCH_SIZE, onProgress = () => {} }) {
+  const entries = (await listQueue(chainId, ticketNFT.address)).filter(
+    (e) => e.status === "queued" || e.status === "error"
+  );
+  const summary = { done: [], conflicts: [], errors: [] };
+  const ready = [];
+
+  for (const entry of entries) {
+    const [owner, state] = await Promise.all([
+      ticketNFT.ownerOf(entry.tokenId),
+      ticketNFT.ticketState(entry.tokenId),
+    ]);
+    if (Number(state) === 2) {
+      await saveEntry(entry, { status: "conflict", message: SKIP_REASONS[1] });
+      summary.conflicts.push(entry);
+    } else if (owner.toLowerCase() !== entry.holder) {
+      const listed = owner.toLowerCase() === ticketMarket.address.toLowerCase();
+      await saveEntry(entry, {
+        status: "conflict",
+        message: listed ? "El ticket se puso en reventa después de entrar." : SKIP_REASONS[3],
+      });
+      summary.conflicts.push(entry);
+    } else {
+      ready.push(entry);
+    }
+  }
+
+  for (let i = 0; i < ready.length; i += batchSize) {
+    const chunk = ready.slice(i, i + batchSize);
+    onProgress({ sent: i, total: ready.length });
+
+    try {
+      const args = [chunk.map((e) => e.tokenId), chunk.map((e) => ethers.utils.getAddress(e.holder))];
+      const sim = await preflight(ticketMarket, "markTicketsUsed", args);
+      const tx = await ticketMarket.markTicketsUsed(...args, sim.overrides);
+      const receipt = await tx.wait();
+
+      const skipped = {};
+      (receipt.events || [])
+        .filter((ev) => ev.event === "CheckInSkipped")
+        .forEach((ev) => {
+          skipped[ev.args.tokenId.toString()] = Number(ev.args.reason);
+        });
+
+      for (const entry of chunk) {
+        const reason = skipped[entry.tokenId];
+        if (reason) {
+          await saveEntry(entry, { status: "conflict", message: SKIP_REASONS[reason], txHash: tx.hash });
+          summary.conflicts.push(entry);
+        } else {
+          await saveEntry(entry, { status: "done", message: null, txHash: tx.hash });
+          summary.done.push(entry);
+        }
+      }
+    } catch (err) {
+      for (const entry of chunk) {
+        await saveEntry(entry, { status: "error", message: err.reason || err.message || String(err) });
+        summary.errors.push(entry);
+      }
+      err.flushSummary = summary;
+      throw err;
+    }
+  }
+
+  onProgress({ sent: ready.length, total: ready.length });
+  return summary;
+}
@@ -0,0 +1,395 @@
+// utils/errors.js
+// Decodificador central de errores: extrae el motivo real de un error de
+// ethers/MetaMask (require con texto, custom errors de las ABI, panics,
+// firma rechazada, fondos insuficientes...) y lo traduce a un código
+// estructurado con su texto para la UI y el campo de formulario afectado.
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+// Selectores estándar de Solidity
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// Texto de cada `require` de los contratos => código + campo lógico.
+// El campo es genérico (event, token, listing, price...) y cada handler lo
+// traduce al id de su formulario.
+const REVERT_REASONS = {
+  // EventRegistry.sol
+  "Nombre obligatorio": { code: "EVENT_NAME_REQUIRED", field: "name" },
+  "Precio base > 0": { code: "BASE_PRICE_ZERO", field: "basePrice" },
+  "Total tickets > 0": { code: "TOTAL_TICKETS_ZERO", field: "totalTickets" },
+  "Factor de reventa minimo 100%": { code: "RESALE_FACTOR_TOO_LOW", field: "maxFactor" },
+  "Limite por cartera > total": { code: "WALLET_LIMIT_ABOVE_TOTAL", field: "perWallet" },
+  "Evento inexistente": { code: "EVENT_NOT_FOUND", field: "event" },
+  "Solo organizer u owner": { code: "NOT_ORGANIZER", field: "event" },
+  "Validador no valido": { code: "INVALID_VALIDATOR", field: "validator" },
+  "Lista de validadores vacia": { code: "EMPTY_VALIDATOR_LIST", field: "validators" },
+  "Ventana de validacion no valida": { code: "GRANT_WINDOW_INVALID", field: "grant" },
+  "Permiso ya caducado": { code: "GRANT_ALREADY_EXPIRED", field: "grant" },
+  "Regalia demasiado alta": { code: "ROYALTY_TOO_HIGH", field: "royalty" },
+  "Solo el organizador": { code: "ONLY_EVENT_ORGANIZER", field: "event" },
+  "Market no asignado": { code: "MARKET_NOT_SET", field: null },
+  "Fecha en el pasado": { code: "DATE_IN_PAST", field: "date" },
+  "No se puede adelantar con ventas": { code: "DATE_MOVED_EARLIER", field: "date" },
+  "Aforo menor que los emitidos": { code: "TOTAL_BELOW_MINTED", field: "totalTickets" },
+  "Aforo menor que las zonas": { code: "TOTAL_BELOW_TIERS", field: "totalTickets" },
+  "Sin zonas": { code: "NO_TIERS", field: "tiers" },
+  "Nombre de zona obligatorio": { code: "TIER_NAME_REQUIRED", field: "tiers" },
+  "Precio de zona > 0": { code: "TIER_PRICE_ZERO", field: "tiers" },
+  "Aforo de zona > 0": { code: "TIER_SUPPLY_ZERO", field: "tiers" },
+  "Ventana de venta invalida": { code: "TIER_WINDOW_INVALID", field: "tiers" },
+  "Zonas superan el aforo": { code: "TIERS_ABOVE_TOTAL", field: "tiers" },
+  "Zona inexistente": { code: "TIER_NOT_FOUND", field: "tier" },
+  "Venta despues del evento": { code: "SALE_AFTER_EVENT", field: "saleStart" },
+  "Fase publica invalida": { code: "PUBLIC_SALE_INVALID", field: "publicSaleStart" },
+
+  // TicketMarket.sol
+  "EventRegistry cero": { code: "ZERO_EVENT_REGISTRY", field: null },
+  "TicketNFT cero": { code: "ZERO_TICKET_NFT", field: null },
+  "Evento inactivo": { code: "EVENT_INACTIVE", field: "event" },
+  "Evento ya paso": { code: "EVENT_PAST", field: "event" },
+  "Precio incorrecto": { code: "WRONG_PRICE", field: "price" },
+  "No quedan tickets disponibles": { code: "SOLD_OUT", field: "event" },
+  "Limite de tickets por cartera alcanzado": { code: "WALLET_LIMIT_REACHED", field: "event" },
+  "Debes esperar antes de volver a comprar": { code: "WALLET_COOLDOWN", field: "event" },
+  "No eres el dueno del ticket": { code: "NOT_TICKET_OWNER", field: "token" },
+  "Ticket no valido": { code: "TICKET_NOT_VALID", field: "token" },
+  "Precio debe ser > 0": { code: "PRICE_ZERO", field: "price" },
+  "Sobrepasa el maximo de reventa": { code: "RESALE_PRICE_TOO_HIGH", field: "price" },
+  "Listing inactiva": { code: "LISTING_INACTIVE", field: "listing" },
+  "Listing inexistente": { code: "LISTING_NOT_FOUND", field: "listing" },
+  "No eres el vendedor": { code: "NOT_SELLER", field: "listing" },
+  "No autorizado para validar": { code: "NOT_VALIDATOR", field: "token" },
+  "Permiso de validador fuera de plazo": { code: "VALIDATOR_GRANT_INACTIVE", field: "token" },
+  "Tope de validaciones alcanzado": { code: "VALIDATOR_CHECKIN_LIMIT", field: "token" },
+  "Longitudes distintas": { code: "ARRAY_LENGTH_MISMATCH", field: null },
+  "Comision demasiado alta": { code: "PLATFORM_FEE_TOO_HIGH", field: null },
+  "Destinatario cero": { code: "ZERO_FEE_RECIPIENT", field: null },
+  "Nada que retirar": { code: "NOTHING_TO_WITHDRAW", field: null },
+  "Evento cancelado": { code: "EVENT_CANCELLED", field: "event" },
+  "Evento aun no celebrado": { code: "EVENT_NOT_HELD", field: "event" },
+  "Nada que liberar": { code: "NOTHING_TO_RELEASE", field: "event" },
+  "Evento no cancelado": { code: "EVENT_NOT_CANCELLED", field: "event" },
+  "Nada que reembolsar": { code: "NOTHING_TO_REFUND", field: "event" },
+  "Transferencia fallida": { code: "TRANSFER_FAILED", field: null },
+  "El evento vende por zonas": { code: "EVENT_HAS_TIERS", field: "tier" },
+  "Venta de la zona no iniciada": { code: "TIER_SALE_NOT_STARTED", field: "tier" },
+  "Venta de la zona cerrada": { code: "TIER_SALE_ENDED", field: "tier" },
+  "Zona agotada": { code: "TIER_SOLD_OUT", field: "tier" },
+  "Limite de la zona por cartera alcanzado": { code: "TIER_WALLET_LIMIT_REACHED", field: "tier" },
+  "Venta no iniciada": { code: "SALE_NOT_STARTED", field: "event" },
+  "Cantidad no valida": { code: "INVALID_QUANTITY", field: "quantity" },
+  "Cartera fuera de la preventa": { code: "NOT_IN_PRESALE", field: "event" },
+
+  // TicketNFT.sol
+  "Solo el mercado puede llamar": { code: "ONLY_MARKET", field: null },
+  "Market cero": { code: "ZERO_MARKET", field: null },
+  "Market ya asignado": { code: "MARKET_ALREADY_SET", field: null },
+  "Token no existe": { code: "TOKEN_NOT_FOUND", field: "token" },
+  "Ticket no valido para marcar como usado": { code: "TICKET_NOT_USABLE", field: "token" },
+
+  // OpenZeppelin (ReentrancyGuard v4)
+  "ReentrancyGuard: reentrant call": { code: "REENTRANT_CALL", field: null },
+};
+
+// Custom errors declarados en las ABI (Ownable + IERC6093 de ERC721)
+const CUSTOM_ERRORS = {
+  OwnableUnauthorizedAccount: { code: "NOT_OWNER", field: null },
+  OwnableInvalidOwner: { code: "INVALID_OWNER", field: null },
+  ERC721InvalidOwner: { code: "ERC721_INVALID_OWNER", field: null },
+  ERC721NonexistentToken: { code: "TOKEN_NOT_FOUND", field: "token" },
+  ERC721IncorrectOwner: { code: "NOT_TICKET_OWNER", field: "token" },
+  ERC721InvalidSender: { code: "ERC721_INVALID_SENDER", field: "token" },
+  ERC721InvalidReceiver: { code: "ERC721_INVALID_RECEIVER", field: null },
+  ERC721InsufficientApproval: { code: "ERC721_NOT_APPROVED", field: "token" },
+  ERC721InvalidApprover: { code: "ERC721_INVALID_APPROVER", field: null },
+  ERC721InvalidOperator: { code: "ERC721_INVALID_OPERATOR", field: null },
+};
+
+// Textos para la UI de cada código
+const ERROR_TEXT = {
+  USER_REJECTED: "Has rechazado la firma en la wallet. No se ha enviado nada.",
+  INSUFFICIENT_FUNDS: "La cuenta no tiene ETH suficiente para el importe más el gas.",
+  NETWORK_ERROR: "Error de red con el nodo RPC. Revisa la conexión de la wallet.",
+  TX_CANCELLED: "Has cancelado la transacción desde la wallet.",
+  TX_FAILED: "La transacción se minó pero ha revertido on-chain.",
+  NONCE_EXPIRED: "La transacción usa un nonce ya consumido. Reinicia la cuenta en MetaMask o reintenta.",
+  PANIC: "El contrato ha fallado internamente (panic).",
+  UNKNOWN: "Error desconocido.",
+
+  EVENT_NAME_REQUIRED: "Introduce un nombre para el evento.",
+  BASE_PRICE_ZERO: "El precio base debe ser mayor que 0.",
+  TOTAL_TICKETS_ZERO: "El número total de entradas debe ser mayor que 0.",
+  RESALE_FACTOR_TOO_LOW: "El factor de reventa mínimo es 100 (100%).",
+  WALLET_LIMIT_ABOVE_TOTAL: "El límite por cartera no puede superar el total de entradas.",
+  EVENT_NOT_FOUND: "El evento no existe.",
+  NOT_ORGANIZER: "Solo el organizador del evento (o el owner del contrato) puede hacer esto.",
+  INVALID_VALIDATOR: "La dirección del validador no es válida.",
+  EMPTY_VALIDATOR_LIST: "La lista de validadores está vacía.",
+  GRANT_WINDOW_INVALID: "El fin del permiso debe ser posterior a su inicio.",
+  GRANT_ALREADY_EXPIRED: "El permiso caducaría antes de darlo: revisa la fecha de fin.",
+  ROYALTY_TOO_HIGH: "La regalía de reventa no puede superar el 20% del precio.",
+  ONLY_EVENT_ORGANIZER: "Solo el organizador del evento puede editarlo.",
+  MARKET_NOT_SET: "El registro de eventos aún no tiene asignado el contrato Market.",
+  DATE_IN_PAST: "La nueva fecha del evento debe ser futura.",
+  DATE_MOVED_EARLIER: "Con entradas vendidas la fecha del evento solo se puede retrasar, no adelantar.",
+  TOTAL_BELOW_MINTED: "El aforo no puede ser menor que las entradas ya vendidas.",
+  TOTAL_BELOW_TIERS: "El aforo no puede ser menor que la suma de las entradas de sus zonas.",
+  NO_TIERS: "Añade al menos una zona.",
+  TIER_NAME_REQUIRED: "Cada zona necesita un nombre.",
+  TIER_PRICE_ZERO: "El precio de cada zona debe ser mayor que 0.",
+  TIER_SUPPLY_ZERO: "Cada zona debe tener al menos una entrada.",
+  TIER_WINDOW_INVALID: "El fin de venta de una zona debe ser posterior a su inicio.",
+  TIERS_ABOVE_TOTAL: "Las entradas de las zonas suman más que el aforo del evento.",
+  TIER_NOT_FOUND: "La zona no existe en este evento.",
+  SALE_AFTER_EVENT: "La venta tiene que empezar antes de la fecha del evento.",
+  PUBLIC_SALE_INVALID:
+    "La venta pública debe empezar después del inicio de la preventa y no más tarde que el evento.",
+
+  ZERO_EVENT_REGISTRY: "Despliegue incorrecto: dirección de EventRegistry vacía.",
+  ZERO_TICKET_NFT: "Despliegue incorrecto: dirección de TicketNFT vacía.",
+  EVENT_INACTIVE: "El evento está inactivo.",
+  EVENT_PAST: "El evento ya ha tenido lugar, no es posible operar con sus entradas.",
+  WRONG_PRICE: "El importe enviado no coincide con el precio on-chain.",
+  SOLD_OUT:
+    "El aforo del evento ya está completo: no quedan tickets disponibles en venta primaria.",
+  WALLET_LIMIT_REACHED:
+    "Has alcanzado el número máximo de entradas permitidas para este evento con esta cartera.",
+  WALLET_COOLDOWN:
+    "Has intentado comprar demasiado rápido. Debes esperar el tiempo mínimo entre compras que ha fijado el organizador para este evento.",
+  NOT_TICKET_OWNER: "La cuenta conectada no es la dueña de ese ticket.",
+  TICKET_NOT_VALID: "El ticket no está en estado válido (usado o cancelado).",
+  PRICE_ZERO: "El precio debe ser mayor que 0.",
+  RESALE_PRICE_TOO_HIGH: "El precio supera el máximo de reventa fijado por el organizador.",
+  LISTING_INACTIVE: "El anuncio de reventa ya no está activo.",
+  LISTING_NOT_FOUND: "El anuncio de reventa no existe.",
+  NOT_SELLER: "Solo quien puso el ticket en reventa puede retirarlo o cambiar su precio.",
+  NOT_VALIDATOR: "La cuenta no es organizadora ni validadora de este evento.",
+  VALIDATOR_GRANT_INACTIVE: "El permiso de validador de esta cuenta aún no ha empezado o ya ha caducado.",
+  VALIDATOR_CHECKIN_LIMIT: "La cuenta ya ha validado todos los tickets que permite su permiso.",
+  ARRAY_LENGTH_MISMATCH: "Las listas de tickets y dueños no tienen la misma longitud.",
+  PLATFORM_FEE_TOO_HIGH: "La comisión de la plataforma supera el máximo permitido (10%).",
+  ZERO_FEE_RECIPIENT: "La dirección que recibe la comisión no puede ser cero.",
+  NOTHING_TO_WITHDRAW: "La cuenta no tiene saldo pendiente de retirar.",
+  EVENT_CANCELLED: "El evento está cancelado: sus entradas ya no se venden ni se validan.",
+  EVENT_NOT_HELD: "Los fondos del evento se liberan cuando ya se ha celebrado.",
+  NOTHING_TO_RELEASE: "La cuenta no tiene fondos retenidos en este evento.",
+  EVENT_NOT_CANCELLED: "El evento no está cancelado.",
+  NOTHING_TO_REFUND: "La cuenta no tiene nada que reclamar en este evento (o ya lo reclamó).",
+  TRANSFER_FAILED: "No se pudo enviar el ETH a la cuenta de destino.",
+  EVENT_HAS_TIERS: "Este evento vende sus entradas por zonas: elige una zona.",
+  TIER_SALE_NOT_STARTED: "La venta de esta zona todavía no ha empezado.",
+  TIER_SALE_ENDED: "La venta de esta zona ya ha terminado.",
+  TIER_SOLD_OUT: "No quedan entradas en esta zona.",
+  TIER_WALLET_LIMIT_REACHED:
+    "Has alcanzado el número máximo de entradas de esta zona con esta cartera.",
+  SALE_NOT_STARTED: "La venta de entradas de este evento todavía no ha empezado.",
+  INVALID_QUANTITY: "La cantidad de entradas por compra debe estar entre 1 y 10.",
+  NOT_IN_PRESALE:
+    "Estamos en la preventa y esta cartera no está en la lista (o la prueba no es válida).",
+
+  ONLY_MARKET: "Solo el contrato TicketMarket puede hacer esta operación.",
+  ZERO_MARKET: "Dirección de Market vacía.",
+  MARKET_ALREADY_SET: "El Market ya estaba asignado.",
+  TOKEN_NOT_FOUND: "El ticket (tokenId) no existe.",
+  TICKET_NOT_USABLE: "El ticket no se puede marcar como usado (ya usado o cancelado).",
+  REENTRANT_CALL: "Llamada reentrante bloqueada por el contrato.",
+
+  NOT_OWNER: "Solo el owner del contrato puede hacer esta operación.",
+  INVALID_OWNER: "Dirección de owner no válida.",
+  ERC721_INVALID_OWNER: "Dirección de dueño del NFT no válida.",
+  ERC721_INVALID_SENDER: "El emisor de la transferencia del NFT no es válido.",
+  ERC721_INVALID_RECEIVER: "La dirección receptora no puede recibir el NFT.",
+  ERC721_NOT_APPROVED: "El contrato no está autorizado a mover ese NFT.",
+  ERC721_INVALID_APPROVER: "Aprobación del NFT no válida.",
+  ERC721_INVALID_OPERATOR: "Operador del NFT no válido.",
+};
+
+// Iconos que usa el log para los errores más habituales al comprar
+const ERROR_ICONS = {
+  WALLET_COOLDOWN: "⏱️",
+  WALLET_LIMIT_REACHED: "🎟️",
+  SOLD_OUT: "🚫",
+  TIER_SOLD_OUT: "🚫",
+  SALE_NOT_STARTED: "⏳",
+  NOT_IN_PRESALE: "🔒",
+  VALIDATOR_GRANT_INACTIVE: "⏱️",
+  TIER_WALLET_LIMIT_REACHED: "🎟️",
+  EVENT_PAST: "📅",
+  USER_REJECTED: "✋",
+};
+
+function textFor(code) {
+  return ERROR_TEXT[code] || ERROR_TEXT.UNKNOWN;
+}
+
+// Recorre el error (y sus errores anidados) recogiendo mensajes y datos hex
+function collect(err, depth = 0, acc = { messages: [], data: [], codes: [] }) {
+  if (!err || depth > 6) return acc;
+  if (typeof err === "string") {
+    if (/^0x[0-9a-fA-F]{8,}$/.test(err)) acc.data.push(err);
+    else acc.messages.push(err);
+    return acc;
+  }
+  if (typeof err !== "object") return acc;
+
+  if (err.code !== undefined) acc.codes.push(err.code);
+  if (typeof err.reason === "string") acc.messages.push(err.reason);
+  if (typeof err.message === "string") acc.messages.push(err.message);
+
+  collect(err.data, depth + 1, acc);
+  collect(err.result, depth + 1, acc); // formato de ganache
+  collect(err.error, depth + 1, acc);
+  collect(err.originalError, depth + 1, acc);
+  if (typeof err.body === "string") {
+    try {
+      collect(JSON.parse(err.body).error, depth + 1, acc);
+    } catch {
+      // cuerpo no JSON: lo ignoramos
+    }
+  }
+  return acc;
+}
+
+function decodeRevertData(data, interfaces) {
+  const selector = data.slice(0, 10).toLowerCase();
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    try {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(
+        ["string"],
+        "0x" + data.slice(10)
+      );
+      return { reason };
+    } catch {
+      return null;
+    }
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    try {
+      const [panicCode] = ethers.utils.defaultAbiCoder.decode(
+        ["uint256"],
+        "0x" + data.slice(10)
+      );
+      return { panic: panicCode.toHexString() };
+    } catch {
+      return null;
+    }
+  }
+
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseError(data);
+      return { customError: parsed.name, args: parsed.args };
+    } catch {
+      // no es de esta ABI, probamos la siguiente
+    }
+  }
+  return null;
+}
+
+// Textos de require de más largo a más corto: "Ticket no valido" es prefijo
+// de "Ticket no valido para marcar como usado" y no debe taparlo
+const REASONS_LONGEST_FIRST = Object.keys(REVERT_REASONS).sort((a, b) => b.length - a.length);
+
+function reasonFromMessage(msg) {
+  const m =
+    msg.match(/reverted with reason string '([^']+)'/) ||
+    msg.match(/execution reverted: ([^"\n]+)/);
+  return m ? m[1].trim() : null;
+}
+
+// Busca el texto de un require dentro de los mensajes del nodo/wallet: primero
+// el motivo exacto que citan, después cualquier texto conocido contenido en
+// el mensaje y, si no, el motivo tal cual aunque no esté en la tabla
+function findReasonInMessages(messages) {
+  const quoted = messages.map(reasonFromMessage).filter(Boolean);
+  const exact = quoted.find((reason) => REVERT_REASONS[reason]);
+  if (exact) return exact;
+  for (const msg of messages) {
+    const reason = REASONS_LONGEST_FIRST.find((r) => msg.includes(r));
+    if (reason) return reason;
+  }
+  return quoted[0] ?? null;
+}
+
+function result(code, extra = {}) {
+  return {
+    code,
+    message: extra.message || textFor(code),
+    field: extra.field ?? null,
+    icon: ERROR_ICONS[code] || "",
+    reason: extra.reason ?? null,
+    args: extra.args ?? null,
+  };
+}
+
+// Devuelve { code, message, field, icon, reason, args } a partir de cualquier
+// error de ethers/MetaMask. `interfaces` = ethers.utils.Interface de los
+// contratos, para decodificar sus custom errors.
+export function decodeError(err, interfaces = []) {
+  const { messages, data, codes } = collect(err);
+
+  if (codes.includes(4001) || codes.includes("ACTION_REJECTED")) {
+    return result("USER_REJECTED");
+  }
+  if (
+    codes.includes("INSUFFICIENT_FUNDS") ||
+    messages.some((m) => /insufficient funds/i.test(m))
+  ) {
+    return result("INSUFFICIENT_FUNDS");
+  }
+  if (codes.includes("NONCE_EXPIRED")) return result("NONCE_EXPIRED");
+  if (codes.includes("TRANSACTION_REPLACED") && err.cancelled) {
+    return result("TX_CANCELLED");
+  }
+
+  for (const hex of data) {
+    const decoded = decodeRevertData(hex, interfaces);
+    if (!decoded) continue;
+
+    if (decoded.reason) {
+      const known = REVERT_REASONS[decoded.reason];
+      return known
+        ? result(known.code, { field: known.field, reason: decoded.reason })
+        : result("UNKNOWN", { message: decoded.reason, reason: decoded.reason });
+    }
+    if (decoded.panic) {
+      return result("PANIC", {
+        message: `${textFor("PANIC")} Código ${decoded.panic}.`,
+        reason: `Panic(${decoded.panic})`,
+      });
+    }
+    if (decoded.customError) {
+      const known = CUSTOM_ERRORS[decoded.customError] || { code: "UNKNOWN", field: null };
+      return result(known.code, {
+        field: known.field,
+        reason: decoded.customError,
+        args: decoded.args,
+        message: known.code === "UNKNOWN" ? decoded.customError : undefined,
+      });
+    }
+  }
+
+  const reason = findReasonInMessages(messages);
+  if (reason) {
+    const known = REVERT_REASONS[reason];
+    return known
+      ? result(known.code, { field: known.field, reason })
+      : result("UNKNOWN", { message: reason, reason });
+  }
+
+  // Transacción minada con status 0 y sin motivo recuperable
+  if (codes.includes("CALL_EXCEPTION") && err && err.receipt) {
+    return result("TX_FAILED");
+  }
+
+  if (codes.includes("NETWORK_ERROR") || codes.includes("SERVER_ERROR")) {
+    return result("NETWORK_ERROR");
+  }
+
+  return result("UNKNOWN", {
+    message: messages[0] || String(err || textFor("UNKNOWN")),
+  });
+}
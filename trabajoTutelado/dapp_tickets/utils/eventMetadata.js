@@ -0,0 +1,161 @@
+// utils/eventMetadata.js
+// Esquema de la metadata de un evento que se sube a IPFS: los campos del
+// formulario de creación más la ficha (descripción, portada, cartel, plano,
+// edad mínima y condiciones). Las imágenes se suben antes al nodo Kubo y el
+// JSON solo guarda su URI ipfs://CID.
+
+export const EVENT_METADATA_SCHEMA = "dapp-tickets/event";
+export const EVENT_METADATA_VERSION = 1;
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif", "image/svg+xml"];
+
+const MAX_DESCRIPTION = 2000;
+const MAX_TERMS = 4000;
+const MAX_AGE = 21;
+
+// CIDv0 (Qm...) o CIDv1 en base32 (b...)
+export const CID_RE = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{20,})$/;
+
+export function ipfsUri(cid) {
+  return `ipfs://${cid}`;
+}
+
+// ipfs://CID (o un CID suelto) => URL del gateway; http(s) se deja tal cual
+export function resolveIpfsUrl(gatewayUrl, uri) {
+  if (!uri) return null;
+  if (/^https?:\/\//.test(uri)) return uri;
+  const cid = uri.replace(/^ipfs:\/\//, "").replace(/^ipfs\//, "");
+  return `${gatewayUrl}/${cid}`;
+}
+
+function isIpfsUri(value) {
+  return typeof value === "string" && CID_RE.test(value.replace(/^ipfs:\/\//, "").split("/")[0]);
+}
+
+// Cartel: una actuación por línea, con hora opcional ("21:30 - Grupo")
+export function parseLineup(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const m = line.match(/^(\d{1,2}:\d{2})\s*[-–]\s*(.+)$/);
+      return m ? { time: m[1], artist: m[2].trim() } : { time: null, artist: line };
+    });
+}
+
+export function lineupToText(lineup = []) {
+  return lineup.map((a) => (a.time ? `${a.time} - ${a.artist}` : a.artist)).join("\n");
+}
+
+// Devuelve el motivo por el que no se puede subir la imagen, o null
+export function checkImageFile(file) {
+  if (!IMAGE_TYPES.includes(file.type)) {
+    return `Formato no admitido (${file.type || "desconocido"}): usa PNG, JPG, WebP, GIF o SVG.`;
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    return `La imagen ocupa ${(file.size / 1024 / 1024).toFixed(1)} MB (máximo ${MAX_IMAGE_BYTES / 1024 / 1024} MB).`;
+  }
+  return null;
+}
+
+// Comprueba la metadata completa de un evento. Devuelve [{ field, message }]
+// (vacío si es válida).
+export function validateEventMetadata(meta) {
+  if (!meta || typeof meta !== "object") {
+    return [{ field: null, message: "La metadata no es un objeto JSON." }];
+  }
+  const errors = validateEventDetails(meta);
+  if (typeof meta.name !== "string" || !meta.name.trim()) {
+    errors.unshift({ field: "name", message: "Falta el nombre del evento." });
+  }
+  return errors;
+}
+
+// Solo los campos de la ficha; field es el campo que falla (description,
+// image, venueMap, lineup, ageRestriction, terms).
+export function validateEventDetails(meta) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (meta.description != null) {
+    if (typeof meta.description !== "string") fail("description", "La descripción debe ser texto.");
+    else if (meta.description.length > MAX_DESCRIPTION) {
+      fail("description", `La descripción supera los ${MAX_DESCRIPTION} caracteres.`);
+    }
+  }
+  for (const field of ["image", "venueMap"]) {
+    if (meta[field] != null && !isIpfsUri(meta[field])) {
+      fail(field, "La imagen debe ser una URI ipfs://CID.");
+    }
+  }
+  if (meta.lineup != null) {
+    const ok =
+      Array.isArray(meta.lineup) &&
+      meta.lineup.every((a) => a && typeof a.artist === "string" && a.artist.trim());
+    if (!ok) fail("lineup", "Cada actuación del cartel necesita un nombre.");
+  }
+  if (meta.ageRestriction != null) {
+    const age = meta.ageRestriction;
+    if (!Number.isInteger(age) || age < 0 || age > MAX_AGE) {
+      fail("ageRestriction", `La edad mínima debe ser un número entre 0 y ${MAX_AGE}.`);
+    }
+  }
+  if (meta.terms != null) {
+    if (typeof meta.terms !== "string") fail("terms", "Las condiciones deben ser texto.");
+    else if (meta.terms.length > MAX_TERMS) {
+      fail("terms", `Las condiciones superan los ${MAX_TERMS} caracteres.`);
+    }
+  }
+  return errors;
+}
+
+// Añade la cabecera del esquema y quita los campos vacíos de la ficha
+export function buildEventMetadata(fields, details) {
+  const meta = { schema: EVENT_METADATA_SCHEMA, schemaVersion: EVENT_METADATA_VERSION, ...fields };
+  for (const [key, value] of Object.entries(details)) {
+    const empty = value == null || value === "" || (Array.isArray(value) && !value.length);
+    if (!empty) meta[key] = value;
+  }
+  return meta;
+}
+
+// Lee la metadata de los eventos desde el gateway. Guarda cada CID en memoria
+// (el contenido de un CID no cambia) y no reintenta los que fallan hasta
+// recargar la página.
+export function createMetadataLoader(gatewayUrl, { timeoutMs = 8000 } = {}) {
+  const cache = new Map();
+
+  async function fetchJson(cid) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(`${gatewayUrl}/${cid}`, { signal: controller.signal });
+      if (!res.ok) throw new Error(`El gateway devolvió ${res.status}`);
+      return await res.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    load(cid) {
+      if (!cid) return Promise.resolve(null);
+      if (!cache.has(cid)) {
+        cache.set(
+          cid,
+          fetchJson(cid).catch((err) => {
+            console.warn(`No se pudo leer la metadata ${cid}:`, err);
+            return null;
+          })
+        );
+      }
+      return cache.get(cid);
+    },
+
+    imageUrl(uri) {
+      return resolveIpfsUrl(gatewayUrl, uri);
+    },
+  };
+}
@@ -1,5 +1,5 @@
 // utils/index.js
-import abis from "./abis.js";
-import addresses from "./addresses.js";
+import abis, { ABI_VERSION } from "./abis.js";
+import deployments, { getDeployment, listDeployments } from "./addresses.js";
 
-export { abis, addresses };
+export { abis, ABI_VERSION, deployments, getDeployment, listDeployments };
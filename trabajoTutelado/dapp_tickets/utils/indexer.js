@@ -0,0 +1,802 @@
+// utils/indexer.js
+// Indexador de logs en el cliente: reproduce una vez los eventos de los
+// contratos, guarda el estado derivado (eventos, tickets, listings y
+// validadores) y después solo procesa los bloques nuevos.
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+// Nº máximo de bloques por llamada a eth_getLogs (muchos RPC limitan el rango)
+const LOG_CHUNK_SIZE = 5000;
+
+// Bloques recientes que aún pueden sufrir una reorg. Los logs de esa ventana
+// se guardan aparte para poder deshacerlos.
+const REORG_WINDOW = 64;
+
+// Cambiar si cambia la forma del estado guardado (invalida la caché)
+const SNAPSHOT_VERSION = 12;
+
+// Eventos que reproducimos de cada contrato
+const INDEXED_EVENTS = {
+  eventRegistry: [
+    "EventCreated",
+    "EventStatusChanged",
+    "ValidatorSet",
+    "ValidatorGrantSet",
+    "EventUpdated",
+    "TierAdded",
+    "SaleScheduleSet",
+  ],
+  ticketNFT: ["TicketMinted", "TicketStateChanged"],
+  ticketMarket: [
+    "PrimaryTicketBought",
+    "TicketListed",
+    "ResaleTicketBought",
+    "TicketUsed",
+    "ListingCancelled",
+    "ListingPriceUpdated",
+    "PrimarySaleSplit",
+    "ResaleSaleSplit",
+    "Withdrawal",
+    "ProceedsReleased",
+    "EventCancelled",
+    "CancellationProgress",
+    "RefundClaimed",
+  ],
+};
+
+// Eventos que necesitan la fecha del bloque (para las analíticas)
+const TIMESTAMPED_EVENTS = [
+  "PrimaryTicketBought",
+  "ResaleTicketBought",
+  "TicketUsed",
+  "EventUpdated",
+  "ValidatorSet",
+  "Withdrawal",
+  "ProceedsReleased",
+  "RefundClaimed",
+];
+
+export function createEmptyState() {
+  return {
+    events: {}, // eventId => datos del evento + nº de tickets emitidos
+    tickets: {}, // tokenId => { eventId, tierId, owner, state, listingId }
+    listings: {}, // listingId => { tokenId, eventId, seller, priceWei, active }
+    validators: {}, // eventId => { address => bool }
+    validatorRoster: {}, // eventId => { address => { address, active, addedAt, revokedAt, grant, grantCheckIns } }
+    sales: [], // { kind: primary|resale, eventId, tokenId, buyer, priceWei, feeWei, royaltyWei, timestamp, txHash }
+    checkIns: [], // { eventId, tokenId, validator, timestamp }
+    withdrawals: [], // { payee, amountWei, timestamp, txHash }
+    releases: [], // { eventId, payee, amountWei, timestamp, txHash }
+    refunds: [], // { eventId, account, amountWei, timestamp, txHash }
+  };
+}
+
+// Pasamos los args del log a valores serializables (BigNumber -> string,
+// direcciones en minúsculas) para poder guardarlos tal cual.
+function normalizeValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (typeof value === "string" && ethers.utils.isAddress(value)) {
+    return value.toLowerCase();
+  }
+  return value;
+}
+
+function normalizeLog(contractKey, iface, rawLog) {
+  const parsed = iface.parseLog(rawLog);
+  const args = {};
+  parsed.eventFragment.inputs.forEach((input, i) => {
+    args[input.name] = normalizeValue(parsed.args[i]);
+  });
+
+  return {
+    contract: contractKey,
+    name: parsed.name,
+    args,
+    blockNumber: rawLog.blockNumber,
+    blockHash: rawLog.blockHash,
+    logIndex: rawLog.logIndex,
+    transactionHash: rawLog.transactionHash,
+    timestamp: null, // se rellena en fetchLogs para TIMESTAMPED_EVENTS
+  };
+}
+
+// Topic del evento, o null si la ABI cargada no lo declara (contrato antiguo)
+function eventTopic(iface, name) {
+  try {
+    return iface.getEventTopic(name);
+  } catch {
+    return null;
+  }
+}
+
+// Ventas de cada estado por clave (ver saleKey), para que los *SaleSplit no
+// recorran todas las ventas. No forma parte del estado serializable: se
+// rehace desde state.sales la primera vez que se usa un estado (restore,
+// reorg o structuredClone crean uno nuevo).
+const saleIndexes = new WeakMap();
+
+// Compra primaria: tx + tokenId (una compra puede emitir varios tickets);
+// reventa: tx + listingId
+function saleKey(kind, txHash, id) {
+  return `${kind}:${txHash}:${id}`;
+}
+
+function saleIndex(state) {
+  let index = saleIndexes.get(state);
+  if (!index) {
+    index = new Map();
+    state.sales.forEach((s) =>
+      index.set(saleKey(s.kind, s.txHash, s.kind === "primary" ? s.tokenId : s.listingId), s)
+    );
+    saleIndexes.set(state, index);
+  }
+  return index;
+}
+
+function addSale(state, sale, id) {
+  state.sales.push(sale);
+  saleIndex(state).set(saleKey(sale.kind, sale.txHash, id), sale);
+}
+
+function compareLogs(a, b) {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber - b.blockNumber;
+  return a.logIndex - b.logIndex;
+}
+
+// Aplica un log normalizado sobre el estado (lo modifica in situ).
+export function applyLog(state, log) {
+  const a = log.args;
+
+  switch (log.name) {
+    case "EventCreated":
+      state.events[a.eventId] = {
+        id: a.eventId,
+        name: a.name,
+        date: Number(a.date),
+        location: a.location,
+        basePriceWei: a.basePriceWei,
+        maxResaleFactor: Number(a.maxResaleFactor),
+        totalTickets: Number(a.totalTickets),
+        metadataCid: a.metadataCid,
+        organizer: a.organizer,
+        active: true,
+        maxTicketsPerWallet: Number(a.maxTicketsPerWallet ?? 0),
+        walletCooldown: Number(a.walletCooldown ?? 0),
+        royaltyBps: Number(a.royaltyBps ?? 0),
+        minted: 0,
+        cancelled: false,
+        cancelProcessed: 0, // tickets ya marcados como cancelados (cursor)
+        cidHistory: [], // { cid, replacedAt } de los metadatos anteriores (más antiguo primero)
+        tiers: [], // zonas (tierId = posición + 1) con su nº de emitidos
+        saleStart: 0, // inicio de la venta (0 = desde la creación)
+        publicSaleStart: 0, // fin de la preventa si hay lista
+        allowlistRoot: null, // raíz Merkle de la preventa
+        allowlistCid: null, // JSON con las pruebas (utils/merkle.js)
+      };
+      break;
+
+    case "SaleScheduleSet": {
+      const evt = state.events[a.eventId];
+      if (!evt) break;
+      const hasList = a.allowlistRoot !== ethers.constants.HashZero;
+      evt.saleStart = Number(a.saleStart);
+      evt.publicSaleStart = Number(a.publicSaleStart);
+      evt.allowlistRoot = hasList ? a.allowlistRoot : null;
+      evt.allowlistCid = hasList && a.allowlistCid ? a.allowlistCid : null;
+      break;
+    }
+
+    case "TierAdded": {
+      const evt = state.events[a.eventId];
+      if (!evt) break;
+      evt.tiers.push({
+        tierId: a.tierId,
+        name: a.name,
+        priceWei: a.priceWei,
+        supply: Number(a.supply),
+        maxPerWallet: Number(a.maxPerWallet),
+        saleStart: Number(a.saleStart),
+        saleEnd: Number(a.saleEnd),
+        minted: 0,
+      });
+      break;
+    }
+
+    case "EventUpdated": {
+      const evt = state.events[a.eventId];
+      if (!evt) break;
+      evt.name = a.name;
+      evt.date = Number(a.date);
+      evt.location = a.location;
+      evt.totalTickets = Number(a.totalTickets);
+      if (a.metadataCid !== a.previousCid) {
+        evt.cidHistory.push({ cid: a.previousCid, replacedAt: log.timestamp });
+      }
+      evt.metadataCid = a.metadataCid;
+      break;
+    }
+
+    case "EventStatusChanged":
+      if (state.events[a.eventId]) state.events[a.eventId].active = a.active;
+      break;
+
+    case "ValidatorSet":
+      state.validators[a.eventId] = state.validators[a.eventId] || {};
+      state.validators[a.eventId][a.validator] = a.active;
+      recordValidator(state, a, log.timestamp);
+      break;
+
+    case "ValidatorGrantSet": {
+      const entry = state.validatorRoster[a.eventId]?.[a.validator];
+      if (!entry) break;
+      entry.grant = {
+        validFrom: Number(a.validFrom),
+        validUntil: Number(a.validUntil),
+        maxCheckIns: Number(a.maxCheckIns),
+      };
+      break;
+    }
+
+    case "TicketMinted": {
+      const tierId = a.tierId ?? "0";
+      state.tickets[a.tokenId] = {
+        tokenId: a.tokenId,
+        eventId: a.eventId,
+        tierId,
+        owner: a.to,
+        state: 1,
+        listingId: null,
+      };
+      const evt = state.events[a.eventId];
+      if (evt) {
+        evt.minted++;
+        const tier = evt.tiers[Number(tierId) - 1];
+        if (tier) tier.minted++;
+      }
+      break;
+    }
+
+    case "TicketStateChanged":
+      if (state.tickets[a.tokenId]) {
+        state.tickets[a.tokenId].state = Number(a.newState);
+      }
+      break;
+
+    case "TicketListed": {
+      const ticket = state.tickets[a.tokenId];
+      state.listings[a.listingId] = {
+        listingId: a.listingId,
+        tokenId: a.tokenId,
+        eventId: ticket ? ticket.eventId : null,
+        seller: a.seller,
+        priceWei: a.priceWei,
+        active: true,
+      };
+      // El NFT pasa al Market (escrow); el vendedor sigue siendo el dueño efectivo
+      if (ticket) ticket.listingId = a.listingId;
+      break;
+    }
+
+    case "PrimaryTicketBought":
+      addSale(
+        state,
+        {
+          kind: "primary",
+          eventId: a.eventId,
+          tokenId: a.tokenId,
+          buyer: a.buyer,
+          priceWei: a.priceWei,
+          feeWei: "0",
+          timestamp: log.timestamp,
+          txHash: log.transactionHash,
+        },
+        a.tokenId
+      );
+      break;
+
+    // Llega justo después de PrimaryTicketBought en la misma transacción
+    case "PrimarySaleSplit": {
+      const sale = saleIndex(state).get(saleKey("primary", log.transactionHash, a.tokenId));
+      if (sale) sale.feeWei = a.feeWei;
+      break;
+    }
+
+    // Igual, tras ResaleTicketBought
+    case "ResaleSaleSplit": {
+      const sale = saleIndex(state).get(saleKey("resale", log.transactionHash, a.listingId));
+      if (sale) {
+        sale.royaltyWei = a.royaltyWei;
+        sale.feeWei = a.feeWei;
+      }
+      break;
+    }
+
+    case "Withdrawal":
+      state.withdrawals.push({
+        payee: a.payee,
+        amountWei: a.amountWei,
+        timestamp: log.timestamp,
+        txHash: log.transactionHash,
+      });
+      break;
+
+    case "ProceedsReleased":
+      state.releases.push({
+        eventId: a.eventId,
+        payee: a.payee,
+        amountWei: a.amountWei,
+        timestamp: log.timestamp,
+        txHash: log.transactionHash,
+      });
+      break;
+
+    case "EventCancelled":
+      if (state.events[a.eventId]) state.events[a.eventId].cancelled = true;
+      break;
+
+    case "CancellationProgress":
+      if (state.events[a.eventId]) {
+        state.events[a.eventId].cancelProcessed = Number(a.processed);
+      }
+      break;
+
+    case "RefundClaimed":
+      state.refunds.push({
+        eventId: a.eventId,
+        account: a.account,
+        amountWei: a.amountWei,
+        timestamp: log.timestamp,
+        txHash: log.transactionHash,
+      });
+      break;
+
+    case "ResaleTicketBought": {
+      const lst = state.listings[a.listingId];
+      if (lst) lst.active = false;
+      const ticket = state.tickets[a.tokenId];
+      if (ticket) {
+        ticket.owner = a.buyer;
+        ticket.listingId = null;
+      }
+      addSale(
+        state,
+        {
+          kind: "resale",
+          eventId: lst ? lst.eventId : ticket ? ticket.eventId : null,
+          tokenId: a.tokenId,
+          listingId: a.listingId,
+          seller: lst ? lst.seller : null,
+          buyer: a.buyer,
+          priceWei: a.priceWei,
+          royaltyWei: "0",
+          feeWei: "0",
+          timestamp: log.timestamp,
+          txHash: log.transactionHash,
+        },
+        a.listingId
+      );
+      break;
+    }
+
+    case "ListingCancelled": {
+      const lst = state.listings[a.listingId];
+      if (lst) lst.active = false;
+      // El NFT vuelve del escrow al vendedor
+      const ticket = state.tickets[a.tokenId];
+      if (ticket && ticket.listingId === a.listingId) ticket.listingId = null;
+      break;
+    }
+
+    case "ListingPriceUpdated":
+      if (state.listings[a.listingId]) {
+        state.listings[a.listingId].priceWei = a.newPriceWei;
+      }
+      break;
+
+    case "TicketUsed": {
+      state.checkIns.push({
+        eventId: a.eventId,
+        tokenId: a.tokenId,
+        validator: a.validator,
+        timestamp: log.timestamp,
+      });
+      // Cuenta para el tope del permiso actual (TicketMarket.checkInsBy)
+      const entry = state.validatorRoster[a.eventId]?.[a.validator];
+      if (entry) entry.grantCheckIns += 1;
+      break;
+    }
+
+    default:
+      break;
+  }
+}
+
+// Alta o baja de un validador en el historial del evento. addedAt es la
+// fecha de la última alta (una reactivación la actualiza). Como en el
+// contrato, el alta o baja quita los límites y empieza un permiso nuevo (su
+// cuenta de validaciones vuelve a 0); ValidatorGrantSet repone los límites.
+function recordValidator(state, a, timestamp) {
+  const roster = (state.validatorRoster[a.eventId] = state.validatorRoster[a.eventId] || {});
+  const prev = roster[a.validator];
+  roster[a.validator] = {
+    address: a.validator,
+    active: a.active,
+    addedAt: a.active ? (prev?.active ? prev.addedAt : timestamp) : prev?.addedAt ?? null,
+    revokedAt: a.active ? null : timestamp,
+    grant: null, // { validFrom, validUntil, maxCheckIns } (0 = sin límite)
+    grantCheckIns: 0, // validaciones con el permiso actual
+  };
+}
+
+// Mismo orden de comprobaciones que TicketMarket._checkInPermission
+function grantStatus(entry, now) {
+  if (!entry.active) return "revoked";
+  const grant = entry.grant;
+  if (!grant) return "active";
+  if (now < grant.validFrom) return "pending";
+  if (grant.validUntil && now >= grant.validUntil) return "expired";
+  if (grant.maxCheckIns && entry.grantCheckIns >= grant.maxCheckIns) return "exhausted";
+  return "active";
+}
+
+// Crea un indexador para los tres contratos de la DApp.
+// `contracts` = { eventRegistry, ticketNFT, ticketMarket } (instancias ethers).
+// `onReorg(fromBlock)` se llama cuando se deshace un rango por una reorg.
+export function createTicketIndexer({
+  provider,
+  contracts,
+  fromBlock = 0,
+  onReorg = null,
+}) {
+  // Estado consolidado hasta baseBlock (ya fuera de la ventana de reorg)...
+  let baseState = createEmptyState();
+  let baseBlock = fromBlock - 1;
+  // ...más los logs recientes, que aún pueden deshacerse
+  let recentLogs = [];
+  // blockNumber => hash de los bloques que hemos visto (para detectar reorgs)
+  let blockHashes = {};
+
+  let state = createEmptyState();
+  let lastBlock = fromBlock - 1;
+  let syncing = null;
+  // Tras stop() una sync en curso deja de tocar el estado en su siguiente await
+  let stopped = false;
+
+  function rebuildState() {
+    state = structuredClone(baseState);
+    recentLogs.forEach((log) => applyLog(state, log));
+  }
+
+  function resetAll() {
+    baseState = createEmptyState();
+    baseBlock = fromBlock - 1;
+    recentLogs = [];
+    blockHashes = {};
+    state = createEmptyState();
+    lastBlock = fromBlock - 1;
+  }
+
+  async function fetchLogs(from, to) {
+    const all = [];
+
+    for (const [key, names] of Object.entries(INDEXED_EVENTS)) {
+      const contract = contracts[key];
+      const topics = names.map((n) => eventTopic(contract.interface, n)).filter(Boolean);
+      if (!topics.length) continue;
+
+      const rawLogs = await provider.getLogs({
+        address: contract.address,
+        fromBlock: from,
+        toBlock: to,
+        topics: [topics],
+      });
+
+      for (const raw of rawLogs) {
+        try {
+          all.push(normalizeLog(key, contract.interface, raw));
+        } catch (e) {
+          console.warn("Log no reconocido por la ABI, se ignora:", raw, e);
+        }
+      }
+    }
+
+    await addTimestamps(all);
+    return all.sort(compareLogs);
+  }
+
+  // Fecha de bloque para los logs que la necesitan (una llamada por bloque)
+  async function addTimestamps(logs) {
+    const times = {};
+    for (const log of logs) {
+      if (!TIMESTAMPED_EVENTS.includes(log.name)) continue;
+      if (times[log.blockNumber] === undefined) {
+        const block = await provider.getBlock(log.blockNumber);
+        times[log.blockNumber] = block ? block.timestamp : null;
+      }
+      log.timestamp = times[log.blockNumber];
+    }
+  }
+
+  async function hashMatches(blockNumber) {
+    const block = await provider.getBlock(blockNumber).catch(() => null);
+    return !!block && block.hash === blockHashes[blockNumber];
+  }
+
+  // Comprueba que el último bloque procesado sigue en la cadena. Si no, busca
+  // el último bloque conocido que sí sigue y deshace todo lo posterior.
+  async function checkReorg() {
+    if (lastBlock < fromBlock || !blockHashes[lastBlock]) return;
+    if (await hashMatches(lastBlock)) return;
+
+    const known = Object.keys(blockHashes)
+      .map(Number)
+      .filter((n) => n < lastBlock)
+      .sort((a, b) => b - a);
+
+    let ancestor = null;
+    for (const n of known) {
+      if (await hashMatches(n)) {
+        ancestor = n;
+        break;
+      }
+    }
+    if (stopped) return;
+
+    // Reorg más profunda que la ventana (o nodo local reiniciado): desde cero
+    if (ancestor === null || ancestor < baseBlock) {
+      console.warn("Reorg fuera de la ventana conocida; reindexando desde el inicio.");
+      resetAll();
+      if (onReorg) onReorg(fromBlock);
+      return;
+    }
+
+    recentLogs = recentLogs.filter((log) => log.blockNumber <= ancestor);
+    Object.keys(blockHashes)
+      .map(Number)
+      .filter((n) => n > ancestor)
+      .forEach((n) => delete blockHashes[n]);
+    lastBlock = ancestor;
+    rebuildState();
+    if (onReorg) onReorg(ancestor + 1);
+  }
+
+  // Pasa a baseState los logs que ya quedan fuera de la ventana de reorg
+  function consolidate() {
+    const newBase = lastBlock - REORG_WINDOW;
+    if (newBase <= baseBlock) return;
+
+    const keep = [];
+    for (const log of recentLogs) {
+      if (log.blockNumber <= newBase) applyLog(baseState, log);
+      else keep.push(log);
+    }
+    recentLogs = keep;
+    baseBlock = newBase;
+
+    // Conservamos como ancla el hash conocido más alto <= baseBlock
+    const old = Object.keys(blockHashes)
+      .map(Number)
+      .filter((n) => n <= baseBlock)
+      .sort((a, b) => b - a);
+    old.slice(1).forEach((n) => delete blockHashes[n]);
+  }
+
+  async function doSync() {
+    await checkReorg();
+
+    const head = await provider.getBlockNumber();
+    let applied = 0;
+    if (stopped) return applied;
+
+    for (let start = lastBlock + 1; start <= head; start += LOG_CHUNK_SIZE) {
+      const end = Math.min(start + LOG_CHUNK_SIZE - 1, head);
+      const logs = await fetchLogs(start, end);
+      if (stopped) return applied;
+      logs.forEach((log) => {
+        applyLog(state, log);
+        blockHashes[log.blockNumber] = log.blockHash;
+      });
+      recentLogs.push(...logs);
+      applied += logs.length;
+      lastBlock = end;
+    }
+
+    if (lastBlock >= fromBlock && !blockHashes[lastBlock]) {
+      const block = await provider.getBlock(lastBlock);
+      if (stopped) return applied;
+      if (block) blockHashes[lastBlock] = block.hash;
+    }
+
+    consolidate();
+    return applied;
+  }
+
+  // Procesa los bloques pendientes desde el último sincronizado.
+  // Devuelve el nº de logs aplicados. Llamadas concurrentes comparten la misma sync.
+  function sync() {
+    if (stopped) return Promise.resolve(0);
+    if (!syncing) {
+      syncing = doSync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  // Copia serializable del indexador (para guardarla en IndexedDB)
+  function snapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      fromBlock,
+      baseBlock,
+      baseState,
+      recentLogs,
+      blockHashes,
+      lastBlock,
+    };
+  }
+
+  // Restaura una copia guardada; devuelve false si no es compatible. Trabaja
+  // sobre una copia propia: snapshot() de otro indexador (cambio de cuenta en
+  // la misma red) comparte sus objetos y su sync podría seguir escribiendo.
+  function restore(snap) {
+    if (!snap || snap.version !== SNAPSHOT_VERSION || snap.fromBlock !== fromBlock) {
+      return false;
+    }
+    const copy = structuredClone(snap);
+    baseState = copy.baseState;
+    baseBlock = copy.baseBlock;
+    recentLogs = copy.recentLogs;
+    blockHashes = copy.blockHashes;
+    lastBlock = copy.lastBlock;
+    rebuildState();
+    return true;
+  }
+
+  // Deja el indexador sin actualizar (al cambiar de sesión); el estado ya
+  // leído sigue disponible
+  function stop() {
+    stopped = true;
+  }
+
+  function sameAddress(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  }
+
+  return {
+    sync,
+    snapshot,
+    restore,
+    stop,
+
+    get lastBlock() {
+      return lastBlock;
+    },
+
+    getState() {
+      return state;
+    },
+
+    getEvents() {
+      return Object.values(state.events).sort((a, b) => Number(a.id) - Number(b.id));
+    },
+
+    getEvent(eventId) {
+      return state.events[String(eventId)] || null;
+    },
+
+    // Zona de un ticket, o null si se compró a precio base
+    getTicketTier(tokenId) {
+      const ticket = state.tickets[String(tokenId)];
+      const evt = ticket && this.getEvent(ticket.eventId);
+      if (!evt || !ticket.tierId || ticket.tierId === "0") return null;
+      return evt.tiers[Number(ticket.tierId) - 1] || null;
+    },
+
+    // Precio nominal del ticket (zona o base): referencia del tope de reventa
+    getFaceValueWei(tokenId) {
+      const tier = this.getTicketTier(tokenId);
+      if (tier) return tier.priceWei;
+      const ticket = state.tickets[String(tokenId)];
+      const evt = ticket && this.getEvent(ticket.eventId);
+      return evt ? evt.basePriceWei : null;
+    },
+
+    getListings({ eventId = null, activeOnly = false } = {}) {
+      return Object.values(state.listings).filter(
+        (l) =>
+          (!activeOnly || l.active) &&
+          (eventId === null || l.eventId === String(eventId))
+      );
+    },
+
+    // Ventas (primarias y de reventa) y validaciones de un evento
+    getSales(eventId) {
+      return state.sales.filter((s) => s.eventId === String(eventId));
+    },
+
+    getCheckIns(eventId) {
+      return state.checkIns.filter((c) => c.eventId === String(eventId));
+    },
+
+    // Retiradas de fondos de una cuenta (más recientes primero)
+    getWithdrawals(account) {
+      return state.withdrawals
+        .filter((w) => sameAddress(w.payee, account))
+        .reverse();
+    },
+
+    getReleases(account) {
+      return state.releases
+        .filter((r) => sameAddress(r.payee, account))
+        .reverse();
+    },
+
+    getRefunds(account) {
+      return state.refunds.filter((r) => sameAddress(r.account, account));
+    },
+
+    // Eventos en los que la cuenta ha comprado (primaria o reventa)
+    getPurchasedEventIds(account) {
+      const ids = state.sales
+        .filter((s) => sameAddress(s.buyer, account))
+        .map((s) => s.eventId);
+      return [...new Set(ids)];
+    },
+
+    // Eventos en los que la cuenta tiene ingresos: organiza, vende en reventa
+    // o cobra comisión (si es la destinataria de la plataforma)
+    getEarningEventIds(account, { feeRecipient = null } = {}) {
+      const ids = state.sales
+        .filter(
+          (s) =>
+            sameAddress(s.seller, account) ||
+            sameAddress(this.getEvent(s.eventId)?.organizer, account) ||
+            sameAddress(feeRecipient, account)
+        )
+        .map((s) => s.eventId);
+      return [...new Set(ids)].sort((a, b) => Number(a) - Number(b));
+    },
+
+    getTicketsOf(account) {
+      return Object.values(state.tickets)
+        .filter((t) => sameAddress(t.owner, account))
+        .sort((a, b) => Number(a.tokenId) - Number(b.tokenId));
+    },
+
+    getOrganizerEventIds(account) {
+      return this.getEvents()
+        .filter((e) => sameAddress(e.organizer, account))
+        .map((e) => e.id);
+    },
+
+    // Si la cuenta puede validar en `now` (como TicketMarket._checkInPermission): un
+    // permiso revocado, caducado, que aún no empieza o con el tope agotado no cuenta
+    isValidator(eventId, account, now = Math.floor(Date.now() / 1000)) {
+      const entry = account && state.validatorRoster[String(eventId)]?.[account.toLowerCase()];
+      if (!entry) return false;
+      return grantStatus(entry, now) === "active";
+    },
+
+    // Validadores de un evento (activos primero, más recientes antes) con su
+    // nº de validaciones (TicketUsed; grantCheckIns solo las del permiso
+    // actual, las que cuentan para el tope) y el estado de su permiso en `now`:
+    // active | pending (aún no empieza) | expired | exhausted (tope) | revoked
+    getValidatorRoster(eventId, now = Math.floor(Date.now() / 1000)) {
+      const roster = state.validatorRoster[String(eventId)] || {};
+      const checkIns = this.getCheckIns(eventId);
+      return Object.values(roster)
+        .map((v) => {
+          const count = checkIns.filter((c) => sameAddress(c.validator, v.address)).length;
+          return { ...v, checkIns: count, status: grantStatus(v, now) };
+        })
+        .sort((a, b) => b.active - a.active || (b.addedAt ?? 0) - (a.addedAt ?? 0));
+    },
+
+    getValidatorEventIds(account, now = Math.floor(Date.now() / 1000)) {
+      return this.getEvents()
+        .filter((e) => this.isValidator(e.id, account, now))
+        .map((e) => e.id);
+    },
+  };
+}
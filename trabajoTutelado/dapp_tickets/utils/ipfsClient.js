@@ -0,0 +1,261 @@
+// utils/ipfsClient.js
+// Cliente mínimo del RPC de Kubo (daemon local de IPFS) sin dependencias:
+// subida con progreso, reintentos con backoff, copia al MFS comprobada y
+// verificación del pin. Lo usan dapp_tickets y las dapp_ipfs de la práctica 2,
+// que lo importan como "dapp-tickets/utils/ipfsClient.js" (dependencia file:
+// a esta carpeta): no tiene imports para poder cargarse en ambos sitios.
+
+export const DEFAULT_IPFS_CONFIG = {
+  apiUrl: "http://127.0.0.1:5001/api/v0",
+  gatewayUrl: "http://127.0.0.1:8080/ipfs",
+};
+
+const CONFIG_KEY = "ipfs-config";
+
+/**
+ * @typedef {{ apiUrl: string, gatewayUrl: string }} IpfsConfig
+ * @typedef {{ cid: string, name: string, size: number, pinned: boolean }} AddResult
+ * @typedef {{ cid: string, pinned: boolean, type: string | null }} PinStatus
+ * @typedef {{ version: string, commit: string }} NodeVersion
+ * @typedef {{ loaded: number, total: number }} UploadProgress
+ */
+
+const browser = typeof window !== "undefined" ? window : null;
+
+// URLs guardadas en el navegador (o las de por defecto); ?ipfsApi= y
+// ?ipfsGateway= en la URL de la página tienen prioridad
+export function loadIpfsConfig(storage = browser?.localStorage, search = browser?.location.search) {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage?.getItem(CONFIG_KEY) || "{}");
+  } catch {
+    saved = {};
+  }
+  const params = new URLSearchParams(search || "");
+  return normalizeConfig({
+    ...DEFAULT_IPFS_CONFIG,
+    ...saved,
+    ...(params.get("ipfsApi") ? { apiUrl: params.get("ipfsApi") } : {}),
+    ...(params.get("ipfsGateway") ? { gatewayUrl: params.get("ipfsGateway") } : {}),
+  });
+}
+
+export function saveIpfsConfig(config, storage = browser?.localStorage) {
+  const normalized = normalizeConfig(config);
+  storage?.setItem(CONFIG_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+function normalizeConfig(config) {
+  const clean = (url) => String(url).trim().replace(/\/+$/, "");
+  for (const key of ["apiUrl", "gatewayUrl"]) {
+    if (!/^https?:\/\/.+/.test(clean(config[key] || ""))) {
+      throw new Error(`URL de IPFS no válida (${key}): ${config[key]}`);
+    }
+  }
+  return { apiUrl: clean(config.apiUrl), gatewayUrl: clean(config.gatewayUrl) };
+}
+
+// Error del nodo con el código HTTP y si merece la pena reintentar
+function ipfsError(message, { status = null, body = "", retryable = false } = {}) {
+  const err = new Error(message);
+  err.name = "IpfsError";
+  err.status = status;
+  err.body = body;
+  err.retryable = retryable;
+  return err;
+}
+
+function networkError(err) {
+  const blocked = String(err?.message ?? err).includes("ERR_BLOCKED_BY_CLIENT");
+  return ipfsError(
+    blocked
+      ? "El navegador está bloqueando la conexión a IPFS. Desactiva el bloqueador para esta página."
+      : `Error de red al llamar a IPFS: ${err?.message ?? err}`,
+    { retryable: !blocked }
+  );
+}
+
+// Kubo responde { Message, Code, Type } y 500 también cuando el comando falla
+// (p. ej. "not pinned"): solo reintentamos si el nodo o un proxy están caídos
+// o saturados.
+const RETRYABLE_STATUS = [429, 502, 503, 504];
+
+function errorFromResponse(path, status, body) {
+  let message = body;
+  try {
+    message = JSON.parse(body).Message || body;
+  } catch {
+    // texto plano
+  }
+  return ipfsError(`IPFS ${path} devolvió ${status}: ${String(message).slice(0, 200)}`, {
+    status,
+    body,
+    retryable: RETRYABLE_STATUS.includes(status),
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Partial<IpfsConfig> & { retries?: number, backoffMs?: number, timeoutMs?: number }} options
+ */
+export function createIpfsClient(options = {}) {
+  const config = normalizeConfig({ ...DEFAULT_IPFS_CONFIG, ...options });
+  const { retries = 3, backoffMs = 500, timeoutMs = 60000 } = options;
+
+  // Reintenta los errores de red y RETRYABLE_STATUS con espera exponencial (+ azar)
+  async function withRetry(fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (err) {
+        if (!err.retryable || attempt >= retries) throw err;
+        await sleep(backoffMs * 2 ** attempt * (1 + Math.random() / 2));
+      }
+    }
+  }
+
+  async function rpcOnce(path, params = {}, body = null) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      [].concat(value).forEach((v) => query.append(key, String(v)));
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetch(`${config.apiUrl}${path}?${query}`, {
+        method: "POST",
+        body,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      throw networkError(err);
+    } finally {
+      clearTimeout(timer);
+    }
+    const text = await res.text();
+    if (!res.ok) throw errorFromResponse(path, res.status, text);
+    return text;
+  }
+
+  // Con onProgress usamos XMLHttpRequest: fetch no informa de la subida
+  function uploadOnce(path, params, form, onProgress) {
+    if (!onProgress) return rpcOnce(path, params, form);
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open("POST", `${config.apiUrl}${path}?${new URLSearchParams(params)}`);
+      xhr.timeout = timeoutMs;
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress({ loaded: e.loaded, total: e.total });
+      };
+      xhr.onload = () =>
+        xhr.status >= 200 && xhr.status < 300
+          ? resolve(xhr.responseText)
+          : reject(errorFromResponse(path, xhr.status, xhr.responseText));
+      xhr.onerror = () => reject(networkError(new Error("la petición no llegó al nodo")));
+      xhr.ontimeout = () => reject(networkError(new Error(`sin respuesta en ${timeoutMs} ms`)));
+      xhr.send(form);
+    });
+  }
+
+  const rpc = (path, params, body) => withRetry(() => rpcOnce(path, params, body));
+
+  // Última línea del NDJSON de /add con el fichero subido
+  function parseAdded(text) {
+    const lines = text.trim().split("\n").filter(Boolean);
+    let entry;
+    try {
+      entry = JSON.parse(lines[lines.length - 1]);
+    } catch {
+      entry = null;
+    }
+    if (!entry?.Hash) {
+      throw ipfsError(`Respuesta inesperada de IPFS /add: ${text.slice(0, 200)}`);
+    }
+    return { cid: entry.Hash, name: entry.Name ?? "", size: Number(entry.Size ?? 0) };
+  }
+
+  /** @returns {Promise<PinStatus>} */
+  async function pinStatus(cid) {
+    try {
+      const text = await rpc("/pin/ls", { arg: cid });
+      const keys = JSON.parse(text).Keys || {};
+      const entry = Object.values(keys)[0];
+      return { cid, pinned: !!entry, type: entry?.Type ?? null };
+    } catch (err) {
+      // Kubo responde 500 "... is not pinned" si el CID existe pero no está fijado
+      if (/not pinned/i.test(err.body || err.message)) return { cid, pinned: false, type: null };
+      throw err;
+    }
+  }
+
+  /** @returns {Promise<PinStatus>} */
+  async function ensurePinned(cid) {
+    let status = await pinStatus(cid);
+    if (!status.pinned) {
+      await rpc("/pin/add", { arg: cid });
+      status = await pinStatus(cid);
+    }
+    if (!status.pinned) throw ipfsError(`El nodo no ha fijado (pin) el CID ${cid}.`);
+    return status;
+  }
+
+  // Copia al MFS para verlo en la WebUI. Si ya existe una entrada con ese
+  // nombre no es un error: el destino solo depende del CID o de la ruta.
+  async function filesCp(cid, mfsPath, { parents = true } = {}) {
+    try {
+      await rpc("/files/cp", { arg: [`/ipfs/${cid}`, mfsPath], parents });
+    } catch (err) {
+      if (/already has entry/i.test(err.body || err.message)) return;
+      throw err;
+    }
+  }
+
+  /**
+   * Sube un fichero (Blob/File, bytes o texto), lo fija y opcionalmente lo
+   * copia al MFS.
+   * @param {{ fileName?: string, mfsPath?: string, onProgress?: (p: UploadProgress) => void }} opts
+   * @returns {Promise<AddResult>}
+   */
+  async function add(data, { fileName, mfsPath = null, onProgress = null } = {}) {
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    const text = await withRetry(() => {
+      const form = new FormData();
+      form.append("file", blob, fileName ?? data.name ?? "file");
+      return uploadOnce("/add", { pin: "true" }, form, onProgress);
+    });
+    const added = parseAdded(text);
+    await ensurePinned(added.cid);
+    if (mfsPath) await filesCp(added.cid, mfsPath);
+    return { ...added, pinned: true };
+  }
+
+  /** @returns {Promise<AddResult>} */
+  function addJson(obj, opts = {}) {
+    const blob = new Blob([JSON.stringify(obj)], { type: "application/json" });
+    return add(blob, { fileName: "metadata.json", ...opts });
+  }
+
+  /** @returns {Promise<NodeVersion>} */
+  async function version() {
+    const info = JSON.parse(await rpc("/version"));
+    return { version: info.Version, commit: info.Commit ?? "" };
+  }
+
+  return {
+    config,
+    add,
+    addJson,
+    filesCp,
+    pinStatus,
+    ensurePinned,
+    version,
+
+    gatewayUrl(cid) {
+      return `${config.gatewayUrl}/${cid}`;
+    },
+  };
+}
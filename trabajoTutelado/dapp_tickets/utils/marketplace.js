@@ -0,0 +1,96 @@
+// utils/marketplace.js
+// Consulta de anuncios de reventa activos sobre el índice: une cada listing
+// con su evento, calcula el sobreprecio y el reparto del precio, y aplica
+// filtros, orden y paginación.
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+export const MARKET_PAGE_SIZE = 10;
+
+// Criterios de orden disponibles (clave => comparador)
+export const MARKET_SORTS = {
+  priceAsc: (a, b) => compareWei(a.priceWei, b.priceWei),
+  priceDesc: (a, b) => compareWei(b.priceWei, a.priceWei),
+  dateAsc: (a, b) => a.eventDate - b.eventDate,
+  dateDesc: (a, b) => b.eventDate - a.eventDate,
+  markupAsc: (a, b) => a.markup - b.markup,
+  newest: (a, b) => Number(b.listingId) - Number(a.listingId),
+};
+
+function compareWei(a, b) {
+  const x = ethers.BigNumber.from(a);
+  const y = ethers.BigNumber.from(b);
+  return x.lt(y) ? -1 : x.gt(y) ? 1 : 0;
+}
+
+// Sobreprecio en % sobre el precio nominal (0 = mismo precio)
+function markupOf(priceWei, faceValueWei) {
+  const base = ethers.BigNumber.from(faceValueWei);
+  if (base.isZero()) return 0;
+  // En puntos básicos para no perder decimales con BigNumber
+  const bps = ethers.BigNumber.from(priceWei).mul(10000).div(base).toNumber();
+  return bps / 100 - 100;
+}
+
+// Reparto de una reventa igual que TicketMarket.buyFromResale: regalía del
+// organizador y comisión de la plataforma en puntos básicos, el resto al vendedor
+export function resaleSplit(priceWei, royaltyBps, feeBps) {
+  const price = ethers.BigNumber.from(priceWei);
+  const royaltyWei = price.mul(royaltyBps).div(10000);
+  const feeWei = price.mul(feeBps).div(10000);
+  return {
+    sellerWei: price.sub(royaltyWei).sub(feeWei).toString(),
+    royaltyWei: royaltyWei.toString(),
+    feeWei: feeWei.toString(),
+  };
+}
+
+// Filtros: { eventId, maxPriceWei, dateFrom, dateTo (segundos unix) }
+// `feeBps` es la comisión actual de la plataforma (para el reparto).
+// Devuelve { items, total, page, pages }
+export function queryListings(
+  indexer,
+  { eventId = null, maxPriceWei = null, dateFrom = null, dateTo = null, sort = "priceAsc", page = 1, pageSize = MARKET_PAGE_SIZE, feeBps = 0 } = {}
+) {
+  const rows = indexer
+    .getListings({ eventId, activeOnly: true })
+    .map((l) => {
+      const evt = indexer.getEvent(l.eventId);
+      // Los anuncios de un evento cancelado se cierran al procesar la cancelación
+      if (!evt || evt.cancelled) return null;
+      const faceValueWei = indexer.getFaceValueWei(l.tokenId) ?? evt.basePriceWei;
+      return {
+        listingId: l.listingId,
+        tokenId: l.tokenId,
+        seller: l.seller,
+        priceWei: l.priceWei,
+        eventId: evt.id,
+        eventName: evt.name,
+        eventDate: evt.date,
+        eventActive: evt.active,
+        tierName: indexer.getTicketTier(l.tokenId)?.name ?? null,
+        faceValueWei,
+        maxResaleFactor: evt.maxResaleFactor,
+        markup: markupOf(l.priceWei, faceValueWei),
+        royaltyBps: evt.royaltyBps,
+        split: resaleSplit(l.priceWei, evt.royaltyBps, feeBps),
+      };
+    })
+    .filter(Boolean)
+    .filter(
+      (r) =>
+        (maxPriceWei === null || compareWei(r.priceWei, maxPriceWei) <= 0) &&
+        (dateFrom === null || r.eventDate >= dateFrom) &&
+        (dateTo === null || r.eventDate <= dateTo)
+    )
+    .sort(MARKET_SORTS[sort] || MARKET_SORTS.priceAsc);
+
+  const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(1, page), pages);
+  return {
+    items: rows.slice((current - 1) * pageSize, current * pageSize),
+    total: rows.length,
+    page: current,
+    pages,
+  };
+}
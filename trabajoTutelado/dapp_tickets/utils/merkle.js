@@ -0,0 +1,103 @@
+// utils/merkle.js
+// Lista de preventa como árbol de Merkle: a partir de un CSV de carteras
+// calcula la raíz que se guarda en el evento y la prueba de cada cartera.
+// Hojas y pares se hashean igual que TicketMarket (MerkleProof de OZ):
+// hoja = keccak256(keccak256(abi.encode(cartera))) y pares ordenados.
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+export const ALLOWLIST_VERSION = 1;
+
+export function allowlistLeaf(address) {
+  const inner = ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(["address"], [address])
+  );
+  return ethers.utils.keccak256(inner);
+}
+
+function hashPair(a, b) {
+  return a < b
+    ? ethers.utils.keccak256(ethers.utils.concat([a, b]))
+    : ethers.utils.keccak256(ethers.utils.concat([b, a]));
+}
+
+// Extrae las direcciones de un CSV pegado (una o varias por línea, separadas
+// por comas, punto y coma o espacios). Ignora cabeceras y duplicados.
+// Devuelve { addresses, invalid: [{ line, value }] }
+export function parseAddressList(text) {
+  const seen = new Set();
+  const addresses = [];
+  const invalid = [];
+
+  text.split(/\r?\n/).forEach((row, i) => {
+    row
+      .split(/[,;\s]+/)
+      .map((v) => v.trim().replace(/^"|"$/g, ""))
+      .filter(Boolean)
+      .forEach((value) => {
+        if (!value.startsWith("0x")) return; // cabecera u otras columnas
+        if (!ethers.utils.isAddress(value)) {
+          invalid.push({ line: i + 1, value });
+          return;
+        }
+        const address = ethers.utils.getAddress(value);
+        if (seen.has(address)) return;
+        seen.add(address);
+        addresses.push(address);
+      });
+  });
+
+  return { addresses, invalid };
+}
+
+// Construye el árbol y devuelve { root, proofs: { cartera => [hash] } } listo
+// para subir a IPFS. Las hojas se ordenan para que la raíz no dependa del
+// orden del CSV; un nodo sin pareja sube tal cual al nivel siguiente.
+export function buildAllowlist(addresses) {
+  if (!addresses.length) throw new Error("La lista de preventa está vacía.");
+
+  const leaves = addresses
+    .map((address) => ({ address: ethers.utils.getAddress(address), leaf: allowlistLeaf(address) }))
+    .sort((a, b) => (a.leaf < b.leaf ? -1 : 1));
+
+  const layers = [leaves.map((l) => l.leaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const prev = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  leaves.forEach(({ address }, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    proofs[address] = proof;
+  });
+
+  return {
+    version: ALLOWLIST_VERSION,
+    root: layers[layers.length - 1][0],
+    count: leaves.length,
+    proofs,
+  };
+}
+
+// Prueba de una cartera en una lista ya construida (o null si no está)
+export function proofFor(allowlist, address) {
+  if (!allowlist || !address) return null;
+  return allowlist.proofs[ethers.utils.getAddress(address)] ?? null;
+}
+
+// Misma verificación que MerkleProof.verify, para avisar antes de firmar
+export function verifyProof(proof, root, address) {
+  const computed = proof.reduce((acc, sibling) => hashPair(acc, sibling), allowlistLeaf(address));
+  return computed === root;
+}
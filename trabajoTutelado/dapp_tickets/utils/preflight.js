@@ -0,0 +1,62 @@
+// utils/preflight.js
+// Simulación previa de una transacción: callStatic (¿revierte?) +
+// estimateGas + coste estimado al precio de gas actual. Así el usuario ve el
+// motivo del fallo o el coste exacto antes de que se abra MetaMask.
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+// Margen sobre el gas estimado para que la tx no se quede corta (en %)
+export const GAS_LIMIT_MARGIN = 20;
+
+// Lanza el error original si la simulación revierte (para decodificarlo con
+// utils/errors.js). Si no, devuelve:
+// { method, args, result, gasLimit, gasPrice, maxFeePerGas, valueWei,
+//   feeWei, maxFeeWei, totalWei, overrides }
+// `overrides` ya lleva el gasLimit con margen: se pasa tal cual al enviar.
+export async function preflight(contract, method, args = [], overrides = {}) {
+  const result = await contract.callStatic[method](...args, overrides);
+  const estimated = await contract.estimateGas[method](...args, overrides);
+  const feeData = await contract.provider.getFeeData();
+
+  const gasLimit = estimated.mul(100 + GAS_LIMIT_MARGIN).div(100);
+  const gasPrice = feeData.gasPrice ?? ethers.constants.Zero;
+  const maxFeePerGas = feeData.maxFeePerGas ?? gasPrice;
+  const valueWei = ethers.BigNumber.from(overrides.value ?? 0);
+
+  // Coste esperado con el gas estimado; máximo con el gasLimit y maxFeePerGas
+  const feeWei = estimated.mul(gasPrice);
+  const maxFeeWei = gasLimit.mul(maxFeePerGas);
+
+  return {
+    method,
+    args,
+    result,
+    gasEstimate: estimated,
+    gasLimit,
+    gasPrice,
+    maxFeePerGas,
+    valueWei,
+    feeWei,
+    maxFeeWei,
+    totalWei: valueWei.add(feeWei),
+    overrides: { ...overrides, gasLimit },
+  };
+}
+
+// Líneas de texto con el resumen de la simulación (para el diálogo)
+export function describePreflight(sim) {
+  const eth = (wei) => `${ethers.utils.formatEther(wei)} ETH`;
+  const lines = [
+    ["Simulación", "OK, la transacción no revierte"],
+    ["Importe a enviar", eth(sim.valueWei)],
+    ["Gas estimado", sim.gasEstimate.toString()],
+    ["Precio del gas", `${ethers.utils.formatUnits(sim.gasPrice, "gwei")} gwei`],
+    ["Comisión estimada", eth(sim.feeWei)],
+    ["Comisión máxima", eth(sim.maxFeeWei)],
+    ["Total estimado", eth(sim.totalWei)],
+  ];
+  if (sim.result !== undefined && sim.result !== null && !Array.isArray(sim.result)) {
+    lines.splice(1, 0, ["Resultado", sim.result.toString()]);
+  }
+  return lines;
+}
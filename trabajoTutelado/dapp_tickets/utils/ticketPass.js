@@ -0,0 +1,138 @@
+// utils/ticketPass.js
+// Pase de entrada en QR: el dueño firma con su wallet (red, contrato, evento,
+// tokenId y caducidad) y el portero comprueba que quien firmó es el ownerOf
+// actual del NFT y que el pase es del evento de su puerta. La caducidad corta
+// evita que una captura del QR sirva más tarde.
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+// v2 añade el evento al texto firmado; los pases v1 ya no se aceptan
+export const PASS_VERSION = 2;
+
+// Validez del pase desde que se firma (segundos)
+export const PASS_TTL_SECONDS = 5 * 60;
+
+// Texto que firma el dueño (legible en el popup de MetaMask)
+export function passMessage({ chainId, contract, eventId, tokenId, expiresAt }) {
+  return [
+    "DApp Tickets - pase de entrada",
+    `Red: ${chainId}`,
+    `Contrato: ${contract.toLowerCase()}`,
+    `Evento: ${eventId}`,
+    `Ticket: ${tokenId}`,
+    `Caduca: ${expiresAt}`,
+  ].join("\n");
+}
+
+// Firma un pase para `tokenId` (del evento `eventId`) con la cuenta del signer
+export async function createTicketPass(signer, { chainId, contract, eventId, tokenId, ttl = PASS_TTL_SECONDS }) {
+  const fields = {
+    chainId: Number(chainId),
+    contract: contract.toLowerCase(),
+    eventId: String(eventId),
+    tokenId: String(tokenId),
+    expiresAt: Math.floor(Date.now() / 1000) + ttl,
+  };
+  const signature = await signer.signMessage(passMessage(fields));
+  return { v: PASS_VERSION, ...fields, signature };
+}
+
+// Texto que va dentro del QR (JSON compacto)
+export function encodePass(pass) {
+  return JSON.stringify({
+    v: pass.v,
+    c: pass.chainId,
+    a: pass.contract,
+    ev: pass.eventId,
+    t: pass.tokenId,
+    e: pass.expiresAt,
+    s: pass.signature,
+  });
+}
+
+// Lee el texto de un QR; lanza un Error con mensaje para la UI si no es un pase
+export function decodePass(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("El QR no es un pase de DApp Tickets.");
+  }
+  if (!raw || raw.v !== PASS_VERSION) {
+    throw new Error("Versión de pase no soportada.");
+  }
+  if (
+    !Number.isInteger(raw.c) ||
+    !ethers.utils.isAddress(raw.a) ||
+    !/^\d+$/.test(String(raw.ev)) ||
+    !/^\d+$/.test(String(raw.t)) ||
+    !Number.isInteger(raw.e) ||
+    !ethers.utils.isHexString(raw.s)
+  ) {
+    throw new Error("El pase está incompleto o dañado.");
+  }
+  return {
+    v: raw.v,
+    chainId: raw.c,
+    contract: raw.a.toLowerCase(),
+    eventId: String(raw.ev),
+    tokenId: String(raw.t),
+    expiresAt: raw.e,
+    signature: raw.s,
+  };
+}
+
+// Comprueba un pase contra la cadena para el evento `eventId` (el de la
+// puerta). Devuelve { ok, code, message, holder, owner, state, eventId }
+// code: OK | WRONG_CHAIN | WRONG_CONTRACT | WRONG_EVENT | EXPIRED |
+//       BAD_SIGNATURE | NOT_OWNER | NOT_VALID
+export async function verifyPass(pass, { ticketNFT, chainId, eventId, now = Math.floor(Date.now() / 1000) }) {
+  const fail = (code, message, extra = {}) => ({ ok: false, code, message, ...extra });
+
+  if (pass.chainId !== Number(chainId)) {
+    return fail("WRONG_CHAIN", `El pase es de otra red (chainId ${pass.chainId}).`);
+  }
+  if (pass.contract !== ticketNFT.address.toLowerCase()) {
+    return fail("WRONG_CONTRACT", "El pase es de otro contrato de tickets.");
+  }
+  if (pass.eventId !== String(eventId)) {
+    return fail("WRONG_EVENT", `El pase es del evento ${pass.eventId}, no del ${eventId}.`);
+  }
+  if (pass.expiresAt < now) {
+    return fail("EXPIRED", "El pase ha caducado: pide al asistente que genere uno nuevo.");
+  }
+
+  let holder;
+  try {
+    holder = ethers.utils.verifyMessage(passMessage(pass), pass.signature);
+  } catch {
+    return fail("BAD_SIGNATURE", "La firma del pase no es válida.");
+  }
+
+  const [owner, state, ticketEvent] = await Promise.all([
+    ticketNFT.ownerOf(pass.tokenId),
+    ticketNFT.ticketState(pass.tokenId),
+    ticketNFT.ticketEvent(pass.tokenId),
+  ]);
+  const info = { holder, owner, state: Number(state), eventId: ticketEvent.toString() };
+
+  if (info.eventId !== pass.eventId) {
+    return fail("WRONG_EVENT", `El ticket #${pass.tokenId} es del evento ${info.eventId}.`, info);
+  }
+
+  if (owner.toLowerCase() !== holder.toLowerCase()) {
+    return fail(
+      "NOT_OWNER",
+      "Quien firmó el pase no es el dueño actual del ticket (vendido o en reventa).",
+      info
+    );
+  }
+  if (info.state !== 1) {
+    return fail(
+      "NOT_VALID",
+      info.state === 2 ? "El ticket ya se ha usado." : "El ticket no está en estado válido.",
+      info
+    );
+  }
+  return { ok: true, code: "OK", message: "Pase válido.", ...info };
+}
@@ -0,0 +1,65 @@
+// utils/tokenMetadata.js
+// Metadata ERC-721 de los tickets: TicketNFT.tokenURI devuelve un data URI
+// con el JSON en Base64. Aquí se decodifica y se comprueba que sigue el
+// "ERC721 Metadata JSON Schema" (name, description, image) y el formato
+// habitual de attributes de los marketplaces.
+
+// data:application/json;base64,... (o ;utf8,...) => objeto JSON
+export function decodeTokenUri(uri) {
+  const m = /^data:application\/json(;base64|;utf8)?,(.*)$/s.exec(uri || "");
+  if (!m) throw new Error("El tokenURI no es un data URI JSON.");
+  if (m[1] !== ";base64") return JSON.parse(decodeURIComponent(m[2]));
+
+  const bytes = Uint8Array.from(atob(m[2]), (c) => c.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function isUri(value) {
+  return /^(data:[^,]*,|ipfs:\/\/|https?:\/\/|ar:\/\/)/.test(value);
+}
+
+// Devuelve la lista de problemas (vacía si el JSON cumple el esquema)
+export function validateErc721Metadata(json) {
+  const errors = [];
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return ["La metadata no es un objeto JSON."];
+  }
+
+  for (const key of ["name", "description", "image"]) {
+    if (typeof json[key] !== "string" || !json[key].trim()) {
+      errors.push(`Falta "${key}" o no es texto.`);
+    }
+  }
+  if (typeof json.image === "string" && json.image && !isUri(json.image)) {
+    errors.push(`"image" no es una URI (data:, ipfs:// o http).`);
+  }
+
+  if (json.attributes !== undefined) {
+    if (!Array.isArray(json.attributes)) {
+      errors.push(`"attributes" debe ser una lista.`);
+    } else {
+      json.attributes.forEach((attr, i) => {
+        const valueOk = typeof attr?.value === "string" || typeof attr?.value === "number";
+        if (!valueOk) errors.push(`El atributo ${i + 1} no tiene "value" (texto o número).`);
+        if (attr?.trait_type !== undefined && typeof attr.trait_type !== "string") {
+          errors.push(`El "trait_type" del atributo ${i + 1} no es texto.`);
+        }
+        if (attr?.display_type === "date" && typeof attr.value !== "number") {
+          errors.push(`El atributo ${i + 1} es una fecha y su valor no es un timestamp.`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// Atributos como texto para mostrarlos (las fechas, en hora local)
+export function formatAttributes(json) {
+  return (json.attributes || []).map((attr) => ({
+    label: attr.trait_type ?? "",
+    value:
+      attr.display_type === "date"
+        ? new Date(Number(attr.value) * 1000).toLocaleString()
+        : String(attr.value),
+  }));
+}
@@ -0,0 +1,260 @@
+// utils/txManager.js
+// Seguimiento de transacciones enviadas desde la DApp. Guarda los hashes por
+// red + cuenta en localStorage, cuenta confirmaciones bloque a bloque y
+// detecta transacciones aceleradas o canceladas en MetaMask (reemplazadas por
+// otra con el mismo nonce). Al recargar la página retoma las pendientes.
+//
+// Estados: pending -> mined -> confirmed | failed | replaced | cancelled
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+const STORAGE_PREFIX = "dapp-tickets:txs";
+
+// Confirmaciones para dar una tx por definitiva
+export const CONFIRMATIONS_TARGET = 2;
+
+// Registros que se guardan como historial por cuenta
+const HISTORY_LIMIT = 50;
+
+// Bloques que se revisan como mucho buscando la tx que reemplazó a otra
+const REPLACEMENT_SCAN_BLOCKS = 100;
+
+function storageKey(chainId, account) {
+  return `${STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+}
+
+function loadRecords(key) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+// Añade `events` (logs decodificados) a un receipt que no viene del contrato,
+// igual que hace ethers en contract.tx.wait()
+function decorateReceipt(receipt, interfaces) {
+  if (!receipt || receipt.events) return receipt;
+  receipt.events = receipt.logs.map((log) => {
+    for (const iface of interfaces) {
+      try {
+        const parsed = iface.parseLog(log);
+        return { ...log, event: parsed.name, args: parsed.args };
+      } catch {
+        // log de otro contrato
+      }
+    }
+    return log;
+  });
+  return receipt;
+}
+
+// onUpdate(records) se llama cada vez que cambia algún registro
+export function createTxManager({
+  provider,
+  account,
+  chainId,
+  interfaces = [],
+  confirmationsTarget = CONFIRMATIONS_TARGET,
+  onUpdate = () => {},
+}) {
+  const key = storageKey(chainId, account);
+  let records = loadRecords(key);
+
+  // Hashes que está esperando un handler (tx.wait) en esta sesión
+  const waiting = new Set();
+  let checking = false;
+
+  function save() {
+    records = records.slice(0, HISTORY_LIMIT);
+    window.localStorage.setItem(key, JSON.stringify(records));
+    onUpdate(records.slice());
+  }
+
+  function find(hash) {
+    return records.find((r) => r.hash === hash);
+  }
+
+  function patch(hash, changes) {
+    const rec = find(hash);
+    if (!rec) return;
+    Object.assign(rec, changes);
+    save();
+  }
+
+  function markMined(hash, receipt, currentBlock) {
+    const confirmations = Math.max(1, currentBlock - receipt.blockNumber + 1);
+    patch(hash, {
+      status:
+        receipt.status === 0
+          ? "failed"
+          : confirmations >= confirmationsTarget
+          ? "confirmed"
+          : "mined",
+      blockNumber: receipt.blockNumber,
+      confirmations,
+    });
+  }
+
+  // Registra la tx que sustituye a `rec` (acelerada o cancelada)
+  function markReplaced(rec, replacement, cancelled, receipt = null) {
+    // Registro ya fuera del historial (p.ej. recortado por HISTORY_LIMIT)
+    if (!rec) return;
+    rec.status = cancelled ? "cancelled" : "replaced";
+    rec.replacedBy = replacement ? replacement.hash : null;
+    if (replacement && !cancelled && !find(replacement.hash)) {
+      records.unshift({
+        hash: replacement.hash,
+        label: `${rec.label} (acelerada)`,
+        nonce: rec.nonce,
+        status: !receipt ? "pending" : receipt.status === 0 ? "failed" : "mined",
+        confirmations: receipt ? 1 : 0,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        submittedAt: Date.now(),
+        replaces: rec.hash,
+      });
+    }
+    save();
+  }
+
+  // Busca en los bloques recientes una tx de la cuenta con el mismo nonce
+  async function findReplacement(rec, currentBlock) {
+    const from = Math.max(rec.submittedBlock ?? 0, currentBlock - REPLACEMENT_SCAN_BLOCKS);
+    for (let b = currentBlock; b >= from; b--) {
+      const block = await provider.getBlockWithTransactions(b);
+      const tx = block.transactions.find(
+        (t) => t.from.toLowerCase() === account.toLowerCase() && t.nonce === rec.nonce
+      );
+      if (tx) return tx;
+    }
+    return null;
+  }
+
+  // Revisión en cada bloque: confirmaciones de las minadas y estado de las
+  // pendientes que no está esperando ningún handler (p.ej. tras recargar)
+  async function checkRecords(currentBlock) {
+    if (checking) return;
+    checking = true;
+    try {
+      for (const rec of records.slice()) {
+        if (rec.status === "mined") {
+          const confirmations = currentBlock - rec.blockNumber + 1;
+          patch(rec.hash, {
+            confirmations,
+            status: confirmations >= confirmationsTarget ? "confirmed" : "mined",
+          });
+          continue;
+        }
+        if (rec.status !== "pending" || waiting.has(rec.hash)) continue;
+
+        const receipt = await provider.getTransactionReceipt(rec.hash);
+        if (receipt) {
+          markMined(rec.hash, receipt, currentBlock);
+          continue;
+        }
+
+        // Sin receipt: si el nonce ya se consumió, la reemplazó otra tx
+        const nonce = await provider.getTransactionCount(account, "latest");
+        if (rec.nonce !== null && nonce > rec.nonce) {
+          // Puede que se haya minado la propia tx entre las dos lecturas:
+          // su nonce cuenta como consumido pero no hay reemplazo
+          const lateReceipt = await provider.getTransactionReceipt(rec.hash);
+          if (lateReceipt) {
+            markMined(rec.hash, lateReceipt, currentBlock);
+            continue;
+          }
+          const replacement = await findReplacement(rec, currentBlock);
+          const cancelled =
+            !!replacement &&
+            replacement.to?.toLowerCase() === account.toLowerCase() &&
+            replacement.data === "0x";
+          const replacementReceipt = replacement
+            ? await provider.getTransactionReceipt(replacement.hash)
+            : null;
+          markReplaced(rec, replacement, cancelled, replacementReceipt);
+        }
+      }
+    } catch (err) {
+      console.warn("Error revisando transacciones pendientes:", err);
+    } finally {
+      checking = false;
+    }
+  }
+
+  function onBlock(blockNumber) {
+    checkRecords(blockNumber);
+  }
+
+  return {
+    get records() {
+      return records.slice();
+    },
+
+    get pendingCount() {
+      return records.filter((r) => r.status === "pending" || r.status === "mined").length;
+    },
+
+    // Empieza a escuchar bloques y retoma las pendientes guardadas
+    async start() {
+      provider.on("block", onBlock);
+      onUpdate(records.slice());
+      await checkRecords(await provider.getBlockNumber());
+    },
+
+    stop() {
+      provider.off("block", onBlock);
+    },
+
+    // Registra una tx recién enviada y espera su primer bloque. Devuelve el
+    // receipt (con `events` decodificados). Si MetaMask la acelera, devuelve
+    // el receipt de la nueva; si la cancela, lanza el error de ethers.
+    async track(tx, label) {
+      const submittedBlock = await provider.getBlockNumber().catch(() => null);
+      records.unshift({
+        hash: tx.hash,
+        label,
+        nonce: tx.nonce ?? null,
+        status: "pending",
+        confirmations: 0,
+        blockNumber: null,
+        submittedAt: Date.now(),
+        submittedBlock,
+      });
+      save();
+
+      waiting.add(tx.hash);
+      try {
+        const receipt = await tx.wait();
+        markMined(tx.hash, receipt, receipt.blockNumber);
+        return receipt;
+      } catch (err) {
+        if (err.code === ethers.errors.TRANSACTION_REPLACED) {
+          const rec = find(tx.hash);
+          markReplaced(rec, err.replacement, err.cancelled, err.receipt);
+          if (err.cancelled) throw err;
+          // Acelerada pero revertida: fallo igual que un CALL_EXCEPTION de wait()
+          if (err.receipt.status === 0) {
+            const failed = new Error("La transacción acelerada ha revertido on-chain.");
+            failed.code = ethers.errors.CALL_EXCEPTION;
+            failed.receipt = err.receipt;
+            failed.replacement = err.replacement;
+            throw failed;
+          }
+          return decorateReceipt(err.receipt, interfaces);
+        }
+        if (err.code === ethers.errors.CALL_EXCEPTION && err.receipt) {
+          markMined(tx.hash, err.receipt, err.receipt.blockNumber);
+        }
+        throw err;
+      } finally {
+        waiting.delete(tx.hash);
+      }
+    },
+
+    // Quita del historial las transacciones ya terminadas
+    clearFinished() {
+      records = records.filter((r) => r.status === "pending" || r.status === "mined");
+      save();
+    },
+  };
+}
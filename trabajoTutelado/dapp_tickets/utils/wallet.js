@@ -0,0 +1,101 @@
+// utils/wallet.js
+// Sesión de wallet: conecta con MetaMask, escucha accountsChanged /
+// chainChanged / disconnect y avisa a la DApp con la sesión nueva para que
+// reconstruya contratos y paneles. También restaura la sesión al recargar
+// (eth_accounts no abre ningún popup si la web ya estaba autorizada).
+
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js";
+
+// onChange(session, reason): session = { provider, signer, account, chainId,
+// network } o null si ya no hay cuenta conectada.
+// reason: connect | restore | accountsChanged | chainChanged | disconnect
+export function createWalletSession({ ethereum = window.ethereum, onChange }) {
+  let session = null;
+  let listening = false;
+
+  async function load(requestAccess) {
+    // "any": el provider no falla si la red cambia por debajo
+    const provider = new ethers.providers.Web3Provider(ethereum, "any");
+    const accounts = await provider.send(
+      requestAccess ? "eth_requestAccounts" : "eth_accounts",
+      []
+    );
+    if (!accounts.length) return null;
+
+    const account = ethers.utils.getAddress(accounts[0]);
+    const network = await provider.getNetwork();
+    return {
+      provider,
+      signer: provider.getSigner(account),
+      account,
+      chainId: network.chainId,
+      network,
+    };
+  }
+
+  async function update(requestAccess, reason) {
+    session = await load(requestAccess);
+    await onChange(session, reason);
+    return session;
+  }
+
+  function handleAccountsChanged(accounts) {
+    if (!accounts || !accounts.length) {
+      session = null;
+      onChange(null, "accountsChanged");
+      return;
+    }
+    update(false, "accountsChanged").catch((e) =>
+      console.error("Error recargando la sesión tras accountsChanged:", e)
+    );
+  }
+
+  function handleChainChanged() {
+    update(false, "chainChanged").catch((e) =>
+      console.error("Error recargando la sesión tras chainChanged:", e)
+    );
+  }
+
+  function handleDisconnect() {
+    session = null;
+    onChange(null, "disconnect");
+  }
+
+  return {
+    get current() {
+      return session;
+    },
+
+    // Empieza a escuchar los eventos de la wallet (una sola vez)
+    start() {
+      if (!ethereum || listening) return;
+      ethereum.on("accountsChanged", handleAccountsChanged);
+      ethereum.on("chainChanged", handleChainChanged);
+      ethereum.on("disconnect", handleDisconnect);
+      listening = true;
+    },
+
+    stop() {
+      if (!ethereum || !listening) return;
+      ethereum.removeListener("accountsChanged", handleAccountsChanged);
+      ethereum.removeListener("chainChanged", handleChainChanged);
+      ethereum.removeListener("disconnect", handleDisconnect);
+      listening = false;
+    },
+
+    // Conexión explícita (abre el popup de MetaMask si hace falta)
+    connect() {
+      return update(true, "connect");
+    },
+
+    // Restauración silenciosa al cargar la página
+    async restore() {
+      if (!ethereum) return null;
+      const restored = await load(false);
+      if (!restored) return null;
+      session = restored;
+      await onChange(session, "restore");
+      return session;
+    },
+  };
+}